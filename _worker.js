@@ -1,16 +1,33 @@
 /**
  * Cloudflare Worker 反向代理服务 - 内容重写优化版
- * 功能：将 aaa--bb--com.yourdomain.com 的请求代理到 aaa.bb.com
+ * 功能：将 aaa--bb--com.yourdomain.com（或路径模式 /p/https/aaa.bb.com）的请求代理到 aaa.bb.com
  * 优化：自动替换响应内容中的绝对地址为代理地址
+ * 配置：默认值见 DEFAULT_CONFIG，可通过环境变量或 PROXY_CONFIG JSON 密钥覆盖
  */
 
-// 配置常量
-const CONFIG = {
+// 默认配置常量
+const DEFAULT_CONFIG = {
+  // 上游请求总超时（毫秒，包含重试与备用源）
   REQUEST_TIMEOUT: 45000,
-  MAX_REDIRECTS: 45,
+  // 服务端跟随同源重定向（见 followRedirects）及最多跟随的次数（每一跳都占用子请求配额，最多 10 次）
+  FOLLOW_REDIRECTS: false,
+  MAX_REDIRECTS: 10,
   CORS_MAX_AGE: '86400',
   ALLOWED_METHODS: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'],
   
+  // 前端页面入口的子域名前缀（proxy.yourdomain.com / proxy--.yourdomain.com）
+  PANEL_SUBDOMAIN: 'proxy',
+  
+  // 路径模式主机：没有泛域名解析时（如 *.workers.dev）通过 https://<该主机>/p/https/github.com/... 访问，留空关闭路径模式；
+  // 该主机只提供代理内容，不能与管理页面共用（所有目标站点在该主机上同源）
+  PATH_MODE_HOST: '',
+  
+  // /api/generate、/api/decode 单次请求最多处理的地址数
+  API_BATCH_LIMIT: 500,
+  
+  // 重写内容的大小上限（字节，0 表示不限制）：已知长度超过上限的响应不重写，流式重写超过上限后其余部分原样输出
+  REWRITE_MAX_BYTES: 10485760,
+  
   // 需要重写内容的响应类型
   REWRITABLE_CONTENT_TYPES: [
     'text/html',
@@ -21,7 +38,11 @@ const CONFIG = {
     'application/json',
     'text/xml',
     'application/xml',
-    'application/xhtml+xml'
+    'application/xhtml+xml',
+    'application/rss+xml',
+    'application/atom+xml',
+    'image/svg+xml',
+    'application/manifest+json'
   ],
   
   // 扩展的敏感头部列表
@@ -56,710 +77,684 @@ const CONFIG = {
     'remote-addr'
   ],
   
+  // 按目标主机增删改请求头/响应头的规则（格式见 validateHeaderRules），在内置的头部处理之后生效
+  // 例如 [{ "host": "registry.npmjs.org", "request": { "set": { "Authorization": "Bearer {{env.NPM_TOKEN}}" } } }]
+  HEADER_RULES: [],
+  
   // 需要重写的头部
   REWRITE_HEADERS: [
     'origin',
     'referer',
     'host'
-  ]
+  ],
+  
+  // 访问控制（默认全部关闭，保持开放访问）
+  PANEL_PASSWORD: '',
+  API_KEYS: [],
+  SIGNING_SECRET: '',
+  REQUIRE_SIGNED_LINKS: false,
+  SIGNED_LINK_TTL: 86400,
+  SESSION_TTL: 43200,
+  
+  // Cookie 处理模式：passthrough 原样透传 / rewrite 映射到代理域名 / server 服务端 Cookie 罐
+  COOKIE_MODE: 'rewrite',
+  COOKIE_JAR_TTL: 2592000,
+  
+  // WebSocket 空闲超时（毫秒），双向均无消息时关闭连接，0 表示不限制
+  WEBSOCKET_IDLE_TIMEOUT: 300000,
+  
+  // 内容重写模式（见 REWRITE_MODES），可按主机覆盖：{ "api.github.com": "headers-only", "*.example.com": "off" }
+  REWRITE_MODE: 'full',
+  REWRITE_MODE_RULES: {},
+  // 是否允许通过 __proxy_mode 参数按请求选择重写模式
+  ALLOW_REWRITE_MODE_OVERRIDE: true,
+  
+  // 站点配置：与目标站点一起重写的关联主机（如 github.com 与 githubusercontent.com）及不重写的主机，见 validateSiteProfiles；
+  // 与管理后台保存的站点配置、内置配置（BUILTIN_SITE_PROFILES）一起生效
+  SITE_PROFILES: [],
+  BUILTIN_SITE_PROFILES_ENABLED: true,
+  // 任何目标站点下都不重写的主机（验证码等依赖真实域名的服务），客户端脚本同样不代理
+  NEVER_REWRITE_HOSTS: ['challenges.cloudflare.com', 'hcaptcha.com', '*.hcaptcha.com'],
+  
+  // 安全响应头（CSP、X-Frame-Options 等）的处理方式（见 SECURITY_HEADER_MODES），可按主机覆盖：{ "legacy.example.com": "strip" }
+  SECURITY_HEADERS_MODE: 'rewrite',
+  SECURITY_HEADERS_RULES: {},
+  
+  // 响应缓存（Cache API）：遵循上游 Cache-Control / Vary，可按主机覆盖 TTL（秒，0 表示不缓存）
+  CACHE_ENABLED: true,
+  CACHE_TTL_RULES: {},
+  // 上游未给出缓存时间时，按内容类型使用的默认 TTL（秒），键按包含关系匹配 Content-Type
+  CACHE_CONTENT_TYPE_TTLS: {
+    'text/css': 3600,
+    'javascript': 3600,
+    'image/': 86400,
+    'font/': 86400
+  },
+  
+  // 速率限制（令牌桶），按维度配置，未配置的维度不限流：
+  // ip - 客户端 IP，apiKey - API Key，host - 目标主机
+  // 例如 { "ip": { "limit": 120, "window": 60 }, "host": { "limit": 600, "window": 60 } }
+  RATE_LIMITS: {},
+  // 每日（UTC）代理响应流量配额（字节），0 表示不限制
+  DAILY_BYTE_QUOTA: 0,
+  
+  // 目标地址策略：按顺序匹配，首个匹配的规则生效，均未匹配时使用默认动作（deny 即白名单模式）
+  // 例如 [{ "action": "deny", "host": "*.internal.example.com" }, { "action": "allow", "host": "github.com", "path": "/" }]
+  POLICY_RULES: [],
+  POLICY_DEFAULT_ACTION: 'allow',
+  
+  // 代理前通过 DNS-over-HTTPS 解析目标主机，拒绝解析到内网地址的域名（如 127.0.0.1.nip.io）
+  SSRF_DNS_CHECK: true,
+  SSRF_DOH_URL: 'https://cloudflare-dns.com/dns-query',
+  
+  // 单次上游请求等待响应头的超时（毫秒）
+  CONNECT_TIMEOUT: 10000,
+  // 幂等请求在连接失败或上游返回 502/503/504 时的重试次数，以及首次重试前的等待时间（毫秒，之后每次翻倍）
+  UPSTREAM_RETRIES: 2,
+  UPSTREAM_RETRY_BACKOFF: 200,
+  // 熔断：同一上游连续失败达到次数后，在冷却时间（毫秒）内直接返回 503，0 表示不熔断
+  CIRCUIT_BREAKER_THRESHOLD: 5,
+  CIRCUIT_BREAKER_COOLDOWN: 30000,
+  // 备用源：主源失败时按顺序尝试，例如 { "registry.npmjs.org": ["https://registry.npmmirror.com"] }
+  UPSTREAM_FALLBACKS: {},
+  
+  // 请求日志输出位置（见 LOG_SINK_TYPES），为空时不输出日志，/api/stats 统计不受影响
+  LOG_SINKS: [],
+  // http 输出：收集端地址、可选的 Bearer Token、每批最多条数与最长等待时间（毫秒）
+  LOG_HTTP_URL: '',
+  LOG_HTTP_TOKEN: '',
+  LOG_HTTP_BATCH_SIZE: 50,
+  LOG_HTTP_FLUSH_INTERVAL: 10000
 };
 
-// 主事件监听器
-addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request));
-});
+// 重写模式：
+// off          - 原样透传，不重写任何内容（包括重定向地址）
+// headers-only - 只重写响应头中的地址（如重定向 Location），响应体原样透传
+// html-css     - 额外重写 HTML 与 CSS 中的地址，不处理 JavaScript
+// full         - 重写所有可重写类型，并向页面注入客户端脚本
+const REWRITE_MODES = ['off', 'headers-only', 'html-css', 'full'];
 
-/**
- * 处理请求的主函数
- * @param {Request} request - 原始请求对象
- * @returns {Promise<Response>} - 处理后的响应
- */
-async function handleRequest(request) {
-  try {
-    const url = new URL(request.url);
-    const hostname = url.hostname;
-    const hostParts = hostname.split('.');
-    
-    // 检查是否为前端页面入口
-    if (hostParts[0] === 'proxy' || hostParts[0] === 'proxy--') {
-      return handleProxyPage(request);
-    }
-    
-    const subdomain = extractSubdomain(hostname);
-    
-    if (!subdomain) {
-      return createErrorResponse('Invalid subdomain format', 400);
-    }
-    
-    if (!CONFIG.ALLOWED_METHODS.includes(request.method)) {
-      return createErrorResponse('Method not allowed', 405);
-    }
-    
-    if (request.method === 'OPTIONS') {
-      return handleOptions(request);
+// 安全响应头的处理方式：
+// rewrite - 把 CSP、X-Frame-Options、Report-To 等头部中的地址改写为代理地址后保留，保持源站的保护
+// strip   - 移除 CSP 与 X-Frame-Options（个别站点改写后仍无法正常使用时按主机退回）
+const SECURITY_HEADER_MODES = ['rewrite', 'strip'];
+
+// 请求日志输出位置：
+// console   - 每个请求一行 JSON，写入 console.log（wrangler tail / Workers Logs 可见）
+// analytics - 写入 Workers Analytics Engine 数据集（绑定名见 ANALYTICS_BINDING_NAME）
+// http      - 攒批后 POST 到 LOG_HTTP_URL
+const LOG_SINK_TYPES = ['console', 'analytics', 'http'];
+
+// 按请求选择重写模式的查询参数，转发前会被移除
+const REWRITE_MODE_PARAM = '__proxy_mode';
+
+// 配置项类型定义，用于校验来自 env 的覆盖值
+const CONFIG_SCHEMA = {
+  REQUEST_TIMEOUT: { type: 'integer', min: 1 },
+  FOLLOW_REDIRECTS: { type: 'boolean' },
+  MAX_REDIRECTS: { type: 'integer', min: 0, max: 10 },
+  CORS_MAX_AGE: { type: 'string', pattern: /^\d+$/ },
+  ALLOWED_METHODS: { type: 'string[]', transform: value => value.toUpperCase() },
+  PANEL_SUBDOMAIN: { type: 'string', pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ },
+  PATH_MODE_HOST: { type: 'string', pattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i },
+  API_BATCH_LIMIT: { type: 'integer', min: 1 },
+  REWRITE_MAX_BYTES: { type: 'integer', min: 0 },
+  REWRITABLE_CONTENT_TYPES: { type: 'string[]', transform: value => value.toLowerCase() },
+  BLOCKED_HEADERS: { type: 'string[]', transform: value => value.toLowerCase() },
+  REWRITE_HEADERS: { type: 'string[]', transform: value => value.toLowerCase() },
+  HEADER_RULES: { type: 'json', validate: validateHeaderRules },
+  PANEL_PASSWORD: { type: 'string', secret: true },
+  API_KEYS: { type: 'string[]', secret: true },
+  SIGNING_SECRET: { type: 'string', secret: true },
+  REQUIRE_SIGNED_LINKS: { type: 'boolean' },
+  SIGNED_LINK_TTL: { type: 'integer', min: 60 },
+  SESSION_TTL: { type: 'integer', min: 60 },
+  COOKIE_MODE: { type: 'string', enum: ['passthrough', 'rewrite', 'server'] },
+  COOKIE_JAR_TTL: { type: 'integer', min: 60 },
+  WEBSOCKET_IDLE_TIMEOUT: { type: 'integer', min: 0 },
+  REWRITE_MODE: { type: 'string', enum: REWRITE_MODES },
+  REWRITE_MODE_RULES: { type: 'json', validate: validateHostRuleMap(value => REWRITE_MODES.includes(value), `one of ${REWRITE_MODES.join(', ')}`) },
+  SECURITY_HEADERS_MODE: { type: 'string', enum: SECURITY_HEADER_MODES },
+  SECURITY_HEADERS_RULES: { type: 'json', validate: validateHostRuleMap(value => SECURITY_HEADER_MODES.includes(value), `one of ${SECURITY_HEADER_MODES.join(', ')}`) },
+  ALLOW_REWRITE_MODE_OVERRIDE: { type: 'boolean' },
+  SITE_PROFILES: { type: 'json', validate: validateSiteProfiles },
+  BUILTIN_SITE_PROFILES_ENABLED: { type: 'boolean' },
+  NEVER_REWRITE_HOSTS: { type: 'string[]', pattern: /^(\*\.)?[a-z0-9.-]+$/, transform: value => value.toLowerCase() },
+  CACHE_ENABLED: { type: 'boolean' },
+  CACHE_TTL_RULES: { type: 'json', validate: validateHostRuleMap(isNonNegativeInteger, 'a non-negative integer (seconds)') },
+  CACHE_CONTENT_TYPE_TTLS: { type: 'json', validate: validateContentTypeTtls },
+  RATE_LIMITS: { type: 'json', validate: validateRateLimits },
+  DAILY_BYTE_QUOTA: { type: 'integer', min: 0 },
+  POLICY_RULES: { type: 'json', validate: validatePolicyRules },
+  POLICY_DEFAULT_ACTION: { type: 'string', enum: ['allow', 'deny'] },
+  SSRF_DNS_CHECK: { type: 'boolean' },
+  SSRF_DOH_URL: { type: 'string', pattern: /^https:\/\/[^\s]+$/ },
+  CONNECT_TIMEOUT: { type: 'integer', min: 1 },
+  UPSTREAM_RETRIES: { type: 'integer', min: 0 },
+  UPSTREAM_RETRY_BACKOFF: { type: 'integer', min: 0 },
+  CIRCUIT_BREAKER_THRESHOLD: { type: 'integer', min: 0 },
+  CIRCUIT_BREAKER_COOLDOWN: { type: 'integer', min: 1 },
+  UPSTREAM_FALLBACKS: { type: 'json', validate: validateHostRuleMap(isOriginList, 'a non-empty array of http(s) origins') },
+  LOG_SINKS: { type: 'string[]', enum: LOG_SINK_TYPES, transform: value => value.toLowerCase() },
+  LOG_HTTP_URL: { type: 'string', pattern: /^https?:\/\/[^\s]+$/ },
+  LOG_HTTP_TOKEN: { type: 'string', secret: true },
+  LOG_HTTP_BATCH_SIZE: { type: 'integer', min: 1 },
+  LOG_HTTP_FLUSH_INTERVAL: { type: 'integer', min: 0 }
+};
+
+// 以 JSON 形式整体覆盖配置的环境变量（建议作为 Secret 配置）
+const CONFIG_JSON_ENV_KEY = 'PROXY_CONFIG';
+
+// 当前生效的配置，每个请求开始时由 env 构建
+let CONFIG = DEFAULT_CONFIG;
+
+// 当前 env（KV 等绑定），同一 isolate 内的请求共享同一个 env 对象
+let ENV = {};
+
+// 按 env 对象缓存已校验的配置，避免每个请求重复解析
+const runtimeConfigCache = new WeakMap();
+
+// 模块入口
+export default {
+  /**
+   * 处理 fetch 事件
+   * @param {Request} request - 原始请求对象
+   * @param {Object} env - 环境变量与绑定
+   * @param {ExecutionContext} ctx - 执行上下文
+   * @returns {Promise<Response>} - 处理后的响应
+   */
+  async fetch(request, env, ctx) {
+    try {
+      CONFIG = getRuntimeConfig(env);
+      ENV = env || {};
+    } catch (error) {
+      console.error('Configuration error:', error.message);
+      return createErrorResponse(error.message, 500);
     }
     
-    // 构建目标URL
-    const targetUrl = buildTargetUrl(subdomain, url);
-    
-    // 执行代理请求
-    return await proxyRequest(request, targetUrl);
-    
-  } catch (error) {
-    console.error('Request handling error:', error);
-    return createErrorResponse(error.message, 500);
+    return handleRequest(request, env, ctx);
   }
-}
+};
 
 /**
- * 执行代理请求 - 增强内容重写功能
- * @param {Request} originalRequest - 原始请求
- * @param {URL} targetUrl - 目标URL
- * @returns {Promise<Response>} - 代理响应
+ * 在后台完成任务（响应返回后继续执行），没有执行上下文或请求已结束时任务照常进行但不保证完成
+ * 同一 isolate 会并发处理多个请求，执行上下文必须由调用方传入所属请求的上下文，不能保存在模块变量中
+ * @param {Promise} promise - 后台任务
+ * @param {ExecutionContext|null} ctx - 所属请求的执行上下文
  */
-async function proxyRequest(originalRequest, targetUrl) {
-  const requestOptions = {
-    method: originalRequest.method,
-    headers: cleanRequestHeaders(originalRequest.headers, targetUrl),
-    redirect: 'manual',
-    signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
-  };
-  
-  if (!['GET', 'HEAD'].includes(originalRequest.method)) {
-    requestOptions.body = originalRequest.body;
+function runInBackground(promise, ctx) {
+  if (!ctx) {
+    return;
   }
   
   try {
-    const response = await fetch(targetUrl.toString(), requestOptions);
-    
-    // 处理重定向
-    if (response.status >= 300 && response.status < 400) {
-      return handleRedirect(response, originalRequest);
-    }
-    
-    // 创建代理响应并处理内容重写
-    return await createProxyResponseWithRewrite(response, originalRequest, targetUrl);
-    
-  } catch (error) {
-    if (error.name === 'TimeoutError') {
-      return createErrorResponse('Request timeout', 504);
-    }
-    throw error;
+    ctx.waitUntil(promise);
+  } catch (e) {
+    // 请求已结束
   }
 }
 
 /**
- * 创建代理响应并重写内容
- * @param {Response} originalResponse - 原始响应
- * @param {Request} originalRequest - 原始请求
- * @param {URL} targetUrl - 目标URL
- * @returns {Promise<Response>} - 处理后的响应
+ * 获取运行时配置（带缓存）
+ * @param {Object} env - 环境变量与绑定
+ * @returns {Object} - 校验后的配置
  */
-async function createProxyResponseWithRewrite(originalResponse, originalRequest, targetUrl) {
-  const contentType = originalResponse.headers.get('content-type') || '';
-  const shouldRewrite = shouldRewriteContent(contentType);
-  
-  // 如果不需要重写内容，直接返回
-  if (!shouldRewrite) {
-    return createProxyResponse(originalResponse);
+function getRuntimeConfig(env) {
+  if (!env || typeof env !== 'object') {
+    return DEFAULT_CONFIG;
   }
   
-  // 读取响应内容
-  const originalText = await originalResponse.text();
-  
-  // 重写内容中的URL
-  const rewrittenText = rewriteContent(
-    originalText, 
-    contentType, 
-    targetUrl, 
-    originalRequest.url
-  );
-  
-  // 创建新的响应
-  const newResponse = new Response(rewrittenText, {
-    status: originalResponse.status,
-    statusText: originalResponse.statusText,
-    headers: originalResponse.headers
-  });
-  
-  // 添加CORS头和清理敏感头部
-  addCorsHeaders(newResponse.headers);
-  cleanResponseHeaders(newResponse.headers);
+  let config = runtimeConfigCache.get(env);
+  if (!config) {
+    config = buildRuntimeConfig(env);
+    runtimeConfigCache.set(env, config);
+  }
   
-  return newResponse;
+  return config;
 }
 
 /**
- * 判断是否需要重写内容
- * @param {string} contentType - 内容类型
- * @returns {boolean} - 是否需要重写
+ * 根据 env 构建并校验运行时配置
+ * 优先级：DEFAULT_CONFIG < PROXY_CONFIG(JSON) < 单独的环境变量
+ * @param {Object} env - 环境变量与绑定
+ * @returns {Object} - 校验后的配置
+ * @throws {Error} - 存在非法配置值时抛出，消息中列出所有错误
  */
-function shouldRewriteContent(contentType) {
-  if (!contentType) return false;
+function buildRuntimeConfig(env) {
+  const config = { ...DEFAULT_CONFIG };
+  const errors = [];
   
-  const lowerContentType = contentType.toLowerCase();
-  return CONFIG.REWRITABLE_CONTENT_TYPES.some(type => 
-    lowerContentType.includes(type)
-  );
-}
-
-/**
- * 重写内容中的URL
- * @param {string} content - 原始内容
- * @param {string} contentType - 内容类型
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyUrl - 代理URL
- * @returns {string} - 重写后的内容
- */
-function rewriteContent(content, contentType, targetUrl, proxyUrl) {
-  const proxyUrlObj = new URL(proxyUrl);
-  const proxyDomain = proxyUrlObj.hostname.split('.').slice(1).join('.');
+  let jsonOverrides = {};
+  const jsonConfig = env[CONFIG_JSON_ENV_KEY];
+  if (jsonConfig !== undefined && jsonConfig !== '') {
+    try {
+      jsonOverrides = typeof jsonConfig === 'string' ? JSON.parse(jsonConfig) : jsonConfig;
+    } catch (e) {
+      errors.push(`${CONFIG_JSON_ENV_KEY}: invalid JSON (${e.message})`);
+    }
+    
+    if (!jsonOverrides || typeof jsonOverrides !== 'object' || Array.isArray(jsonOverrides)) {
+      errors.push(`${CONFIG_JSON_ENV_KEY}: expected a JSON object`);
+      jsonOverrides = {};
+    }
+    
+    for (const key of Object.keys(jsonOverrides)) {
+      if (!CONFIG_SCHEMA[key]) {
+        errors.push(`${CONFIG_JSON_ENV_KEY}.${key}: unknown config key`);
+      }
+    }
+  }
   
-  // 根据内容类型选择重写策略
-  if (contentType.includes('html')) {
-    return rewriteHtml(content, targetUrl, proxyDomain);
-  } else if (contentType.includes('css')) {
-    return rewriteCss(content, targetUrl, proxyDomain);
-  } else if (contentType.includes('javascript')) {
-    return rewriteJavaScript(content, targetUrl, proxyDomain);
-  } else if (contentType.includes('json')) {
-    return rewriteJson(content, targetUrl, proxyDomain);
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const rawValue = env[key] !== undefined ? env[key] : jsonOverrides[key];
+    if (rawValue === undefined || rawValue === '') {
+      continue;
+    }
+    
+    try {
+      config[key] = parseConfigValue(rawValue, spec);
+    } catch (e) {
+      errors.push(`${key}: ${e.message}`);
+    }
   }
   
-  // 默认使用通用重写
-  return rewriteGeneric(content, targetUrl, proxyDomain);
+  if (config.REQUIRE_SIGNED_LINKS && !getSigningSecret(config)) {
+    errors.push('REQUIRE_SIGNED_LINKS: requires SIGNING_SECRET or PANEL_PASSWORD to be set');
+  }
+  
+  const pathModeLabel = config.PATH_MODE_HOST.split('.')[0].toLowerCase();
+  if (config.PATH_MODE_HOST && (pathModeLabel === config.PANEL_SUBDOMAIN || pathModeLabel.includes('--'))) {
+    errors.push('PATH_MODE_HOST: must not be the panel host or a proxy subdomain');
+  }
+  
+  if (config.LOG_SINKS.includes('http') && !config.LOG_HTTP_URL) {
+    errors.push('LOG_SINKS: the http sink requires LOG_HTTP_URL to be set');
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid runtime configuration: ${errors.join('; ')}`);
+  }
+  
+  return Object.freeze(config);
 }
 
 /**
- * 重写HTML内容
- * @param {string} html - HTML内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的HTML
+ * 按类型定义解析单个配置值
+ * @param {any} rawValue - 原始值（环境变量为字符串，JSON 中可为任意类型）
+ * @param {Object} spec - 配置项类型定义
+ * @returns {any} - 解析后的值
+ * @throws {Error} - 值不符合类型定义时抛出
  */
-function rewriteHtml(html, targetUrl, proxyDomain) {
-  const patterns = [
-    // href 属性
-    {
-      regex: /(<[^>]+\s+href\s*=\s*["'])([^"']*)(["'])/gi,
-      handler: (match, prefix, url, suffix) => {
-        const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-        return prefix + rewrittenUrl + suffix;
+function parseConfigValue(rawValue, spec) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = typeof rawValue === 'string' && /^\s*-?\d+\s*$/.test(rawValue)
+        ? Number(rawValue)
+        : rawValue;
+      if (!Number.isInteger(value)) {
+        throw new Error(`expected an integer, got ${JSON.stringify(rawValue)}`);
       }
-    },
-    // src 属性
-    {
-      regex: /(<[^>]+\s+src\s*=\s*["'])([^"']*)(["'])/gi,
-      handler: (match, prefix, url, suffix) => {
-        const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-        return prefix + rewrittenUrl + suffix;
+      if (spec.min !== undefined && value < spec.min) {
+        throw new Error(`must be >= ${spec.min}, got ${value}`);
       }
-    },
-    // action 属性（form 标签）
-    {
-      regex: /(<form[^>]+\s+action\s*=\s*["'])([^"']*)(["'])/gi,
-      handler: (match, prefix, url, suffix) => {
-        const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-        return prefix + rewrittenUrl + suffix;
+      if (spec.max !== undefined && value > spec.max) {
+        throw new Error(`must be <= ${spec.max}, got ${value}`);
       }
-    },
-    // srcset 属性（需要特殊处理每个url）
-    {
-      regex: /(<[^>]+\s+srcset\s*=\s*["'])([^"']*)(["'])/gi,
-      handler: (match, prefix, srcset, suffix) => {
-        const rewrittenSrcset = srcset.split(',').map(src => {
-          const [url, descriptor] = src.trim().split(/\s+/);
-          const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-          return descriptor ? `${rewrittenUrl} ${descriptor}` : rewrittenUrl;
-        }).join(', ');
-        return prefix + rewrittenSrcset + suffix;
+      return value;
+    }
+    
+    case 'string': {
+      const value = typeof rawValue === 'number' ? String(rawValue) : rawValue;
+      if (typeof value !== 'string') {
+        throw new Error(`expected a string, got ${JSON.stringify(rawValue)}`);
       }
-    },
-    // style 属性中的 url(...)，这里匹配整个 style 属性的内容，稍后用 CSS 解析或简单替换
-    {
-      regex: /(<[^>]+\s+style\s*=\s*["'])([^"']*)(["'])/gi,
-      handler: (match, prefix, styleContent, suffix) => {
-        const rewrittenStyleContent = styleContent.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (m, quote, url) => {
-          const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-          return `url(${quote}${rewrittenUrl}${quote})`;
-        });
-        return prefix + rewrittenStyleContent + suffix;
+      if (spec.pattern && !spec.pattern.test(value.trim())) {
+        throw new Error(`value ${JSON.stringify(value)} does not match ${spec.pattern}`);
       }
-    },
-    // meta 标签的 content 属性中包含 URL（以 http 或 https 开头的）
-    {
-      regex: /(<meta[^>]+\s+content\s*=\s*["'])(https?:\/\/[^"']*)(["'])/gi,
-      handler: (match, prefix, url, suffix) => {
-        const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-        return prefix + rewrittenUrl + suffix;
+      if (spec.enum && !spec.enum.includes(value.trim())) {
+        throw new Error(`expected one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}`);
       }
+      return value.trim();
     }
-  ];
-
-  let result = html;
-  for (const pattern of patterns) {
-    result = result.replace(pattern.regex, pattern.handler);
+    
+    case 'boolean': {
+      if (typeof rawValue === 'boolean') {
+        return rawValue;
+      }
+      const value = String(rawValue).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(value)) return true;
+      if (['false', '0', 'no', 'off'].includes(value)) return false;
+      throw new Error(`expected a boolean, got ${JSON.stringify(rawValue)}`);
+    }
+    
+    case 'string[]': {
+      let value = rawValue;
+      if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('[')) {
+          try {
+            value = JSON.parse(trimmed);
+          } catch (e) {
+            throw new Error(`invalid JSON array (${e.message})`);
+          }
+        } else {
+          value = trimmed.split(',').map(item => item.trim()).filter(Boolean);
+        }
+      }
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new Error('expected a JSON array or comma-separated list of non-empty strings');
+      }
+      const items = value.map(item => spec.transform ? spec.transform(item.trim()) : item.trim());
+      const invalid = spec.enum ? items.find(item => !spec.enum.includes(item)) : undefined;
+      if (invalid !== undefined) {
+        throw new Error(`expected items from ${spec.enum.join(', ')}, got ${JSON.stringify(invalid)}`);
+      }
+      const mismatched = spec.pattern ? items.find(item => !spec.pattern.test(item)) : undefined;
+      if (mismatched !== undefined) {
+        throw new Error(`invalid item ${JSON.stringify(mismatched)}`);
+      }
+      return items;
+    }
+    
+    case 'json': {
+      let value = rawValue;
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          throw new Error(`invalid JSON (${e.message})`);
+        }
+      }
+      if (spec.validate) {
+        spec.validate(value);
+      }
+      return value;
+    }
+    
+    default:
+      throw new Error(`unsupported config type ${spec.type}`);
   }
-
-  // 处理内联脚本中的URL
-  result = rewriteInlineScripts(result, targetUrl, proxyDomain);
-
-  return result;
 }
 
 /**
- * 重写CSS内容
- * @param {string} css - CSS内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的CSS
+ * 判断是否为非负整数
+ * @param {any} value - 待检查的值
+ * @returns {boolean} - 是否为非负整数
  */
-function rewriteCss(css, targetUrl, proxyDomain) {
-  // 处理 url() 函数
-  css = css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
-    const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-    return `url(${quote}${rewrittenUrl}${quote})`;
-  });
-
-  // 处理 @import 中的 URL
-  css = css.replace(/@import\s+(['"])([^'"]+)\1/gi, (match, quote, url) => {
-    const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-    return `@import ${quote}${rewrittenUrl}${quote}`;
-  });
-
-  
-  return css;
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
 }
 
 /**
- * 重写JavaScript内容
- * @param {string} js - JavaScript内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的JavaScript
+ * 判断是否为源地址列表（如 ["https://mirror.example.com"]，不含路径与查询串）
+ * @param {any} value - 待检查的值
+ * @returns {boolean} - 是否为非空的源地址列表
  */
-function rewriteJavaScript(js, targetUrl, proxyDomain) {
-  // 这是一个简化的实现，处理常见的URL模式
-  // 注意：完整的JavaScript重写非常复杂，可能需要AST解析
-  
-  // 处理字符串中的完整URL
-  const urlPattern = /(["'`])(https?:\/\/[^"'`]+)\1/gi;
-  js = js.replace(urlPattern, (match, quote, url) => {
+function isOriginList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(origin => {
     try {
-      const urlObj = new URL(url);
-      if (shouldProxyUrl(urlObj, targetUrl)) {
-        const rewrittenUrl = rewriteUrl(url, targetUrl, proxyDomain);
-        return quote + rewrittenUrl + quote;
-      }
+      const url = new URL(origin);
+      return ['http:', 'https:'].includes(url.protocol) && url.origin === origin.replace(/\/$/, '');
     } catch (e) {
-      // 无效URL忽略
+      return false;
     }
-    return match;
   });
-
-  // 处理常用API调用 URL（fetch、XMLHttpRequest等）
-  js = rewriteApiCalls(js, targetUrl, proxyDomain);
-  
-  return js;
 }
 
 /**
- * 重写API调用
- * @param {string} js - JavaScript内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的JavaScript
+ * 校验按内容类型配置的 TTL 表
+ * @param {any} value - 配置值
+ * @throws {Error} - 格式不正确时抛出
  */
-function rewriteApiCalls(js, targetUrl, proxyDomain) {
-  // 在脚本开头注入URL重写函数
-  const injectionCode = `
-(function() {
-  const originalFetch = window.fetch;
-  const proxyDomain = '${proxyDomain}';
-  const targetOrigin = '${targetUrl.origin}';
-  
-  function rewriteApiUrl(url) {
-    try {
-      const urlObj = new URL(url, window.location.href);
-      if (urlObj.origin === targetOrigin || urlObj.hostname === '${targetUrl.hostname}') {
-        const proxySubdomain = urlObj.hostname.replace(/\\\\./g, '--');
-        urlObj.hostname = proxySubdomain + '.' + proxyDomain;
-        urlObj.protocol = 'https:';
-        return urlObj.toString();
-      }
-    } catch (e) {}
-    return url;
+function validateContentTypeTtls(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('expected a JSON object keyed by content type');
   }
-  
-  // 重写 fetch
-  window.fetch = function(url, ...args) {
-    return originalFetch.call(this, rewriteApiUrl(url), ...args);
-  };
-  
-  // 重写 XMLHttpRequest
-  const originalXhrOpen = XMLHttpRequest.prototype.open;
-  XMLHttpRequest.prototype.open = function(method, url, ...args) {
-    return originalXhrOpen.call(this, method, rewriteApiUrl(url), ...args);
-  };
-})();
-`;
-  
-  // 在适当的位置注入代码
-  if (js.includes('<script>') || js.includes('</head>')) {
-    // 如果是HTML中的脚本，在合适位置注入
-    js = js.replace(/(<script[^>]*>)/i, `$1\
-${injectionCode}\
-`);
-  } else {
-    // 如果是独立的JS文件，在开头注入
-    js = injectionCode + '\
-' + js;
+  for (const [contentType, ttl] of Object.entries(value)) {
+    if (!isNonNegativeInteger(ttl)) {
+      throw new Error(`TTL for ${JSON.stringify(contentType)} must be a non-negative integer (seconds)`);
+    }
   }
-  
-  return js;
 }
 
 /**
- * 重写JSON内容
- * @param {string} json - JSON内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的JSON
+ * 校验速率限制配置
+ * @param {any} value - 配置值
+ * @throws {Error} - 格式不正确时抛出
  */
-function rewriteJson(json, targetUrl, proxyDomain) {
-  try {
-    const data = JSON.parse(json);
-    const rewrittenData = rewriteJsonObject(data, targetUrl, proxyDomain);
-    return JSON.stringify(rewrittenData);
-  } catch (e) {
-    // 如果解析失败，返回原始内容
-    return json;
+function validateRateLimits(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`expected a JSON object keyed by ${RATE_LIMIT_SCOPES.join(' / ')}`);
+  }
+  for (const [scope, rule] of Object.entries(value)) {
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      throw new Error(`unknown rate limit scope ${JSON.stringify(scope)}, expected one of ${RATE_LIMIT_SCOPES.join(', ')}`);
+    }
+    if (!rule || !Number.isInteger(rule.limit) || rule.limit < 1 || !Number.isInteger(rule.window) || rule.window < 1) {
+      throw new Error(`rule for ${scope} must be { "limit": <positive integer>, "window": <positive integer seconds> }`);
+    }
   }
 }
 
 /**
- * 递归重写JSON对象中的URL
- * @param {any} obj - JSON对象
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {any} - 重写后的对象
+ * 创建以主机名为键的规则表的校验函数
+ * @param {Function} isValidValue - 规则值校验
+ * @param {string} description - 合法值的描述（用于错误信息）
+ * @returns {Function} - 校验函数，非法时抛出
  */
-function rewriteJsonObject(obj, targetUrl, proxyDomain) {
-  if (typeof obj === 'string') {
-    // 修正正则表达式，匹配以 http:// 或 https:// 开头的字符串
-    if (/^https?:\/\//.test(obj)) {
-      return rewriteUrl(obj, targetUrl, proxyDomain);
+function validateHostRuleMap(isValidValue, description) {
+  return value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('expected a JSON object keyed by hostname');
     }
-    return obj;
-  } else if (Array.isArray(obj)) {
-    return obj.map(item => rewriteJsonObject(item, targetUrl, proxyDomain));
-  } else if (obj && typeof obj === 'object') {
-    const result = {};
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        result[key] = rewriteJsonObject(obj[key], targetUrl, proxyDomain);
+    for (const [pattern, ruleValue] of Object.entries(value)) {
+      if (!/^(\*\.)?[a-z0-9.-]+$/i.test(pattern)) {
+        throw new Error(`invalid host pattern ${JSON.stringify(pattern)}`);
+      }
+      if (!isValidValue(ruleValue)) {
+        throw new Error(`value for ${JSON.stringify(pattern)} must be ${description}`);
       }
     }
-    return result;
-  }
-  // 其他类型直接返回
-  return obj;
-}
-
-/**
- * 通用内容重写
- * @param {string} content - 内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的内容
- */
-function rewriteGeneric(content, targetUrl, proxyDomain) {
-  // 替换所有匹配目标域名的URL
-  const targetDomainRegex = new RegExp(
-    `(https?://)([a-zA-Z0-9.-]*\\\\.)?${escapeRegExp(targetUrl.hostname)}`,
-    'gi'
-  );
-  
-  return content.replace(targetDomainRegex, (match, protocol, subdomain) => {
-    const fullDomain = (subdomain || '') + targetUrl.hostname;
-    const proxySubdomain = fullDomain.replace(/\\./g, '--');
-    return `https://${proxySubdomain}.${proxyDomain}`;
-  });
+  };
 }
 
 /**
- * 重写单个URL
- * @param {string} url - 原始URL
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的URL
+ * 处理请求的主函数
+ * @param {Request} request - 原始请求对象
+ * @param {Object} env - 环境变量与绑定
+ * @param {ExecutionContext} ctx - 执行上下文
+ * @returns {Promise<Response>} - 处理后的响应
  */
-function rewriteUrl(url, targetUrl, proxyDomain) {
-  if (!url || url.startsWith('data:') || url.startsWith('blob:') || url.startsWith('#')) {
-    return url;
-  }
+async function handleRequest(request, env, ctx) {
+  // 请求日志，确定目标地址后创建（见 createRequestLog）
+  let log = null;
   
   try {
-    // 处理相对URL
-    const absoluteUrl = new URL(url, targetUrl.origin);
+    const url = new URL(request.url);
+    const hostname = url.hostname;
+    const hostParts = hostname.split('.');
     
-    // 检查是否需要代理
-    if (shouldProxyUrl(absoluteUrl, targetUrl)) {
-      const proxySubdomain = absoluteUrl.hostname.replace(/\\./g, '--');
-      absoluteUrl.hostname = `${proxySubdomain}.${proxyDomain}`;
-      absoluteUrl.protocol = 'https:';
-      return absoluteUrl.toString();
+    // 检查是否为前端页面入口
+    if (hostParts[0] === CONFIG.PANEL_SUBDOMAIN || hostParts[0] === `${CONFIG.PANEL_SUBDOMAIN}--`) {
+      return await handlePanelRequest(request, url);
     }
     
-    return url;
-  } catch (e) {
-    // 如果URL解析失败，返回原始值
-    return url;
-  }
-}
-
-/**
- * 判断URL是否需要代理
- * @param {URL} url - URL对象
- * @param {URL} targetUrl - 目标URL
- * @returns {boolean} - 是否需要代理
- */
-function shouldProxyUrl(url, targetUrl) {
-  // 同源URL需要代理
-  if (url.hostname === targetUrl.hostname) {
-    return true;
-  }
-  
-  // 子域名需要代理
-  if (url.hostname.endsWith('.' + targetUrl.hostname)) {
-    return true;
-  }
-  
-  // 常见的CDN域名（可根据需要扩展）
-  const commonCdnPatterns = [
-    /\\.cloudflare\\.com$/,
-    /\\.googleapis\\.com$/,
-    /\\.gstatic\\.com$/,
-    /\\.jsdelivr\\.net$/,
-    /\\.unpkg\\.com$/
-  ];
-  
-  // 一般不代理CDN资源，除非特别需要
-  for (const pattern of commonCdnPatterns) {
-    if (pattern.test(url.hostname)) {
-      return false;
+    const pathMode = isPathModeHost(hostname);
+    if (!pathMode && !extractSubdomain(hostname)) {
+      return createErrorResponse('Invalid subdomain format', 400);
     }
-  }
-  
-  // 其他同源资源
-  return false;
-}
-
-/**
- * 重写内联脚本
- * @param {string} html - HTML内容
- * @param {URL} targetUrl - 目标URL
- * @param {string} proxyDomain - 代理域名
- * @returns {string} - 重写后的HTML
- */
-function rewriteInlineScripts(html, targetUrl, proxyDomain) {
-  // 处理内联脚本标签
-  return html.replace(/<script([^>]*)>([\s\S]*?)<\/script>/gi, (match, attrs, content) => {
-    // 跳过外部脚本
-    if (/\ssrc\s*=/i.test(attrs)) {
-      return match;
+    
+    // 路径模式主机上 /p/ 之外的地址：代理页面漏改写的根相对地址跳回来源站点；
+    // 前端页面与管理接口只在管理页面主机上提供，不与代理内容同源
+    if (pathMode && !url.pathname.startsWith(PATH_MODE_PREFIX) && url.pathname !== CLIENT_RUNTIME_PATH) {
+      return createPathModeFallbackRedirect(request, url) || createErrorResponse('Not found', 404);
     }
     
-    // 重写脚本内容
-    const rewrittenContent = rewriteJavaScript(content, targetUrl, proxyDomain);
-    return `<script${attrs}>${rewrittenContent}</script>`;
-  });
-}
-
-/**
- * 转义正则表达式特殊字符
- * @param {string} string - 输入字符串
- * @returns {string} - 转义后的字符串
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&');
-}
-
-/**
- * 清理响应头
- * @param {Headers} headers - 响应头
- */
-function cleanResponseHeaders(headers) {
-  const headersToRemove = [
-    'server',
-    'x-powered-by',
-    'x-aspnet-version',
-    'x-runtime',
-    'x-version',
-    'content-security-policy',
-    'x-frame-options',
-    'x-content-type-options'
-  ];
-  
-  headersToRemove.forEach(header => {
-    headers.delete(header);
-  });
-}
-
-/**
- * 处理前端页面请求
- * @param {Request} request - 原始请求对象
- * @returns {Promise<Response>} - 前端页面响应
- */
-function handleProxyPage(request) {
-  const url = new URL(request.url);
-  
-  if (url.pathname === '/api/generate') {
-    return handleGenerateApi(request);
-  }
-  
-  return Promise.resolve(new Response(getProxyPageHTML(url.hostname), {
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'public, max-age=3600',
-      'X-Content-Type-Options': 'nosniff',
-      'X-Frame-Options': 'DENY',
-      'X-XSS-Protection': '1; mode=block'
+    if (!CONFIG.ALLOWED_METHODS.includes(request.method)) {
+      return createErrorResponse('Method not allowed', 405);
     }
-  }));
-}
-
-/**
- * 处理生成代理链接的API请求
- * @param {Request} request - 原始请求对象
- * @returns {Promise<Response>} - API响应
- */
-async function handleGenerateApi(request) {
-  if (request.method !== 'POST') {
-    return createErrorResponse('Method not allowed', 405);
-  }
-  
-  try {
-    const body = await request.json();
-    let targetUrl = body.url;
     
-    if (!targetUrl) {
-      return createErrorResponse('URL is required', 400);
+    if (request.method === 'OPTIONS') {
+      return handleOptions(request);
     }
     
-    targetUrl = normalizeUrl(targetUrl);
+    // 客户端脚本（保留路径，不含敏感信息，无需认证）
+    if (url.pathname === CLIENT_RUNTIME_PATH) {
+      return handleClientRuntime(url);
+    }
     
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(targetUrl);
-    } catch (e) {
-      return createErrorResponse('Invalid URL format', 400);
+    // 访问控制：会话、访问授权 Cookie、签名链接或 API Key
+    const principal = await authenticate(request, 'proxy');
+    if (!principal) {
+      return createUnauthorizedResponse('A valid signed link or session is required');
     }
     
-    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-      return createErrorResponse('Only HTTP and HTTPS URLs are supported', 400);
+    // 签名链接首次访问：下发访问授权 Cookie 并跳转到去掉签名参数的地址
+    if (principal.type === 'signedUrl' && ['GET', 'HEAD'].includes(request.method)) {
+      return createAccessGrantRedirect(url, principal);
     }
     
-    if (!isPublicUrl(parsedUrl)) {
-      return createErrorResponse('Private network URLs are not allowed', 403);
+    // 客户端脚本遇到超长子域名：登记短格式后跳转
+    if (!pathMode && url.pathname === SHORT_SUBDOMAIN_REDIRECT_PATH) {
+      return handleShortSubdomainRedirect(url);
     }
     
-    const proxySubdomain = convertUrlToSubdomain(parsedUrl.hostname);
-    const originalUrl = new URL(request.url);
-    const proxyDomain = originalUrl.hostname.split('.').slice(1).join('.');
+    // 目标源地址：子域名模式解码子域名（短格式查询 KV），路径模式解析 /p/<协议>/<主机>/
+    const target = await resolveRequestTarget(url);
+    if (!target) {
+      return pathMode
+        ? createErrorResponse('Invalid proxy path', 400)
+        : createErrorResponse('Unknown short subdomain', 404);
+    }
     
-    const proxyUrl = `https://${proxySubdomain}.${proxyDomain}${parsedUrl.pathname}${parsedUrl.search}`;
+    // /p/<协议>/<主机> 补上结尾斜杠，否则页面中的相对地址会解析到 /p/<协议>/ 下
+    if (!target.pathname) {
+      const slashUrl = new URL(url);
+      slashUrl.pathname += '/';
+      return new Response(null, { status: 301, headers: { 'Location': slashUrl.toString() } });
+    }
     
-    return new Response(JSON.stringify({
-      success: true,
-      originalUrl: targetUrl,
-      proxyUrl: proxyUrl
-    }), {
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-        'Access-Control-Allow-Origin': '*'
-      }
-    });
+    // 构建目标URL
+    const targetUrl = buildTargetUrl(target, url);
+    log = createRequestLog(request, targetUrl, ctx);
+    
+    // 目标地址策略
+    const policy = await evaluatePolicy(targetUrl);
+    if (policy.action !== 'allow') {
+      return finishRequestLog(log, createPolicyResponse(policy, targetUrl), 'policy');
+    }
+    
+    // 速率限制与每日流量配额
+    const limited = await enforceRateLimits(request, principal, targetUrl.hostname) || await enforceByteQuota();
+    if (limited) {
+      return finishRequestLog(log, limited, 'rate-limit');
+    }
+    
+    // WebSocket 升级请求
+    if (isWebSocketUpgrade(request)) {
+      return finishRequestLog(log, await proxyWebSocket(request, targetUrl));
+    }
+    
+    const rewriteMode = resolveRewriteMode(url, targetUrl);
+    if (!rewriteMode) {
+      const response = createErrorResponse(`Invalid ${REWRITE_MODE_PARAM}, expected one of: ${REWRITE_MODES.join(', ')}`, 400);
+      return finishRequestLog(log, response, 'bad-request');
+    }
+    
+    // 执行代理请求（经过缓存层），统计响应流量并在响应体传输完成后记录日志
+    const response = await proxyRequestWithCache(request, targetUrl, rewriteMode, ctx, log);
+    return trackByteUsage(response, ctx, log, request.signal);
     
   } catch (error) {
-    return createErrorResponse('Invalid request body', 400);
+    console.error('Request handling error:', error);
+    const response = createErrorResponse(error.message, 500, PROXY_ERROR_CODES.INTERNAL);
+    return log ? finishRequestLog(log, response, log.errorClass || 'internal') : response;
   }
 }
 
 /**
- * 智能URL标准化处理
- * @param {string} url - 用户输入的URL
- * @returns {string} - 标准化后的URL
+ * 处理前端页面与管理接口请求
+ * @param {Request} request - 原始请求对象
+ * @param {URL} url - 请求URL
+ * @returns {Promise<Response>} - 响应
  */
-function normalizeUrl(url) {
-  if (!url || typeof url !== 'string') {
-    throw new Error('Invalid URL');
-  }
-  
-  // 去除首尾空白
-  url = url.trim();
-  
-  // 如果已经有协议，直接返回
-  if (url.match(/^https?:\/\//i)) {
-    return url;
-  }
-  
-  // 如果以 // 开头，添加 https:
-  if (url.startsWith('//')) {
-    return 'https:' + url;
+async function handlePanelRequest(request, url) {
+  if (url.pathname.startsWith('/api/')) {
+    if (isCrossSiteApiRequest(request, url)) {
+      return createErrorResponse('Cross-origin request rejected', 403);
+    }
+    
+    // 管理接口按客户端 IP / API Key 限流（含登录接口，防止暴力破解）
+    const limited = await enforceRateLimits(request, await authenticateApiKey(request, 'api'), null);
+    if (limited) {
+      return limited;
+    }
   }
-  
-  // 如果没有协议，默认添加 https://
-  return 'https://' + url;
+  return await handleProxyPage(request);
 }
 
+// 不改变服务端状态的请求方法，不做来源检查
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
- * 检查URL是否为公网地址（安全检查）
- * @param {URL} url - URL对象
- * @returns {boolean} - 是否为公网地址
+ * 判断管理页面主机上的修改类 API 请求是否为跨站请求伪造
+ * 代理页面与管理页面同站，浏览器会随代理页面发出的请求带上会话 Cookie，因此：
+ * 带有 Origin 头时必须是管理页面自身的源；没有 Origin 头时只接受不携带会话 Cookie 的请求（如使用 API Key 的脚本），
+ * 浏览器发出的修改类请求总会带上 Origin 头
+ * @param {Request} request - 原始请求对象
+ * @param {URL} url - 请求URL
+ * @returns {boolean} - 是否拒绝
  */
-function isPublicUrl(url) {
-  const hostname = url.hostname.toLowerCase();
-  
-  // 检查是否为IP地址
-  const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-  if (ipv4Regex.test(hostname)) {
-    const parts = hostname.split('.').map(Number);
-    
-    // 检查私有IP段
-    if (
-      (parts[0] === 10) || // 10.0.0.0/8
-      (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) || // 172.16.0.0/12
-      (parts[0] === 192 && parts[1] === 168) || // 192.168.0.0/16
-      (parts[0] === 127) || // 127.0.0.0/8 (localhost)
-      (parts[0] === 169 && parts[1] === 254) // 169.254.0.0/16 (link-local)
-    ) {
-      return false;
-    }
-  }
-  
-  // 检查本地域名
-  const localDomains = ['localhost', '127.0.0.1', '::1'];
-  if (localDomains.includes(hostname)) {
+function isCrossSiteApiRequest(request, url) {
+  if (SAFE_METHODS.includes(request.method)) {
     return false;
   }
   
-  return true;
+  const origin = request.headers.get('Origin');
+  if (origin) {
+    return origin !== url.origin;
+  }
+  return getCookie(request.headers, SESSION_COOKIE_NAME) !== null;
 }
 
 /**
- * 执行代理请求 - 优化IP隐藏
+ * 执行代理请求 - 统一的代理管线
+ * 请求头清理 → 上游请求 → 按重写模式处理重定向/响应内容 → Cookie 处理
  * @param {Request} originalRequest - 原始请求
  * @param {URL} targetUrl - 目标URL
+ * @param {string} rewriteMode - 重写模式（见 REWRITE_MODES）
+ * @param {ExecutionContext} ctx - 执行上下文
+ * @param {Object} [log] - 请求日志，记录上游耗时与错误分类
  * @returns {Promise<Response>} - 代理响应
  */
-async function proxyRequest(originalRequest, targetUrl) {
+async function proxyRequest(originalRequest, targetUrl, rewriteMode, ctx, log) {
+  const addressing = getProxyAddressing(new URL(originalRequest.url), ctx);
+  const headers = cleanRequestHeaders(originalRequest.headers, targetUrl, addressing);
+  
+  // 备用源属于其他站点：不发送 Cookie、Authorization 与按主机规则添加的请求头
+  const fallbackHeaders = new Headers(headers);
+  FALLBACK_STRIPPED_HEADERS.forEach(header => fallbackHeaders.delete(header));
+  
+  // 服务端 Cookie 罐模式：由 Worker 代为保存并发送上游 Cookie
+  const cookieJar = CONFIG.COOKIE_MODE === 'server'
+    ? await loadCookieJar(originalRequest.headers)
+    : null;
+  if (cookieJar) {
+    applyCookieJar(headers, cookieJar, targetUrl);
+  }
+  await applyHeaderRules(headers, targetUrl, 'request', {
+    clientHeaders: originalRequest.headers,
+    addressing: addressing
+  });
+  
+  // 读入管理后台保存的站点配置，重写内容时同步使用（见 shouldProxyUrl）
+  await loadSiteProfileOverrides();
+  
   // 准备请求选项
   const requestOptions = {
     method: originalRequest.method,
-    headers: cleanRequestHeaders(originalRequest.headers, targetUrl),
-    redirect: 'manual',
-    signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
+    headers: headers,
+    redirect: 'manual'
   };
   
   // 处理请求体
@@ -768,373 +763,8405 @@ async function proxyRequest(originalRequest, targetUrl) {
   }
   
   try {
-    const response = await fetch(targetUrl.toString(), requestOptions);
+    const upstreamStart = Date.now();
+    let { response, upstreamUrl } = await fetchUpstream(targetUrl, requestOptions, fallbackHeaders);
+    
+    // 服务端跟随同源重定向，之后以最终地址作为重写内容与 Cookie 的基准
+    let responseUrl = targetUrl;
+    if (CONFIG.FOLLOW_REDIRECTS && rewriteMode !== 'off' && REDIRECT_STATUSES.includes(response.status)) {
+      const followed = await followRedirects(response, targetUrl, requestOptions, addressing);
+      if (followed.denied) {
+        if (log) {
+          log.errorClass = 'policy';
+        }
+        return createPolicyResponse(followed.denied.policy, followed.denied.url);
+      }
+      response = followed.response;
+      responseUrl = followed.finalUrl;
+    }
+    
+    if (log) {
+      log.upstreamTime = Date.now() - upstreamStart;
+    }
+    
+    let proxyResponse;
+    if (rewriteMode === 'off') {
+      // 不做任何重写（包括重定向地址与响应头中的地址）
+      proxyResponse = await createProxyResponse(response);
+    } else if (response.status >= 300 && response.status < 400) {
+      // 处理重定向
+      proxyResponse = await handleRedirect(response, originalRequest, responseUrl, addressing);
+    } else if (rewriteMode === 'headers-only') {
+      proxyResponse = await createProxyResponse(response, {
+        targetUrl: responseUrl,
+        addressing: addressing,
+        clientHeaders: originalRequest.headers
+      });
+    } else {
+      // 创建代理响应并处理内容重写
+      proxyResponse = await createProxyResponseWithRewrite(response, originalRequest, responseUrl, rewriteMode, addressing);
+    }
+    
+    // CSP 等安全头部中的地址改写为代理地址后保留
+    rewriteSecurityHeaders(proxyResponse.headers, responseUrl, addressing, rewriteMode, isWorkerScriptRequest(originalRequest));
     
-    // 处理重定向
-    if (response.status >= 300 && response.status < 400) {
-      return handleRedirect(response, originalRequest);
+    // 处理上游下发的 Cookie（server 模式下 Set-Cookie 会移入 Cookie 罐，先记录下来供缓存层判断）
+    if (getSetCookieValues(response.headers).length > 0) {
+      responsesWithUpstreamCookies.add(proxyResponse);
     }
+    await processResponseCookies(proxyResponse.headers, originalRequest, responseUrl, cookieJar);
     
-    return createProxyResponse(response);
+    // 按主机配置的响应头规则（可基于被内置处理移除的上游头部改写）
+    await applyHeaderRules(proxyResponse.headers, targetUrl, 'response', {
+      clientHeaders: originalRequest.headers,
+      upstreamHeaders: response.headers,
+      addressing: addressing
+    });
+    
+    // 标明实际生效的重写模式，便于排查；由备用源应答时标明备用源
+    proxyResponse.headers.set('X-Proxy-Rewrite-Mode', rewriteMode);
+    if (upstreamUrl.origin !== targetUrl.origin) {
+      proxyResponse.headers.set('X-Proxy-Upstream', upstreamUrl.origin);
+    }
+    
+    return proxyResponse;
     
   } catch (error) {
-    if (error.name === 'TimeoutError') {
-      return createErrorResponse('Request timeout', 504);
+    // 上游阶段的错误由 fetchUpstream 标明错误码；拿到上游响应后读取响应体也可能超过总超时
+    const upstreamError = error.code ? error
+      : error.name === 'TimeoutError' ? createUpstreamError(PROXY_ERROR_CODES.TOTAL_TIMEOUT)
+      : null;
+    
+    if (!upstreamError) {
+      if (log) {
+        log.errorClass = 'internal';
+      }
+      console.error('Response processing error:', error);
+      return createErrorResponse(error.message, 500, PROXY_ERROR_CODES.RESPONSE_FAILED);
     }
-    throw error;
+    
+    if (log) {
+      log.errorClass = upstreamError.errorClass;
+    }
+    const response = createErrorResponse(upstreamError.message, upstreamError.status, upstreamError.code);
+    if (upstreamError.retryAfter) {
+      response.headers.set('Retry-After', String(upstreamError.retryAfter));
+    }
+    return response;
   }
 }
 
+// 代理错误码（错误响应 JSON 中的 code 字段），标明请求在哪个阶段失败
+const PROXY_ERROR_CODES = {
+  CONNECT_TIMEOUT: 'upstream_connect_timeout',
+  CONNECT_FAILED: 'upstream_connect_failed',
+  TOTAL_TIMEOUT: 'upstream_timeout',
+  CIRCUIT_OPEN: 'upstream_circuit_open',
+  REDIRECT_LOOP: 'redirect_loop',
+  RESPONSE_FAILED: 'response_processing_failed',
+  INTERNAL: 'internal_error'
+};
+
+// 各上游错误码对应的提示、状态码与日志中的错误分类
+const UPSTREAM_ERRORS = {
+  [PROXY_ERROR_CODES.CONNECT_TIMEOUT]: { message: 'Upstream did not respond in time', status: 504, errorClass: 'timeout' },
+  [PROXY_ERROR_CODES.CONNECT_FAILED]: { message: 'Unable to connect to upstream', status: 502, errorClass: 'upstream' },
+  [PROXY_ERROR_CODES.TOTAL_TIMEOUT]: { message: 'Request timeout', status: 504, errorClass: 'timeout' },
+  [PROXY_ERROR_CODES.CIRCUIT_OPEN]: { message: 'Upstream is temporarily unavailable (circuit open)', status: 503, errorClass: 'circuit-open' },
+  [PROXY_ERROR_CODES.REDIRECT_LOOP]: { message: 'Redirect loop detected', status: 508, errorClass: 'redirect' }
+};
+
+// 可以安全重试（以及切换到备用源）的幂等方法；带请求体的请求无法重放，不会重试
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// 触发重试的上游状态码
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// 发往备用源时移除的请求头（凭据只属于主源）
+const FALLBACK_STRIPPED_HEADERS = ['Cookie', 'Authorization'];
+
+// 熔断状态最多记录的上游数（只记录正在失败的上游）
+const CIRCUIT_BREAKER_MAX_HOSTS = 1000;
+
+// 各上游的熔断状态 host -> { failures, openedAt, probing }
+const circuitBreakers = new Map();
+
 /**
- * 清理请求头 - 完全隐藏源IP
- * @param {Headers} originalHeaders - 原始请求头
+ * 请求上游（容错层）
+ * 幂等请求在连接失败或 502/503/504 时按指数退避重试，主源用尽后依次尝试 UPSTREAM_FALLBACKS 中的备用源；
+ * 每个源单独熔断，熔断中的源直接跳过。所有源都失败时：有上游响应则返回最后一个响应，否则抛出上游错误
+ * 备用源同样经过目标地址策略，请求不带主源的凭据，响应中的 Set-Cookie 丢弃（不能写入主源的 Cookie）
  * @param {URL} targetUrl - 目标URL
- * @returns {Headers} - 清理后的请求头
+ * @param {Object} requestOptions - fetch 选项（超时信号由这里添加）
+ * @param {Headers} [fallbackHeaders] - 发往备用源的请求头，省略时不尝试备用源
+ * @returns {Promise<Object>} - { response, upstreamUrl }
+ * @throws {Error} - 上游错误（见 createUpstreamError）
  */
-function cleanRequestHeaders(originalHeaders, targetUrl) {
-  const cleanedHeaders = new Headers();
+async function fetchUpstream(targetUrl, requestOptions, fallbackHeaders) {
+  const totalSignal = AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT);
+  const retryable = IDEMPOTENT_METHODS.includes(requestOptions.method) && !requestOptions.body;
+  const upstreamUrls = retryable && fallbackHeaders ? [targetUrl, ...getFallbackUrls(targetUrl)] : [targetUrl];
   
-  // 复制允许的请求头
-  for (const [key, value] of originalHeaders.entries()) {
-    const lowerKey = key.toLowerCase();
-    if (!CONFIG.BLOCKED_HEADERS.includes(lowerKey)) {
-      cleanedHeaders.set(key, value);
+  let lastResult = null;
+  let lastError = null;
+  
+  for (const upstreamUrl of upstreamUrls) {
+    const isFallback = upstreamUrl !== targetUrl;
+    let upstreamOptions = requestOptions;
+    if (isFallback) {
+      const policy = await evaluatePolicy(upstreamUrl);
+      if (policy.action !== 'allow') {
+        console.warn(`Upstream fallback ${upstreamUrl.origin} skipped by policy: ${policy.reason || policy.action}`);
+        continue;
+      }
+      
+      upstreamOptions = { ...requestOptions, headers: new Headers(fallbackHeaders) };
+      upstreamOptions.headers.set('Host', upstreamUrl.host);
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      const retryAfter = acquireCircuit(upstreamUrl.host);
+      if (retryAfter) {
+        lastError = lastError || createUpstreamError(PROXY_ERROR_CODES.CIRCUIT_OPEN, { retryAfter: retryAfter });
+        break;
+      }
+      
+      if (attempt > 0) {
+        await waitForRetry(attempt, totalSignal);
+      }
+      
+      let response;
+      try {
+        response = await fetchWithConnectTimeout(upstreamUrl, upstreamOptions, totalSignal);
+        if (isFallback) {
+          response = new Response(response.body, response);
+          response.headers.delete('Set-Cookie');
+        }
+      } catch (error) {
+        recordCircuitResult(upstreamUrl.host, false);
+        if (error.code === PROXY_ERROR_CODES.TOTAL_TIMEOUT) {
+          throw error;
+        }
+        lastError = error;
+        if (retryable && attempt < CONFIG.UPSTREAM_RETRIES) {
+          continue;
+        }
+        break;
+      }
+      
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        recordCircuitResult(upstreamUrl.host, true);
+        if (lastResult) {
+          discardResponse(lastResult.response);
+        }
+        return { response: response, upstreamUrl: upstreamUrl };
+      }
+      
+      // 上游自身的 502/503/504：可以重试时丢弃，否则作为最终结果返回
+      recordCircuitResult(upstreamUrl.host, false);
+      if (lastResult) {
+        discardResponse(lastResult.response);
+      }
+      lastResult = { response: response, upstreamUrl: upstreamUrl };
+      if (!retryable || attempt >= CONFIG.UPSTREAM_RETRIES) {
+        break;
+      }
     }
   }
   
-  // 设置正确的目标服务器信息
-  cleanedHeaders.set('Host', targetUrl.hostname);
-  
-  // 重写Origin头部
-  if (originalHeaders.has('Origin')) {
-    cleanedHeaders.set('Origin', targetUrl.origin);
-  }
-  
-  // 重写Referer头部
-  if (originalHeaders.has('Referer')) {
-    const referer = originalHeaders.get('Referer');
-    try {
-      const refererUrl = new URL(referer);
-      refererUrl.hostname = targetUrl.hostname;
-      refererUrl.protocol = targetUrl.protocol;
-      cleanedHeaders.set('Referer', refererUrl.toString());
-    } catch (e) {
-      cleanedHeaders.delete('Referer');
-    }
-  }
-  
-  // 添加一些标准头部以模拟正常请求
-  if (!cleanedHeaders.has('User-Agent')) {
-    cleanedHeaders.set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  if (lastResult) {
+    return lastResult;
   }
+  throw lastError;
+}
+
+/**
+ * 发起单次上游请求：CONNECT_TIMEOUT 内未收到响应头即放弃，总超时信号同时作用于响应体
+ * @param {URL} upstreamUrl - 上游URL
+ * @param {Object} requestOptions - fetch 选项
+ * @param {AbortSignal} totalSignal - 总超时信号
+ * @returns {Promise<Response>} - 上游响应
+ * @throws {Error} - 上游错误（见 createUpstreamError）
+ */
+async function fetchWithConnectTimeout(upstreamUrl, requestOptions, totalSignal) {
+  const connectController = new AbortController();
+  const timer = setTimeout(() => connectController.abort(), CONFIG.CONNECT_TIMEOUT);
   
-  // 设置Accept头部
-  if (!cleanedHeaders.has('Accept')) {
-    cleanedHeaders.set('Accept', 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8');
+  try {
+    return await fetch(upstreamUrl.toString(), {
+      ...requestOptions,
+      signal: AbortSignal.any([totalSignal, connectController.signal])
+    });
+  } catch (error) {
+    if (totalSignal.aborted) {
+      throw createUpstreamError(PROXY_ERROR_CODES.TOTAL_TIMEOUT);
+    }
+    if (connectController.signal.aborted) {
+      throw createUpstreamError(PROXY_ERROR_CODES.CONNECT_TIMEOUT);
+    }
+    console.error(`Upstream fetch error (${upstreamUrl.host}):`, error);
+    throw createUpstreamError(PROXY_ERROR_CODES.CONNECT_FAILED);
+  } finally {
+    clearTimeout(timer);
   }
-  
-  // 设置Accept-Language
-  if (!cleanedHeaders.has('Accept-Language')) {
-    cleanedHeaders.set('Accept-Language', 'en-US,en;q=0.5');
+}
+
+/**
+ * 重试前等待：UPSTREAM_RETRY_BACKOFF × 2^(次数-1)，加上最多一倍的随机抖动
+ * @param {number} attempt - 第几次重试（从 1 开始）
+ * @param {AbortSignal} totalSignal - 总超时信号
+ * @throws {Error} - 等待期间超过总超时时抛出
+ */
+async function waitForRetry(attempt, totalSignal) {
+  const delay = CONFIG.UPSTREAM_RETRY_BACKOFF * 2 ** (attempt - 1) * (1 + Math.random());
+  await new Promise(resolve => setTimeout(resolve, delay));
+  if (totalSignal.aborted) {
+    throw createUpstreamError(PROXY_ERROR_CODES.TOTAL_TIMEOUT);
   }
-  
-  // 设置Accept-Encoding
-  if (!cleanedHeaders.has('Accept-Encoding')) {
-    cleanedHeaders.set('Accept-Encoding', 'gzip, deflate, br');
+}
+
+/**
+ * 丢弃不再使用的上游响应，释放连接
+ * @param {Response} response - 上游响应
+ */
+function discardResponse(response) {
+  if (response.body) {
+    response.body.cancel().catch(() => {});
   }
-  
-  return cleanedHeaders;
 }
 
 /**
- * 提取并验证子域名
- * @param {string} hostname - 主机名
- * @returns {string|null} - 子域名或null
+ * 创建上游错误
+ * @param {string} code - 错误码（见 PROXY_ERROR_CODES）
+ * @param {Object} [extra] - 附加字段，如 { retryAfter }
+ * @returns {Error} - 带 code / status / errorClass 的错误对象
  */
-function extractSubdomain(hostname) {
-  const parts = hostname.split('.');
-  if (parts.length < 2) return null;
-  
-  const subdomain = parts[0];
-  
-  // 验证子域名格式（允许字母数字和连字符）
-  if (!/^[a-zA-Z0-9-]+$/.test(subdomain)) {
-    return null;
+function createUpstreamError(code, extra = {}) {
+  const { message, status, errorClass } = UPSTREAM_ERRORS[code];
+  return Object.assign(new Error(message), { code: code, status: status, errorClass: errorClass }, extra);
+}
+
+/**
+ * 获取目标地址的备用源地址（路径与查询串不变）
+ * @param {URL} targetUrl - 目标URL
+ * @returns {Array<URL>} - 备用源上的同一地址
+ */
+function getFallbackUrls(targetUrl) {
+  const origins = findHostRule(CONFIG.UPSTREAM_FALLBACKS, targetUrl.hostname) || [];
+  return origins.map(origin => new URL(targetUrl.pathname + targetUrl.search, origin));
+}
+
+/**
+ * 检查上游是否可以请求：熔断冷却期内返回剩余秒数；冷却结束后放行一个试探请求（半开状态），
+ * 试探结果出来之前的其他请求仍按熔断处理
+ * @param {string} host - 上游主机
+ * @returns {number} - 0 表示可以请求，否则为建议的重试等待秒数
+ */
+function acquireCircuit(host) {
+  const state = circuitBreakers.get(host);
+  if (!state || state.failures < CONFIG.CIRCUIT_BREAKER_THRESHOLD) {
+    return 0;
   }
   
-  // 验证连字符格式的子域名
-  if (!isValidSubdomainFormat(subdomain)) {
-    return null;
+  const remaining = state.openedAt + CONFIG.CIRCUIT_BREAKER_COOLDOWN - Date.now();
+  if (remaining > 0 || state.probing) {
+    return Math.max(1, Math.ceil(remaining / 1000));
   }
   
-  return subdomain;
+  state.probing = true;
+  return 0;
 }
 
 /**
- * 验证子域名格式是否符合要求
- * @param {string} subdomain - 子域名
- * @returns {boolean} - 是否有效
+ * 记录上游请求结果：成功时清除熔断状态，连续失败达到阈值时打开熔断（半开试探失败时重新计时）
+ * @param {string} host - 上游主机
+ * @param {boolean} success - 是否成功
  */
-function isValidSubdomainFormat(subdomain) {
-  // 不能以连字符开头或结尾
-  if (subdomain.startsWith('-') || subdomain.endsWith('-')) {
-    return false;
+function recordCircuitResult(host, success) {
+  if (CONFIG.CIRCUIT_BREAKER_THRESHOLD === 0) {
+    return;
+  }
+  if (success) {
+    circuitBreakers.delete(host);
+    return;
   }
   
-  // 分割后至少要有2个部分
-  const parts = subdomain.split('--');
-  if (parts.length < 2) {
-    return false;
+  const state = circuitBreakers.get(host) || { failures: 0, openedAt: 0, probing: false };
+  state.failures++;
+  if (state.failures >= CONFIG.CIRCUIT_BREAKER_THRESHOLD) {
+    state.openedAt = Date.now();
+    state.probing = false;
   }
   
-  // 每个部分都必须有效
-  return parts.every(part => {
-    return part.length > 0 && /^[a-zA-Z0-9-]+$/.test(part) && 
-           !part.startsWith('-') && !part.endsWith('-');
-  });
+  // 重新插入使其排到最后，超出上限时丢弃最久未失败的上游
+  circuitBreakers.delete(host);
+  circuitBreakers.set(host, state);
+  if (circuitBreakers.size > CIRCUIT_BREAKER_MAX_HOSTS) {
+    circuitBreakers.delete(circuitBreakers.keys().next().value);
+  }
 }
 
+// 可缓存的响应状态码
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 404, 410];
+
+// 上游下发过 Set-Cookie 的代理响应（server 模式下这些 Cookie 已移入 Cookie 罐，响应头中不再可见），不写入缓存
+const responsesWithUpstreamCookies = new WeakSet();
+
+// 缓存键中标记重写模式的参数
+const CACHE_KEY_MODE_PARAM = '__proxy_cache_mode';
+
 /**
- * 构建目标URL
- * @param {string} subdomain - 子域名（格式：aaa--bb--com）
- * @param {URL} originalUrl - 原始URL对象
- * @returns {URL} - 目标URL对象
+ * 带缓存的代理请求
+ * 命中缓存时直接返回（并在本地应答 If-None-Match / If-Modified-Since 条件请求）；
+ * 未命中时执行 proxyRequest，并把重写后的响应写入缓存，后续请求不再重复重写
+ * @param {Request} originalRequest - 原始请求
+ * @param {URL} targetUrl - 目标URL
+ * @param {string} rewriteMode - 重写模式
+ * @param {ExecutionContext} ctx - 执行上下文
+ * @param {Object} [log] - 请求日志（见 createRequestLog）
+ * @returns {Promise<Response>} - 代理响应
  */
-function buildTargetUrl(subdomain, originalUrl) {
-  const targetDomain = convertSubdomainToUrl(subdomain);
+async function proxyRequestWithCache(originalRequest, targetUrl, rewriteMode, ctx, log) {
+  const cache = getResponseCache();
   
-  if (!targetDomain) {
-    throw new Error('Invalid subdomain format');
+  if (!cache || !['GET', 'HEAD'].includes(originalRequest.method) || findHostRule(CONFIG.CACHE_TTL_RULES, targetUrl.hostname) === 0 ||
+      hasUpstreamCredentials(originalRequest, targetUrl) || isWorkerScriptRequest(originalRequest)) {
+    const response = await proxyRequest(originalRequest, targetUrl, rewriteMode, ctx, log);
+    response.headers.set('X-Proxy-Cache', 'BYPASS');
+    return response;
   }
   
-  const targetUrl = new URL(`https://${targetDomain}`);
-  targetUrl.pathname = originalUrl.pathname;
-  targetUrl.search = originalUrl.search;
+  const cacheKey = buildCacheKey(originalRequest.url, rewriteMode);
+  const cached = await cache.match(cacheKey);
   
-  return targetUrl;
+  if (cached) {
+    return createCachedResponse(cached, originalRequest);
+  }
+  
+  // 不把条件请求头转发给上游，以便拿到完整响应写入缓存，条件请求在本地应答
+  const upstreamRequest = new Request(originalRequest);
+  CONDITIONAL_REQUEST_HEADERS.forEach(header => upstreamRequest.headers.delete(header));
+  
+  const response = await proxyRequest(upstreamRequest, targetUrl, rewriteMode, ctx, log);
+  const ttl = originalRequest.method === 'GET' ? getCacheTtl(response, originalRequest, targetUrl) : 0;
+  
+  if (ttl > 0) {
+    const cacheEntry = new Response(response.clone().body, response);
+    cacheEntry.headers.set('Cache-Control', `public, max-age=${ttl}`);
+    cacheEntry.headers.set('X-Proxy-Cached-At', new Date().toUTCString());
+    cacheEntry.headers.delete('X-Proxy-Cache');
+    
+    const putPromise = cache.put(cacheKey, cacheEntry).catch(error => {
+      console.error('Cache put error:', error);
+    });
+    if (ctx && typeof ctx.waitUntil === 'function') {
+      ctx.waitUntil(putPromise);
+    }
+    
+    response.headers.set('X-Proxy-Cache', 'MISS');
+  } else {
+    response.headers.set('X-Proxy-Cache', 'BYPASS');
+  }
+  
+  return isNotModified(originalRequest, response.headers) ? createNotModifiedResponse(response.headers) : response;
 }
 
+// 条件请求头
+const CONDITIONAL_REQUEST_HEADERS = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range'];
+
+// 304 响应中保留的头部
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary', 'x-proxy-cache', 'x-proxy-rewrite-mode'];
+
 /**
- * 将连字符格式的子域名转换为标准URL格式
- * @param {string} subdomain - 连字符格式的子域名（如：aaa--bb--com）
- * @returns {string|null} - 转换后的域名（如：aaa.bb.com）或null
+ * 获取 Workers 默认缓存（不可用或关闭缓存时为 null）
+ * @returns {Cache|null} - 缓存对象
  */
-function convertSubdomainToUrl(subdomain) {
-  if (!subdomain || typeof subdomain !== 'string') {
+function getResponseCache() {
+  if (!CONFIG.CACHE_ENABLED || typeof caches === 'undefined' || !caches.default) {
     return null;
   }
+  return caches.default;
+}
+
+/**
+ * 构建缓存键：代理地址（已包含目标主机与代理域名）+ 重写模式
+ * @param {string} proxyUrl - 代理地址
+ * @param {string} rewriteMode - 重写模式
+ * @returns {Request} - 缓存键
+ */
+function buildCacheKey(proxyUrl, rewriteMode) {
+  const keyUrl = new URL(proxyUrl);
+  stripSignedUrlParams(keyUrl);
+  keyUrl.searchParams.delete(REWRITE_MODE_PARAM);
+  keyUrl.searchParams.set(CACHE_KEY_MODE_PARAM, rewriteMode);
+  keyUrl.hash = '';
+  return new Request(keyUrl.toString(), { method: 'GET' });
+}
+
+/**
+ * 计算响应的缓存时间
+ * 不缓存：no-store / private / no-cache、带 Set-Cookie、Vary 包含 Accept-Encoding 以外的头、
+ * 带 Authorization 且未声明 public 的请求；按主机规则覆盖的 TTL 优先于上游的缓存时间
+ * @param {Response} response - 代理响应
+ * @param {Request} originalRequest - 原始请求
+ * @param {URL} targetUrl - 目标URL
+ * @returns {number} - 缓存秒数，0 表示不缓存
+ */
+function getCacheTtl(response, originalRequest, targetUrl) {
+  if (!CACHEABLE_STATUSES.includes(response.status) || response.headers.has('Set-Cookie') || responsesWithUpstreamCookies.has(response)) {
+    return 0;
+  }
   
-  subdomain = subdomain.trim();
+  const cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+  if ('no-store' in cacheControl || 'private' in cacheControl || 'no-cache' in cacheControl) {
+    return 0;
+  }
   
-  if (!/^[a-zA-Z0-9-]+$/.test(subdomain)) {
-    return null;
+  if (originalRequest.headers.has('Authorization') && !('public' in cacheControl) && !('s-maxage' in cacheControl)) {
+    return 0;
   }
   
-  const parts = subdomain.split('--');
+  const vary = (response.headers.get('Vary') || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+  if (vary.some(item => item !== 'accept-encoding')) {
+    return 0;
+  }
   
-  if (parts.length < 2) {
-    return null;
+  const hostTtl = findHostRule(CONFIG.CACHE_TTL_RULES, targetUrl.hostname);
+  if (hostTtl !== undefined) {
+    return hostTtl;
   }
   
-  if (parts.some(part => !part || part.length === 0)) {
-    return null;
+  for (const directive of ['s-maxage', 'max-age']) {
+    if (directive in cacheControl) {
+      const seconds = parseInt(cacheControl[directive], 10);
+      return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+    }
+  }
+  
+  const expires = response.headers.get('Expires');
+  if (expires) {
+    const date = Date.parse(response.headers.get('Date') || '') || Date.now();
+    const seconds = Math.floor((Date.parse(expires) - date) / 1000);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  }
+  
+  // 上游没有给出缓存时间，按内容类型使用默认值
+  const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+  for (const [type, ttl] of Object.entries(CONFIG.CACHE_CONTENT_TYPE_TTLS)) {
+    if (contentType.includes(type.toLowerCase())) {
+      return ttl;
+    }
   }
   
-  return parts.join('.');
+  return 0;
 }
 
 /**
- * 将标准URL格式转换回连字符格式
- * @param {string} hostname - 标准域名（如：aaa.bb.com）
- * @returns {string|null} - 连字符格式（如：aaa--bb--com）或null
+ * 解析 Cache-Control 头
+ * @param {string|null} value - Cache-Control 值
+ * @returns {Object} - 指令表（无值的指令值为 true）
  */
-function convertUrlToSubdomain(hostname) {
-  if (!hostname || typeof hostname !== 'string') {
-    return null;
+function parseCacheControl(value) {
+  const directives = {};
+  for (const part of (value || '').split(',')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = rest.length > 0 ? rest.join('=').replace(/^"|"$/g, '') : true;
+    }
   }
+  return directives;
+}
+
+/**
+ * 从缓存条目生成响应
+ * @param {Response} cached - 缓存条目
+ * @param {Request} originalRequest - 原始请求
+ * @returns {Response} - 响应（条件请求满足时为 304）
+ */
+function createCachedResponse(cached, originalRequest) {
+  const response = new Response(originalRequest.method === 'HEAD' ? null : cached.body, cached);
+  const cachedAt = Date.parse(response.headers.get('X-Proxy-Cached-At') || '');
   
-  if (!/^[a-zA-Z0-9.-]+$/.test(hostname)) {
-    return null;
+  if (cachedAt) {
+    response.headers.set('Age', String(Math.max(0, Math.floor((Date.now() - cachedAt) / 1000))));
   }
+  response.headers.delete('X-Proxy-Cached-At');
+  response.headers.set('X-Proxy-Cache', 'HIT');
   
-  return hostname.replace(/\./g, '--');
+  return isNotModified(originalRequest, response.headers) ? createNotModifiedResponse(response.headers) : response;
 }
 
 /**
- * 创建代理响应 - 移除可能暴露信息的头部
- * @param {Response} originalResponse - 原始响应
- * @returns {Response} - 处理后的响应
+ * 判断条件请求是否满足（资源未修改）
+ * @param {Request} request - 原始请求
+ * @param {Headers} headers - 响应头
+ * @returns {boolean} - 是否可以返回 304
  */
-function createProxyResponse(originalResponse) {
-  const response = new Response(originalResponse.body, {
-    status: originalResponse.status,
-    statusText: originalResponse.statusText,
-    headers: originalResponse.headers
-  });
+function isNotModified(request, headers) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const etag = headers.get('ETag');
   
-  // 添加CORS头
-  addCorsHeaders(response.headers);
+  if (ifNoneMatch) {
+    if (!etag) {
+      return false;
+    }
+    // 弱比较：忽略 W/ 前缀
+    const normalizedEtag = etag.replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === normalizedEtag);
+  }
   
-  // 移除可能暴露服务器信息的头部
-  const headersToRemove = [
-    'server',
-    'x-powered-by',
-    'x-aspnet-version',
-    'x-runtime',
-    'x-version',
-    'content-security-policy',
-    'x-frame-options',
-    'x-content-type-options'
-  ];
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(headers.get('Last-Modified') || '');
   
-  headersToRemove.forEach(header => {
-    response.headers.delete(header);
+  return Boolean(ifModifiedSince && lastModified && lastModified <= ifModifiedSince);
+}
+
+/**
+ * 创建 304 响应
+ * @param {Headers} headers - 完整响应的头部
+ * @returns {Response} - 304 响应
+ */
+function createNotModifiedResponse(headers) {
+  const notModifiedHeaders = new Headers();
+  for (const [key, value] of headers.entries()) {
+    const lowerKey = key.toLowerCase();
+    if (NOT_MODIFIED_HEADERS.includes(lowerKey) || lowerKey.startsWith('access-control-')) {
+      notModifiedHeaders.set(key, value);
+    }
+  }
+  
+  return new Response(null, {
+    status: 304,
+    headers: notModifiedHeaders
   });
+}
+
+/**
+ * 判断请求是否携带了会转发给上游的凭据（上游 Cookie 或 Cookie 罐）
+ * 这类请求的响应可能是个性化的，而缓存键只包含地址与重写模式，因此既不读取也不写入缓存
+ * @param {Request} request - 原始请求对象
+ * @param {URL} targetUrl - 目标URL
+ * @returns {boolean} - 是否携带上游凭据
+ */
+function hasUpstreamCredentials(request, targetUrl) {
+  if (CONFIG.COOKIE_MODE === 'server' && getCookie(request.headers, COOKIE_JAR_COOKIE_NAME)) {
+    return true;
+  }
   
-  return response;
+  const cookieHeader = request.headers.get('Cookie');
+  return !!cookieHeader && filterRequestCookies(cookieHeader, targetUrl, getProxyAddressing(new URL(request.url))) !== '';
 }
 
 /**
- * 处理重定向
- * @param {Response} response - 重定向响应
- * @param {Request} originalRequest - 原始请求
- * @returns {Response} - 处理后的响应
+ * 处理缓存清除API请求
+ * 注意：Cache API 的删除只作用于当前数据中心，其他数据中心的缓存仍会保留到过期
+ * 请求体：{ "url": "..." } 或 { "urls": ["..."] }，地址可以是原始地址或代理地址，清除所有重写模式下的缓存
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - API响应
  */
-function handleRedirect(response, originalRequest) {
-  const location = response.headers.get('Location');
-  if (!location) {
-    return createProxyResponse(response);
+async function handleCachePurgeApi(request) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  const cache = getResponseCache();
+  if (!cache) {
+    return createErrorResponse('Cache is not available', 503);
   }
   
+  let body;
   try {
-    const redirectUrl = new URL(location);
-    const originalUrl = new URL(originalRequest.url);
-    
-    if (isStandardDomain(redirectUrl.hostname)) {
-      const convertedSubdomain = convertUrlToSubdomain(redirectUrl.hostname);
-      if (convertedSubdomain) {
-        const originalHostParts = originalUrl.hostname.split('.');
-        const proxyDomain = originalHostParts.slice(1).join('.');
-        redirectUrl.hostname = `${convertedSubdomain}.${proxyDomain}`;
-        
-        const redirectResponse = new Response(response.body, {
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers
-        });
-        
-        redirectResponse.headers.set('Location', redirectUrl.toString());
-        addCorsHeaders(redirectResponse.headers);
-        
-        return redirectResponse;
+    body = await request.json();
+  } catch (e) {
+    return createErrorResponse('Invalid request body', 400);
+  }
+  
+  const urls = Array.isArray(body.urls) ? body.urls : [body.url];
+  if (urls.length === 0 || urls.some(url => typeof url !== 'string' || !url.trim())) {
+    return createErrorResponse('URL is required', 400);
+  }
+  
+  const addressing = getProxyAddressing(new URL(request.url));
+  const results = [];
+  
+  for (const url of urls) {
+    const proxyUrl = toCacheProxyUrl(url, addressing);
+    if (!proxyUrl) {
+      results.push({ url: url, error: 'Invalid URL format' });
+      continue;
+    }
+    
+    let deleted = 0;
+    for (const mode of REWRITE_MODES) {
+      if (await cache.delete(buildCacheKey(proxyUrl, mode))) {
+        deleted++;
       }
     }
-  } catch (e) {
-    console.error('Redirect handling error:', e);
+    results.push({ url: url, proxyUrl: proxyUrl, deleted: deleted });
   }
   
-  return createProxyResponse(response);
+  return new Response(JSON.stringify({ success: true, results: results }), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
 }
 
 /**
- * 检查是否为标准域名格式
- * @param {string} hostname - 主机名
- * @returns {boolean} - 是否为标准域名
+ * 将待清除的地址转换为代理地址
+ * @param {string} url - 原始地址或代理地址
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string|null} - 代理地址
  */
-function isStandardDomain(hostname) {
-  return /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(hostname) && 
-         hostname.includes('.') &&
-         !hostname.includes('--');
+function toCacheProxyUrl(url, addressing) {
+  try {
+    const parsedUrl = new URL(normalizeUrl(url));
+    if (isProxyUrl(parsedUrl, addressing)) {
+      return parsedUrl.toString();
+    }
+    
+    parsedUrl.hash = '';
+    return buildProxyUrl(parsedUrl, addressing);
+  } catch (e) {
+    return null;
+  }
 }
 
+// 速率限制的维度：客户端 IP、API Key、目标主机
+const RATE_LIMIT_SCOPES = ['ip', 'apiKey', 'host'];
+
+// 计数器 Durable Object 绑定名称（未绑定时使用仅在当前 isolate 内有效的内存计数）
+const RATE_LIMITER_BINDING_NAME = 'RATE_LIMITER';
+
+// 内存计数器保留的令牌桶上限，超出后淘汰最久未使用的
+const MEMORY_RATE_LIMIT_MAX_BUCKETS = 10000;
+
+// 未绑定 Durable Object 时使用的内存计数
+const memoryRateLimitBuckets = new Map();
+const memoryByteUsage = new Map();
+
 /**
- * 处理 OPTIONS 预检请求
- * @param {Request} request - 原始请求
- * @returns {Response} - OPTIONS响应
+ * 按配置的各个维度检查速率限制
+ * @param {Request} request - 原始请求对象（客户端 IP 取自 cf-connecting-ip，须在清理请求头之前读取）
+ * @param {Object|null} principal - 认证主体
+ * @param {string|null} targetHost - 目标主机名
+ * @returns {Promise<Response|null>} - 超出限制时为 429 响应，否则为 null
  */
-function handleOptions(request) {
-  const headers = new Headers();
-  addCorsHeaders(headers);
+async function enforceRateLimits(request, principal, targetHost) {
+  const keys = {
+    ip: request.headers.get('cf-connecting-ip'),
+    apiKey: principal && principal.type === 'apiKey' ? principal.id : null,
+    host: targetHost
+  };
   
-  const requestHeaders = request.headers.get('Access-Control-Request-Headers');
-  if (requestHeaders) {
-    headers.set('Access-Control-Allow-Headers', requestHeaders);
-  }
+  const store = getRateLimitStore();
   
-  const requestMethod = request.headers.get('Access-Control-Request-Method');
-  if (requestMethod && CONFIG.ALLOWED_METHODS.includes(requestMethod)) {
-    headers.set('Access-Control-Allow-Methods', CONFIG.ALLOWED_METHODS.join(', '));
+  for (const scope of RATE_LIMIT_SCOPES) {
+    const rule = CONFIG.RATE_LIMITS[scope];
+    if (!rule || !keys[scope]) {
+      continue;
+    }
+    
+    const result = await store.consume(`rl:${scope}:${keys[scope]}`, rule);
+    if (!result.allowed) {
+      return createRateLimitedResponse(`Rate limit exceeded (${scope})`, result.retryAfter);
+    }
   }
   
-  return new Response(null, {
-    status: 204,
-    headers: headers
-  });
+  return null;
 }
 
 /**
- * 添加CORS头
- * @param {Headers} headers - 响应头对象
+ * 检查每日流量配额
+ * @returns {Promise<Response|null>} - 配额用尽时为 429 响应，否则为 null
  */
-function addCorsHeaders(headers) {
-  headers.set('Access-Control-Allow-Origin', '*');
-  headers.set('Access-Control-Allow-Methods', CONFIG.ALLOWED_METHODS.join(', '));
-  headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
-  headers.set('Access-Control-Max-Age', CONFIG.CORS_MAX_AGE);
-  headers.set('Access-Control-Expose-Headers', 'Content-Length, Content-Type');
+async function enforceByteQuota() {
+  if (!CONFIG.DAILY_BYTE_QUOTA) {
+    return null;
+  }
+  
+  const usedBytes = await getRateLimitStore().getUsage(getUsageDay());
+  if (usedBytes < CONFIG.DAILY_BYTE_QUOTA) {
+    return null;
+  }
+  
+  return createRateLimitedResponse('Daily traffic quota exceeded', Math.ceil((getUsageResetTime() - Date.now()) / 1000));
 }
 
+// 流量用量分段累加的阈值：大响应传输过程中每累计这么多字节就计入一次当日用量
+const USAGE_FLUSH_BYTES = 1024 * 1024;
+
 /**
- * 创建错误响应
- * @param {string} message - 错误消息
- * @param {number} status - HTTP状态码
- * @returns {Response} - 错误响应
+ * 统计代理响应的流量（传输过程中分段累加到当日用量，传输结束或中断时记录请求日志）
+ * 不使用 TransformStream 的 cancel 回调统计中断的传输：该回调是较新加入 Streams 标准的，Node 20 与较早兼容日期的 Workers 不会调用。
+ * 改为用 ReadableStream 包装上游响应体，读取出错与下游取消都能感知；请求的中止信号（客户端断开）作为兜底
+ * @param {Response} response - 代理响应
+ * @param {ExecutionContext} ctx - 执行上下文
+ * @param {Object} [log] - 请求日志（见 createRequestLog）
+ * @param {AbortSignal} [signal] - 原始请求的中止信号
+ * @returns {Response} - 包装后的响应
  */
-function createErrorResponse(message, status = 500) {
-  const errorBody = JSON.stringify({
-    error: message,
-    status: status,
-    timestamp: new Date().toISOString()
+function trackByteUsage(response, ctx, log, signal) {
+  const trackQuota = Boolean(CONFIG.DAILY_BYTE_QUOTA && ctx);
+  if (!response.body || (!trackQuota && !log)) {
+    return log ? finishRequestLog(log, response) : response;
+  }
+  
+  const store = getRateLimitStore();
+  const day = getUsageDay();
+  let bytes = 0;
+  let pendingBytes = 0;
+  let settled = false;
+  
+  const flushUsage = () => {
+    if (trackQuota && pendingBytes > 0) {
+      runInBackground(store.addUsage(day, pendingBytes).catch(error => {
+        console.error('Usage tracking error:', error);
+      }), ctx);
+    }
+    pendingBytes = 0;
+  };
+  
+  // 传输完成（errorClass 为 null）或中断（aborted）时只结算一次
+  const settle = errorClass => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    flushUsage();
+    if (log) {
+      finishRequestLog(log, response, errorClass, bytes);
+    }
+  };
+  
+  if (signal) {
+    signal.addEventListener('abort', () => settle('aborted'), { once: true });
+  }
+  
+  const reader = response.body.getReader();
+  const counted = new ReadableStream({
+    async pull(controller) {
+      let result;
+      try {
+        result = await reader.read();
+      } catch (error) {
+        // 上游在传输中途出错，已传输的部分同样计入用量并记录日志
+        settle('aborted');
+        controller.error(error);
+        return;
+      }
+      
+      if (result.done) {
+        settle(null);
+        controller.close();
+        return;
+      }
+      
+      bytes += result.value.byteLength;
+      pendingBytes += result.value.byteLength;
+      if (pendingBytes >= USAGE_FLUSH_BYTES) {
+        flushUsage();
+      }
+      controller.enqueue(result.value);
+    },
+    // 客户端断开
+    cancel(reason) {
+      settle('aborted');
+      return reader.cancel(reason);
+    }
   });
   
-  const headers = new Headers({
-    'Content-Type': 'application/json; charset=utf-8'
+  return new Response(counted, response);
+}
+
+/**
+ * 获取当前用量统计日（UTC 日期）
+ * @returns {string} - YYYY-MM-DD
+ */
+function getUsageDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * 获取当日流量配额的重置时间（下一个 UTC 零点）
+ * @returns {number} - 时间戳（毫秒）
+ */
+function getUsageResetTime() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+/**
+ * 令牌桶计算（内存计数与 Durable Object 共用）
+ * @param {Object|null} bucket - 令牌桶状态 { tokens, updated }，首次使用时为 null
+ * @param {Object} rule - 限流规则 { limit, window }，每 window 秒补充 limit 个令牌
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {Object} - { allowed, remaining, retryAfter, bucket }
+ */
+function consumeRateLimitToken(bucket, rule, now) {
+  const refillPerMs = rule.limit / (rule.window * 1000);
+  const tokens = bucket
+    ? Math.min(rule.limit, bucket.tokens + Math.max(0, now - bucket.updated) * refillPerMs)
+    : rule.limit;
+  
+  if (tokens >= 1) {
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens - 1),
+      retryAfter: 0,
+      bucket: { tokens: tokens - 1, updated: now }
+    };
+  }
+  
+  return {
+    allowed: false,
+    remaining: 0,
+    retryAfter: Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000)),
+    bucket: { tokens: tokens, updated: now }
+  };
+}
+
+/**
+ * 获取速率限制计数存储（优先使用 RATE_LIMITER Durable Object 绑定）
+ * @returns {Object} - { consume(key, rule), addUsage(day, bytes), getUsage(day) }
+ */
+function getRateLimitStore() {
+  const namespace = ENV[RATE_LIMITER_BINDING_NAME];
+  
+  if (namespace) {
+    const call = async (name, path, body) => {
+      const stub = namespace.get(namespace.idFromName(name));
+      const response = await stub.fetch(`https://rate-limiter${path}`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      return response.json();
+    };
+    
+    return {
+      consume: (key, rule) => call(key, '/consume', { rule: rule }),
+      addUsage: async (day, bytes) => (await call(`usage:${day}`, '/usage', { bytes: bytes })).bytes,
+      getUsage: async day => (await call(`usage:${day}`, '/usage', { bytes: 0 })).bytes
+    };
+  }
+  
+  return {
+    consume: async (key, rule) => {
+      const result = consumeRateLimitToken(memoryRateLimitBuckets.get(key), rule, Date.now());
+      
+      // 重新插入以保持最近使用的排在末尾
+      memoryRateLimitBuckets.delete(key);
+      memoryRateLimitBuckets.set(key, result.bucket);
+      if (memoryRateLimitBuckets.size > MEMORY_RATE_LIMIT_MAX_BUCKETS) {
+        memoryRateLimitBuckets.delete(memoryRateLimitBuckets.keys().next().value);
+      }
+      
+      return result;
+    },
+    addUsage: async (day, bytes) => {
+      if (!memoryByteUsage.has(day)) {
+        memoryByteUsage.clear();
+      }
+      const total = (memoryByteUsage.get(day) || 0) + bytes;
+      memoryByteUsage.set(day, total);
+      return total;
+    },
+    getUsage: async day => memoryByteUsage.get(day) || 0
+  };
+}
+
+/**
+ * 速率限制计数器 Durable Object
+ * 每个令牌桶（rl:<维度>:<键>）与每日用量（usage:<日期>）各对应一个实例，
+ * 需在 wrangler 配置中以 RATE_LIMITER 名称绑定本类
+ */
+export class RateLimiter {
+  /**
+   * @param {DurableObjectState} state - Durable Object 状态
+   */
+  constructor(state) {
+    this.storage = state.storage;
+  }
+  
+  /**
+   * 处理计数请求
+   * @param {Request} request - POST /consume { rule } 或 POST /usage { bytes }
+   * @returns {Promise<Response>} - JSON 结果
+   */
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const body = await request.json();
+    let result;
+    
+    if (pathname === '/consume') {
+      result = consumeRateLimitToken(await this.storage.get('bucket'), body.rule, Date.now());
+      await this.storage.put('bucket', result.bucket);
+      // 令牌补满后状态已无意义，到时清除
+      await this.storage.setAlarm(Date.now() + body.rule.window * 1000);
+    } else if (pathname === '/usage') {
+      const bytes = ((await this.storage.get('bytes')) || 0) + (body.bytes || 0);
+      if (body.bytes) {
+        await this.storage.put('bytes', bytes);
+        // 统计日结束后保留一天再清除
+        await this.storage.setAlarm(getUsageResetTime() + 86400000);
+      }
+      result = { bytes: bytes };
+    } else {
+      return new Response('Not found', { status: 404 });
+    }
+    
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  /**
+   * 定时清除已过期的计数
+   * @returns {Promise<void>}
+   */
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+/**
+ * 处理流量用量查询API请求
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleUsageApi() {
+  const day = getUsageDay();
+  const usedBytes = await getRateLimitStore().getUsage(day);
+  const quota = CONFIG.DAILY_BYTE_QUOTA;
+  
+  return new Response(JSON.stringify({
+    success: true,
+    date: day,
+    bytes: usedBytes,
+    quota: quota || null,
+    remaining: quota ? Math.max(0, quota - usedBytes) : null,
+    resetsAt: new Date(getUsageResetTime()).toISOString()
+  }), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
   });
+}
+
+/**
+ * 创建限流响应
+ * @param {string} message - 错误消息
+ * @param {number} retryAfter - 建议重试等待时间（秒）
+ * @returns {Response} - 429 响应
+ */
+function createRateLimitedResponse(message, retryAfter) {
+  const response = createErrorResponse(message, 429);
+  response.headers.set('Retry-After', String(retryAfter));
+  response.headers.set('Cache-Control', 'no-store');
+  return response;
+}
+
+// Analytics Engine 数据集绑定名称（analytics 输出）
+const ANALYTICS_BINDING_NAME = 'PROXY_ANALYTICS';
+
+// 除 BLOCKED_HEADERS 外，日志中同样需要脱敏的凭据头部
+const LOG_CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+// 请求统计：按 UTC 日期保存在 KV 的 stats:<日期> 键中，各 isolate 先在内存中累加，定期合并写入
+const STATS_KV_PREFIX = 'stats:';
+const STATS_KV_TTL = 8 * 86400;
+const STATS_FLUSH_INTERVAL = 30000;
+// 每日统计保留的目标主机上限，超出后只保留请求数最多的
+const STATS_MAX_HOSTS = 500;
+
+// 等待批量发送的日志（http 输出）与尚未写入 KV 的统计
+let pendingLogEvents = [];
+let lastLogFlush = Date.now();
+let pendingStats = new Map();
+let lastStatsFlush = 0;
+
+/**
+ * 创建请求日志
+ * @param {Request} request - 原始请求
+ * @param {URL} targetUrl - 目标URL
+ * @param {ExecutionContext} ctx - 执行上下文（日志在响应体传输完成后才输出，需要使用所属请求的上下文）
+ * @returns {Object} - 请求日志，由 proxyRequest 补充上游耗时与错误分类，最终交给 finishRequestLog
+ */
+function createRequestLog(request, targetUrl, ctx) {
+  return {
+    timestamp: new Date().toISOString(),
+    startTime: Date.now(),
+    method: request.method,
+    host: targetUrl.host,
+    path: targetUrl.pathname,
+    headers: redactHeaders(request.headers),
+    upstreamTime: null,
+    errorClass: null,
+    ctx: ctx,
+    finished: false
+  };
+}
+
+/**
+ * 完成请求日志：更新统计并输出到配置的日志位置
+ * 错误分类：policy 策略拒绝 / rate-limit 限流或超出配额 / bad-request 请求参数错误 /
+ * timeout 上游超时 / upstream 上游请求失败或返回 5xx / internal Worker 内部错误 /
+ * aborted 响应体传输中断（客户端断开或上游出错）
+ * @param {Object} log - 请求日志（见 createRequestLog）
+ * @param {Response} response - 返回给客户端的响应
+ * @param {string|null} [errorClass] - 错误分类，未指定时使用 proxyRequest 记录的分类
+ * @param {number} [bytes] - 响应体字节数
+ * @returns {Response} - 原响应
+ */
+function finishRequestLog(log, response, errorClass = null, bytes = 0) {
+  if (log.finished) {
+    return response;
+  }
+  log.finished = true;
   
-  addCorsHeaders(headers);
+  const event = {
+    timestamp: log.timestamp,
+    method: log.method,
+    host: log.host,
+    path: log.path,
+    status: response.status,
+    duration: Date.now() - log.startTime,
+    upstreamTime: log.upstreamTime,
+    bytes: bytes,
+    rewriteMode: response.headers.get('X-Proxy-Rewrite-Mode'),
+    cacheStatus: response.headers.get('X-Proxy-Cache'),
+    errorClass: errorClass || log.errorClass || (response.status >= 500 ? 'upstream' : null),
+    headers: log.headers
+  };
   
-  return new Response(errorBody, {
-    status: status,
-    headers: headers
+  recordStats(event, log.ctx);
+  recentRequests.unshift(event);
+  recentRequests.length = Math.min(recentRequests.length, RECENT_REQUESTS_MAX);
+  
+  for (const sink of CONFIG.LOG_SINKS) {
+    try {
+      if (sink === 'console') {
+        console.log(JSON.stringify(event));
+      } else if (sink === 'analytics') {
+        writeAnalyticsEvent(event);
+      } else if (sink === 'http') {
+        queueHttpLogEvent(event, log.ctx);
+      }
+    } catch (error) {
+      console.error(`Log sink ${sink} error:`, error);
+    }
+  }
+  
+  return response;
+}
+
+/**
+ * 请求头脱敏：BLOCKED_HEADERS 与凭据头部只保留名称
+ * @param {Headers} headers - 请求头
+ * @returns {Object} - 头部名称（小写）到值的映射
+ */
+function redactHeaders(headers) {
+  const result = {};
+  for (const [name, value] of headers) {
+    const key = name.toLowerCase();
+    result[key] = CONFIG.BLOCKED_HEADERS.includes(key) || LOG_CREDENTIAL_HEADERS.includes(key) ? '[REDACTED]' : value;
+  }
+  return result;
+}
+
+/**
+ * 写入 Analytics Engine（未绑定数据集时忽略）
+ * index1: 目标主机；blob1-6: 目标主机、方法、路径、重写模式、缓存状态、错误分类；
+ * double1-4: 状态码、总耗时、上游耗时（无上游请求时为 -1）、字节数
+ * @param {Object} event - 日志事件
+ */
+function writeAnalyticsEvent(event) {
+  const dataset = ENV[ANALYTICS_BINDING_NAME];
+  if (!dataset) {
+    return;
+  }
+  
+  dataset.writeDataPoint({
+    indexes: [event.host.slice(0, 96)],
+    blobs: [event.host, event.method, event.path, event.rewriteMode || '', event.cacheStatus || '', event.errorClass || ''],
+    doubles: [event.status, event.duration, event.upstreamTime === null ? -1 : event.upstreamTime, event.bytes]
+  });
+}
+
+/**
+ * 加入 http 输出队列，达到批量条数或距上次发送超过 LOG_HTTP_FLUSH_INTERVAL 时发送
+ * 队列只保存在当前 isolate 内存中，isolate 被回收时未发送的日志会丢失
+ * @param {Object} event - 日志事件
+ * @param {ExecutionContext} ctx - 执行上下文
+ */
+function queueHttpLogEvent(event, ctx) {
+  pendingLogEvents.push(event);
+  
+  if (pendingLogEvents.length < CONFIG.LOG_HTTP_BATCH_SIZE && Date.now() - lastLogFlush < CONFIG.LOG_HTTP_FLUSH_INTERVAL) {
+    return;
+  }
+  
+  const events = pendingLogEvents;
+  pendingLogEvents = [];
+  lastLogFlush = Date.now();
+  
+  const headers = { 'Content-Type': 'application/json' };
+  if (CONFIG.LOG_HTTP_TOKEN) {
+    headers['Authorization'] = `Bearer ${CONFIG.LOG_HTTP_TOKEN}`;
+  }
+  
+  runInBackground(fetch(CONFIG.LOG_HTTP_URL, {
+    method: 'POST',
+    headers: headers,
+    body: JSON.stringify({ events: events })
+  }).then(response => {
+    if (!response.ok) {
+      console.error(`Log delivery failed: HTTP ${response.status}`);
+    }
+  }).catch(error => {
+    console.error('Log delivery error:', error);
+  }), ctx);
+}
+
+/**
+ * 创建空的统计数据
+ * @returns {Object} - { requests, errors, bytes, duration, statuses, errorClasses, hosts }
+ */
+function createEmptyStats() {
+  return { requests: 0, errors: 0, bytes: 0, duration: 0, statuses: {}, errorClasses: {}, hosts: {} };
+}
+
+/**
+ * 把一条日志事件累加到内存统计，超过写入间隔时在后台合并到 KV
+ * @param {Object} event - 日志事件
+ * @param {ExecutionContext} ctx - 执行上下文
+ */
+function recordStats(event, ctx) {
+  const day = event.timestamp.slice(0, 10);
+  const stats = pendingStats.get(day) || createEmptyStats();
+  pendingStats.set(day, stats);
+  
+  const isError = event.errorClass !== null;
+  const statusClass = `${Math.floor(event.status / 100)}xx`;
+  const host = stats.hosts[event.host] || (stats.hosts[event.host] = { requests: 0, errors: 0, bytes: 0, duration: 0 });
+  
+  for (const counter of [stats, host]) {
+    counter.requests++;
+    counter.errors += isError ? 1 : 0;
+    counter.bytes += event.bytes;
+    counter.duration += event.duration;
+  }
+  stats.statuses[statusClass] = (stats.statuses[statusClass] || 0) + 1;
+  if (isError) {
+    stats.errorClasses[event.errorClass] = (stats.errorClasses[event.errorClass] || 0) + 1;
+  }
+  
+  if (Date.now() - lastStatsFlush >= STATS_FLUSH_INTERVAL) {
+    runInBackground(flushStats().catch(error => {
+      console.error('Stats flush error:', error);
+    }), ctx);
+  }
+}
+
+/**
+ * 把内存中的统计合并写入 KV
+ * 多个 isolate 同时写入时可能丢失少量增量，统计结果为近似值
+ * @returns {Promise<void>}
+ */
+async function flushStats() {
+  const entries = [...pendingStats];
+  pendingStats = new Map();
+  lastStatsFlush = Date.now();
+  
+  const store = getKvStore();
+  for (const [day, delta] of entries) {
+    const key = STATS_KV_PREFIX + day;
+    const merged = mergeStats(mergeStats(createEmptyStats(), await store.get(key)), delta);
+    await store.put(key, trimStatsHosts(merged), STATS_KV_TTL);
+  }
+}
+
+/**
+ * 把统计数据累加到目标统计中
+ * @param {Object} target - 目标统计（原地修改）
+ * @param {Object|null} source - 待合并的统计
+ * @returns {Object} - 目标统计
+ */
+function mergeStats(target, source) {
+  if (!source) {
+    return target;
+  }
+  
+  const addCounters = (to, from, keys) => {
+    for (const key of keys || Object.keys(from)) {
+      to[key] = (to[key] || 0) + (Number(from[key]) || 0);
+    }
+  };
+  
+  addCounters(target, source, ['requests', 'errors', 'bytes', 'duration']);
+  addCounters(target.statuses, source.statuses || {});
+  addCounters(target.errorClasses, source.errorClasses || {});
+  for (const [host, counters] of Object.entries(source.hosts || {})) {
+    target.hosts[host] = target.hosts[host] || { requests: 0, errors: 0, bytes: 0, duration: 0 };
+    addCounters(target.hosts[host], counters, ['requests', 'errors', 'bytes', 'duration']);
+  }
+  return target;
+}
+
+/**
+ * 只保留请求数最多的 STATS_MAX_HOSTS 个目标主机
+ * @param {Object} stats - 统计数据（原地修改）
+ * @returns {Object} - 统计数据
+ */
+function trimStatsHosts(stats) {
+  const hosts = Object.entries(stats.hosts);
+  if (hosts.length > STATS_MAX_HOSTS) {
+    hosts.sort((a, b) => b[1].requests - a[1].requests);
+    stats.hosts = Object.fromEntries(hosts.slice(0, STATS_MAX_HOSTS));
+  }
+  return stats;
+}
+
+/**
+ * 处理统计查询：/api/stats?day=YYYY-MM-DD&limit=10
+ * 返回当日请求数、错误率、状态码与错误分类分布，以及按请求数排序的目标主机
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleStatsApi(request) {
+  const url = new URL(request.url);
+  const day = url.searchParams.get('day') || getUsageDay();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return createErrorResponse('Invalid day, expected YYYY-MM-DD', 400);
+  }
+  
+  const limitParam = url.searchParams.get('limit') || '10';
+  const limit = /^\d+$/.test(limitParam) ? Number(limitParam) : 0;
+  if (limit < 1 || limit > 100) {
+    return createErrorResponse('Invalid limit, expected an integer between 1 and 100', 400);
+  }
+  
+  // KV 中已合并的统计加上当前 isolate 尚未写入的部分
+  const stored = await getKvStore().get(STATS_KV_PREFIX + day);
+  const stats = mergeStats(mergeStats(createEmptyStats(), stored), pendingStats.get(day));
+  
+  const topHosts = Object.entries(stats.hosts)
+    .sort((a, b) => b[1].requests - a[1].requests)
+    .slice(0, limit)
+    .map(([host, counters]) => ({
+      host: host,
+      requests: counters.requests,
+      errors: counters.errors,
+      errorRate: getErrorRate(counters),
+      bytes: counters.bytes,
+      avgDuration: counters.requests ? Math.round(counters.duration / counters.requests) : 0
+    }));
+  
+  return new Response(JSON.stringify({
+    success: true,
+    date: day,
+    requests: stats.requests,
+    errors: stats.errors,
+    errorRate: getErrorRate(stats),
+    bytes: stats.bytes,
+    avgDuration: stats.requests ? Math.round(stats.duration / stats.requests) : 0,
+    statuses: stats.statuses,
+    errorClasses: stats.errorClasses,
+    topHosts: topHosts
+  }), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 计算错误率（保留四位小数）
+ * @param {Object} counters - { requests, errors }
+ * @returns {number} - 错误率
+ */
+function getErrorRate(counters) {
+  return counters.requests ? Math.round(counters.errors / counters.requests * 10000) / 10000 : 0;
+}
+
+/**
+ * 确定本次请求的重写模式
+ * 优先级：请求参数 __proxy_mode > REWRITE_MODE_RULES 中的主机规则 > REWRITE_MODE
+ * @param {URL} url - 当前请求URL
+ * @param {URL} targetUrl - 目标URL
+ * @returns {string|null} - 重写模式；请求参数非法时为 null
+ */
+function resolveRewriteMode(url, targetUrl) {
+  const requestedMode = url.searchParams.get(REWRITE_MODE_PARAM);
+  if (requestedMode !== null && CONFIG.ALLOW_REWRITE_MODE_OVERRIDE) {
+    return REWRITE_MODES.includes(requestedMode) ? requestedMode : null;
+  }
+  
+  const hostRule = findHostRule(CONFIG.REWRITE_MODE_RULES, targetUrl.hostname);
+  return hostRule || CONFIG.REWRITE_MODE;
+}
+
+/**
+ * 在以主机名为键的规则表中查找匹配项
+ * 键可以是精确主机名（api.github.com）或通配后缀（*.github.com，匹配所有子域名）；
+ * 精确匹配优先，其次是最长的通配后缀
+ * @param {Object} rules - 规则表
+ * @param {string} hostname - 主机名
+ * @returns {any} - 匹配的规则值，未匹配时为 undefined
+ */
+function findHostRule(rules, hostname) {
+  hostname = hostname.toLowerCase();
+  
+  let bestMatch;
+  let bestLength = -1;
+  for (const [pattern, value] of Object.entries(rules)) {
+    const lowerPattern = pattern.toLowerCase();
+    if (lowerPattern === hostname) {
+      return value;
+    }
+    
+    if (lowerPattern.startsWith('*.')) {
+      const suffix = lowerPattern.slice(1);
+      if (hostname.endsWith(suffix) && suffix.length > bestLength) {
+        bestMatch = value;
+        bestLength = suffix.length;
+      }
+    }
+  }
+  
+  return bestMatch;
+}
+
+/**
+ * 创建代理响应并重写内容
+ * @param {Response} originalResponse - 原始响应
+ * @param {Request} originalRequest - 原始请求
+ * @param {URL} targetUrl - 目标URL
+ * @param {string} rewriteMode - 重写模式（html-css / full）
+ * @param {Object} addressing - 寻址方式（见 getProxyAddressing）
+ * @returns {Promise<Response>} - 处理后的响应
+ */
+async function createProxyResponseWithRewrite(originalResponse, originalRequest, targetUrl, rewriteMode, addressing) {
+  const contentType = originalResponse.headers.get('content-type') || '';
+  const contentLength = Number(originalResponse.headers.get('content-length'));
+  const shouldRewrite = originalResponse.body && shouldRewriteContent(contentType, rewriteMode) &&
+    !(CONFIG.REWRITE_MAX_BYTES && contentLength > CONFIG.REWRITE_MAX_BYTES);
+  
+  const headerContext = { targetUrl: targetUrl, addressing: addressing, clientHeaders: originalRequest.headers };
+  
+  // 如果不需要重写内容（含超过 REWRITE_MAX_BYTES 的响应），直接返回
+  if (!shouldRewrite) {
+    return createProxyResponse(originalResponse, headerContext);
+  }
+  
+  const isHtml = contentType.toLowerCase().includes('html');
+  
+  // HTML 优先使用 HTMLRewriter 流式重写，不缓冲整个页面
+  if (isHtml && typeof HTMLRewriter !== 'undefined') {
+    const streamedResponse = new Response(rewriteHtmlStream(originalResponse, targetUrl, addressing, rewriteMode).body, {
+      status: originalResponse.status,
+      statusText: originalResponse.statusText,
+      headers: originalResponse.headers
+    });
+    
+    streamedResponse.headers.delete('Content-Length');
+    weakenEtag(streamedResponse.headers);
+    cleanResponseHeaders(streamedResponse.headers);
+    await rewriteResponseHeaders(streamedResponse.headers, originalResponse.headers, headerContext);
+    
+    return streamedResponse;
+  }
+  
+  let rewrittenBody;
+  if (isHtml) {
+    // 没有 HTMLRewriter 的环境读取整个页面后重写
+    rewrittenBody = rewriteContent(
+      await originalResponse.text(),
+      contentType,
+      targetUrl,
+      addressing,
+      rewriteMode,
+      getCspScriptNonce(originalResponse.headers)
+    );
+  } else {
+    // CSS、JavaScript、JSON、XML 等文本内容按块流式重写，字符集不支持重写时原样返回
+    const sourceMapUrl = originalResponse.headers.get('SourceMap') || originalResponse.headers.get('X-SourceMap');
+    rewrittenBody = createRewriteStream(originalResponse.body, contentType, targetUrl, addressing, sourceMapUrl,
+      isWorkerScriptRequest(originalRequest));
+    if (!rewrittenBody) {
+      return createProxyResponse(originalResponse, headerContext);
+    }
+  }
+  
+  // 创建新的响应
+  const newResponse = new Response(rewrittenBody, {
+    status: originalResponse.status,
+    statusText: originalResponse.statusText,
+    headers: originalResponse.headers
   });
+  
+  // 内容长度已改变，ETag 不再逐字节对应
+  newResponse.headers.delete('Content-Length');
+  weakenEtag(newResponse.headers);
+  
+  // JavaScript 的 source map 改由文件末尾的注释声明（见 getJavaScriptRewriteRule）
+  if (isJavaScriptContentType(contentType)) {
+    newResponse.headers.delete('SourceMap');
+    newResponse.headers.delete('X-SourceMap');
+  }
+  
+  // 清理敏感头部
+  cleanResponseHeaders(newResponse.headers);
+  await rewriteResponseHeaders(newResponse.headers, originalResponse.headers, headerContext);
+  
+  return newResponse;
+}
+
+/**
+ * 把重写后响应的 ETag 改为弱校验值
+ * 重写后的内容与上游逐字节不同，不能沿用强校验值（RFC 9110 8.8.1），否则 If-Range 等请求可能拼接出错误的字节；
+ * 弱校验值仍可用于 If-None-Match 的条件请求
+ * @param {Headers} headers - 响应头（原地修改）
+ */
+function weakenEtag(headers) {
+  const etag = headers.get('ETag');
+  if (etag && !etag.trim().startsWith('W/')) {
+    headers.set('ETag', `W/${etag.trim()}`);
+  }
+}
+
+/**
+ * 判断是否需要重写内容
+ * @param {string} contentType - 内容类型
+ * @param {string} rewriteMode - 重写模式（html-css 只重写 HTML、CSS 与 Web App Manifest）
+ * @returns {boolean} - 是否需要重写
+ */
+function shouldRewriteContent(contentType, rewriteMode) {
+  if (!contentType) return false;
+  
+  const lowerContentType = contentType.toLowerCase();
+  if (rewriteMode === 'html-css' && !lowerContentType.includes('html') && !lowerContentType.includes('css') &&
+      !lowerContentType.includes('manifest+json')) {
+    return false;
+  }
+  
+  return CONFIG.REWRITABLE_CONTENT_TYPES.some(type => 
+    lowerContentType.includes(type)
+  );
+}
+
+// 流式重写时缓冲区末尾暂不输出的字符数：跨越分块边界的URL要等后续数据到达后才能完整匹配
+const STREAM_REWRITE_HOLDBACK = 8192;
+// 匹配结束位置距缓冲区末尾不足该字符数时留到下一块处理，使 (?!...) 等向后查看的条件看到足够的内容
+const STREAM_REWRITE_LOOKAHEAD = 256;
+
+// 其中的 ASCII 字节不一定表示 ASCII 字符的编码（转义序列切换字符集），无法安全重写
+const UNSAFE_REWRITE_CHARSETS = /^(iso-2022-|csiso2022|utf-7|hz-gb-2312)/;
+
+/**
+ * 创建流式重写的响应体：按块解码、重写、按原字符集编码，不缓冲整个响应
+ * @param {ReadableStream} body - 原始响应体
+ * @param {string} contentType - 内容类型
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {string|null} [sourceMapUrl] - 上游通过 SourceMap 响应头声明的 source map 地址
+ * @param {boolean} [workerScript] - 是否为 Worker 脚本（开头注入客户端脚本，见 createWorkerRuntimeInjector）
+ * @returns {ReadableStream|null} - 重写后的响应体，字符集不支持重写时为 null
+ */
+export function createRewriteStream(body, contentType, targetUrl, addressing, sourceMapUrl, workerScript) {
+  const codec = getTextCodec(getContentTypeCharset(contentType));
+  if (!codec) {
+    return null;
+  }
+  
+  const rewriteText = createTextRewriter(contentType, targetUrl, addressing, sourceMapUrl, workerScript);
+  const injectRuntime = workerScript && isJavaScriptContentType(contentType)
+    ? createWorkerRuntimeInjector(targetUrl)
+    : output => output;
+  let pending = '';
+  let bytes = 0;
+  let rewriting = true;
+  
+  // 停止重写：尚未重写的文本按原字符集写回，连同解码器中未解码的字节一起输出，之后的数据原样透传
+  // Worker 脚本在这里也要完成注入，否则客户端脚本不会加载
+  const stopRewriting = controller => {
+    rewriting = false;
+    const text = injectRuntime(pending, true);
+    pending = '';
+    if (text) {
+      controller.enqueue(codec.encode(text));
+    }
+    const undecoded = codec.flush();
+    if (undecoded.length) {
+      controller.enqueue(undecoded);
+    }
+  };
+  
+  return body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      if (!rewriting) {
+        controller.enqueue(chunk);
+        return;
+      }
+      
+      bytes += chunk.byteLength;
+      const text = codec.decode(chunk, true);
+      
+      // 无法无损解码（如声明为 UTF-8 实际不是），或超过大小限制：其余部分原样输出
+      if (text === null || (CONFIG.REWRITE_MAX_BYTES && bytes > CONFIG.REWRITE_MAX_BYTES)) {
+        pending += text || '';
+        stopRewriting(controller);
+        return;
+      }
+      
+      pending += text;
+      if (pending.length < STREAM_REWRITE_HOLDBACK * 2) {
+        return;
+      }
+      const { output: rewritten, rest } = rewriteText(pending, false);
+      pending = rest;
+      const output = injectRuntime(rewritten, false);
+      if (output) {
+        controller.enqueue(codec.encode(output));
+      }
+    },
+    flush(controller) {
+      if (!rewriting) {
+        return;
+      }
+      
+      // 结尾无法解码的字节（不完整的 UTF-8 序列、UTF-16 的奇数字节）留在解码器中，重写后原样输出
+      pending += codec.decode(new Uint8Array(0), false) || '';
+      const output = injectRuntime(rewriteText(pending, true).output, true);
+      if (output) {
+        controller.enqueue(codec.encode(output));
+      }
+      const undecoded = codec.flush();
+      if (undecoded.length) {
+        controller.enqueue(undecoded);
+      }
+    }
+  }));
+}
+
+/**
+ * 按内容类型创建文本重写器
+ * @param {string} contentType - 内容类型
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {string|null} [sourceMapUrl] - 上游通过 SourceMap 响应头声明的 source map 地址（仅 JavaScript）
+ * @param {boolean} [workerScript] - 是否为 Worker 脚本（仅 JavaScript）
+ * @returns {Function} - (text, final) => { output, rest }（见 createPatternRewriter）
+ */
+function createTextRewriter(contentType, targetUrl, addressing, sourceMapUrl, workerScript) {
+  const lowerContentType = contentType.toLowerCase();
+  
+  if (lowerContentType.includes('css')) {
+    return createPatternRewriter(getCssRewriteRule(targetUrl, addressing));
+  } else if (isJavaScriptContentType(lowerContentType)) {
+    return createPatternRewriter(getJavaScriptRewriteRule(targetUrl, addressing, sourceMapUrl, workerScript));
+  } else if (lowerContentType.includes('manifest+json')) {
+    // 清单很小，完整读取后按字段重写
+    return (text, final) => final
+      ? { output: rewriteWebAppManifest(text, targetUrl, addressing), rest: '' }
+      : { output: '', rest: text };
+  } else if (lowerContentType.includes('json')) {
+    return createJsonRewriter(targetUrl, addressing);
+  } else if (lowerContentType.includes('xml')) {
+    return chainTextRewriters(
+      createXmlRewriter(targetUrl, addressing),
+      createPatternRewriter(getGenericRewriteRule(targetUrl, addressing))
+    );
+  }
+  return createPatternRewriter(getGenericRewriteRule(targetUrl, addressing));
+}
+
+/**
+ * 判断是否为 JavaScript 内容类型
+ * @param {string} contentType - 内容类型
+ * @returns {boolean} - 是否为 JavaScript
+ */
+function isJavaScriptContentType(contentType) {
+  const lowerContentType = contentType.toLowerCase();
+  return lowerContentType.includes('javascript') || lowerContentType.includes('ecmascript');
+}
+
+// 加载 Worker 脚本的请求（Sec-Fetch-Dest），这类脚本没有页面可以注入 <script>，改为在脚本开头加载客户端脚本
+const WORKER_SCRIPT_DESTINATIONS = ['worker', 'sharedworker', 'serviceworker'];
+
+// 脚本开头的 Hashbang、空白与注释，以及其后的 "use strict" 指令，注入的语句放在其后，不改变脚本的严格模式
+const SCRIPT_HASHBANG_PATTERN = /^#![^\n]*/;
+const SCRIPT_LEADING_TRIVIA_PATTERN = /^(?:\s+|\/\*[\s\S]*?\*\/|\/\/[^\n]*(?=\n))/;
+const USE_STRICT_DIRECTIVE_PATTERN = /^(["'])use strict\1[ \t]*;?/;
+const USE_STRICT_DIRECTIVES = ['"use strict"', "'use strict'"];
+
+/**
+ * 判断请求是否在加载 Worker / SharedWorker / Service Worker 脚本
+ * @param {Request} request - 原始请求
+ * @returns {boolean} - 是否为 Worker 脚本请求
+ */
+function isWorkerScriptRequest(request) {
+  return WORKER_SCRIPT_DESTINATIONS.includes((request.headers.get('Sec-Fetch-Dest') || '').toLowerCase());
+}
+
+/**
+ * 计算 Worker 脚本中注入语句的位置：Hashbang 之后，有 "use strict" 指令时放在指令之后
+ * @param {string} text - 脚本开头的文本
+ * @param {boolean} final - 之后是否不再有文本
+ * @returns {number} - 注入位置，文本还不足以确定开头结构（注释、指令被分块截断）时为 -1
+ */
+function findWorkerRuntimePosition(text, final) {
+  const hashbang = SCRIPT_HASHBANG_PATTERN.exec(text);
+  const start = hashbang ? hashbang[0].length : 0;
+  let position = start;
+  let trivia;
+  while ((trivia = SCRIPT_LEADING_TRIVIA_PATTERN.exec(text.slice(position)))) {
+    position += trivia[0].length;
+  }
+  
+  const rest = text.slice(position);
+  const directive = USE_STRICT_DIRECTIVE_PATTERN.exec(rest);
+  if (!final && (
+    (hashbang && start === text.length) ||
+    /^\/(?:[*/]|$)/.test(rest) ||
+    (directive ? directive[0].length === rest.length : USE_STRICT_DIRECTIVES.some(value => value.startsWith(rest)))
+  )) {
+    return -1;
+  }
+  return directive ? position + directive[0].length : start;
+}
+
+/**
+ * 创建 Worker 脚本的注入器：在脚本开头注入 importScripts(客户端脚本)，使 Worker 中的 fetch、importScripts 等同样经过代理
+ * 开头的注释与 "use strict" 指令可能被分块截断，确定注入位置之前先缓冲输出
+ * 模块 Worker 不支持 importScripts，调用会抛出异常，这里忽略异常，此时客户端脚本不会加载
+ * @param {URL} targetUrl - 目标URL（Worker 脚本地址）
+ * @returns {Function} - (output, final) => 注入后可以输出的文本
+ */
+function createWorkerRuntimeInjector(targetUrl) {
+  const statement = `try { importScripts(${JSON.stringify(getClientRuntimeUrl(targetUrl))}); } catch (e) {}\n`;
+  let head = '';
+  let injected = false;
+  
+  return (output, final) => {
+    if (injected) {
+      return output;
+    }
+    head += output;
+    const position = findWorkerRuntimePosition(head, final);
+    if (position === -1) {
+      return '';
+    }
+    injected = true;
+    
+    const separator = position > 0 ? '\n' : '';
+    const text = head.slice(0, position) + separator + statement + head.slice(position);
+    head = '';
+    return text;
+  };
+}
+
+/**
+ * 创建基于正则规则的分块重写器
+ * 非最后一块时，结束位置靠近末尾的匹配以及末尾 STREAM_REWRITE_HOLDBACK 个字符留到下一块，
+ * 与后续数据拼接后重新匹配，保证跨越分块边界的URL也能被重写（长度不超过 STREAM_REWRITE_HOLDBACK）
+ * @param {Object} rule - 重写规则 { pattern（带 g 标志）, replace, finish（可选，返回追加在末尾的内容） }
+ * @returns {Function} - (text, final) => { output, rest }，rest 为暂不输出、需要与后续数据拼接的部分
+ */
+function createPatternRewriter(rule) {
+  return (text, final) => {
+    let output = '';
+    let position = 0;
+    let stopAt = text.length;
+    let match;
+    
+    rule.pattern.lastIndex = 0;
+    while ((match = rule.pattern.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      if (!final && end > text.length - STREAM_REWRITE_LOOKAHEAD) {
+        stopAt = match.index;
+        break;
+      }
+      output += text.slice(position, match.index) + rule.replace(...match);
+      position = end;
+    }
+    
+    if (final) {
+      return { output: output + text.slice(position) + (rule.finish ? rule.finish() : ''), rest: '' };
+    }
+    const emitEnd = Math.max(position, Math.min(stopAt, text.length - STREAM_REWRITE_HOLDBACK));
+    return { output: output + text.slice(position, emitEnd), rest: text.slice(emitEnd) };
+  };
+}
+
+/**
+ * 串联两个分块重写器：前者的输出作为后者的输入
+ * @param {Function} first - 第一个重写器
+ * @param {Function} second - 第二个重写器
+ * @returns {Function} - (text, final) => { output, rest }
+ */
+function chainTextRewriters(first, second) {
+  let pending = '';
+  return (text, final) => {
+    const firstResult = first(text, final);
+    const secondResult = second(pending + firstResult.output, final);
+    pending = secondResult.rest;
+    return { output: secondResult.output, rest: firstResult.rest };
+  };
+}
+
+/**
+ * 从 Content-Type 中取出字符集
+ * @param {string} contentType - 内容类型
+ * @returns {string} - 字符集（小写），未声明时为 utf-8
+ */
+function getContentTypeCharset(contentType) {
+  const match = /;\s*charset\s*=\s*["']?([^;"'\s]+)/i.exec(contentType);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * 获取字符集对应的编解码器，重写后按原字符集编码，未改动的内容逐字节保持不变
+ * - UTF-8：使用 fatal 模式的 TextDecoder 解码（保留 BOM），遇到无效字节时 decode 返回 null，不用 U+FFFD 替换；
+ *   分块末尾不完整的字符留到下一块
+ * - UTF-16：按两个字节一个码元直接转换，奇数个字节时最后一个字节留到下一块
+ * - 其他兼容 ASCII 的字符集（ISO-8859-*、windows-125x、GBK、Shift_JIS 等）：按字节映射为字符处理，
+ *   URL 由 ASCII 字符组成，替换后再逐字节写回，不需要真正解码
+ * flush() 取出解码器中尚未解码的原始字节（不完整的结尾、decode 返回 null 时的整块输入），由调用方原样输出
+ * @param {string} charset - 字符集
+ * @returns {Object|null} - { decode(bytes, stream), encode(text), flush() }，不支持的字符集为 null
+ */
+function getTextCodec(charset) {
+  if (['utf-8', 'utf8', 'unicode-1-1-utf-8'].includes(charset)) {
+    const decoder = new TextDecoder('utf-8', { ignoreBOM: true, fatal: true });
+    const encoder = new TextEncoder();
+    let held = new Uint8Array(0);
+    return {
+      decode: (bytes, stream) => {
+        let input = bytes;
+        if (held.length) {
+          input = new Uint8Array(held.length + bytes.length);
+          input.set(held);
+          input.set(bytes, held.length);
+        }
+        
+        const end = stream ? getCompleteUtf8Length(input) : input.length;
+        try {
+          const text = decoder.decode(input.subarray(0, end));
+          held = input.slice(end);
+          return text;
+        } catch (e) {
+          held = input;
+          return null;
+        }
+      },
+      encode: text => encoder.encode(text),
+      flush: () => {
+        const rest = held;
+        held = new Uint8Array(0);
+        return rest;
+      }
+    };
+  }
+  
+  if (['utf-16', 'utf-16le', 'utf-16be', 'unicodefffe', 'unicodefeff'].includes(charset)) {
+    const bigEndian = charset === 'utf-16be' || charset === 'unicodefffe';
+    let leftover = null;
+    return {
+      decode: bytes => {
+        let input = bytes;
+        if (leftover !== null) {
+          input = new Uint8Array(bytes.length + 1);
+          input[0] = leftover;
+          input.set(bytes, 1);
+        }
+        leftover = input.length % 2 ? input[input.length - 1] : null;
+        
+        const codes = new Uint16Array(input.length >> 1);
+        for (let i = 0; i < codes.length; i++) {
+          codes[i] = bigEndian ? input[i * 2] << 8 | input[i * 2 + 1] : input[i * 2 + 1] << 8 | input[i * 2];
+        }
+        return charCodesToString(codes);
+      },
+      encode: text => {
+        const bytes = new Uint8Array(text.length * 2);
+        for (let i = 0; i < text.length; i++) {
+          const code = text.charCodeAt(i);
+          bytes[i * 2] = bigEndian ? code >> 8 : code & 0xff;
+          bytes[i * 2 + 1] = bigEndian ? code & 0xff : code >> 8;
+        }
+        return bytes;
+      },
+      flush: () => {
+        const rest = leftover === null ? new Uint8Array(0) : new Uint8Array([leftover]);
+        leftover = null;
+        return rest;
+      }
+    };
+  }
+  
+  if (UNSAFE_REWRITE_CHARSETS.test(charset)) {
+    return null;
+  }
+  
+  return {
+    decode: bytes => charCodesToString(bytes),
+    encode: text => {
+      const bytes = new Uint8Array(text.length);
+      for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i);
+      }
+      return bytes;
+    },
+    flush: () => new Uint8Array(0)
+  };
+}
+
+/**
+ * 计算 UTF-8 字节中完整字符部分的长度（末尾不完整的多字节字符不计入）
+ * @param {Uint8Array} bytes - UTF-8 字节
+ * @returns {number} - 完整部分的字节数
+ */
+function getCompleteUtf8Length(bytes) {
+  for (let i = bytes.length - 1; i >= Math.max(0, bytes.length - 4); i--) {
+    const byte = bytes[i];
+    if ((byte & 0xc0) === 0x80) {
+      continue;
+    }
+    const size = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    return i + size > bytes.length ? i : bytes.length;
+  }
+  return bytes.length;
+}
+
+/**
+ * 把字符编码数组转换为字符串（分段调用 String.fromCharCode，避免参数过多）
+ * @param {Uint8Array|Uint16Array} codes - 字符编码
+ * @returns {string} - 字符串
+ */
+function charCodesToString(codes) {
+  let text = '';
+  for (let i = 0; i < codes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, codes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+/**
+ * 重写内容中的URL
+ * @param {string} content - 原始内容
+ * @param {string} contentType - 内容类型
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {string} rewriteMode - 重写模式
+ * @param {string|null} [runtimeNonce] - 注入客户端脚本时使用的 nonce（见 getCspScriptNonce）
+ * @returns {string} - 重写后的内容
+ */
+function rewriteContent(content, contentType, targetUrl, addressing, rewriteMode, runtimeNonce) {
+  // 根据内容类型选择重写策略
+  if (contentType.includes('html')) {
+    return rewriteHtml(content, targetUrl, addressing, rewriteMode, runtimeNonce);
+  } else if (contentType.includes('css')) {
+    return rewriteCss(content, targetUrl, addressing);
+  } else if (isJavaScriptContentType(contentType)) {
+    return rewriteJavaScript(content, targetUrl, addressing);
+  } else if (contentType.includes('manifest+json')) {
+    return rewriteWebAppManifest(content, targetUrl, addressing);
+  } else if (contentType.includes('json')) {
+    return rewriteJson(content, targetUrl, addressing);
+  } else if (contentType.includes('xml')) {
+    return rewriteXml(content, targetUrl, addressing);
+  }
+  
+  // 默认使用通用重写
+  return rewriteGeneric(content, targetUrl, addressing);
+}
+
+// HTML 中携带 URL 的属性：值为 url / srcset / style / ping（空格分隔的 URL 列表），
+// tags 限定只在指定元素上处理（如 data 只对 <object> 有意义）
+const HTML_URL_ATTRIBUTES = {
+  'href': { type: 'url' },
+  'xlink:href': { type: 'url' },
+  'src': { type: 'url' },
+  'action': { type: 'url', tags: ['form'] },
+  'formaction': { type: 'url', tags: ['button', 'input'] },
+  'data': { type: 'url', tags: ['object'] },
+  'poster': { type: 'url', tags: ['video'] },
+  'background': { type: 'url' },
+  'cite': { type: 'url', tags: ['blockquote', 'q', 'del', 'ins'] },
+  'longdesc': { type: 'url', tags: ['img', 'iframe', 'frame'] },
+  'manifest': { type: 'url', tags: ['html'] },
+  'codebase': { type: 'url', tags: ['object', 'applet'] },
+  'ping': { type: 'ping', tags: ['a', 'area'] },
+  'srcset': { type: 'srcset' },
+  'imagesrcset': { type: 'srcset', tags: ['link'] },
+  'style': { type: 'style' }
+};
+
+// 可执行脚本的 type 值（内联脚本只重写这些类型）
+const JAVASCRIPT_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/ecmascript', 'application/ecmascript'];
+
+/**
+ * 使用 HTMLRewriter 流式重写 HTML
+ * 逐个元素改写携带 URL 的属性，处理 <base href>、<meta http-equiv=refresh>、
+ * 内联脚本与样式，并移除失效的 integrity 属性
+ * @param {Response} response - 原始响应
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {string} rewriteMode - 重写模式（full 时才重写内联脚本）
+ * @returns {Response} - 流式重写后的响应
+ */
+function rewriteHtmlStream(response, targetUrl, addressing, rewriteMode) {
+  const state = {
+    baseUrl: targetUrl,
+    hasBase: false,
+    textBuffer: '',
+    rewriteInlineText: null,
+    runtimeInjected: rewriteMode !== 'full',
+    runtimeNonce: getCspScriptNonce(response.headers)
+  };
+  
+  const rewriteAttributeUrl = url => rewriteUrl(url.trim(), targetUrl, addressing, state.baseUrl);
+  // <meta> 中的 CSP 只约束其后的内容，注入的客户端脚本在它之前，无需放行
+  const rewriteMetaPolicy = resolveSecurityHeadersMode(targetUrl) === 'strip'
+    ? null
+    : policy => rewriteContentSecurityPolicy(policy, targetUrl, addressing, false);
+  
+  return new HTMLRewriter()
+    .on('*', {
+      element(element) {
+        const tagName = element.tagName.toLowerCase();
+        
+        // 每个文档只注入一次客户端脚本：放在 <head> 最前；没有 <head> 时放在第一个元素之前
+        if (!state.runtimeInjected && tagName !== 'html') {
+          if (tagName === 'head') {
+            element.prepend(getClientRuntimeTag(targetUrl, state.runtimeNonce), { html: true });
+          } else {
+            element.before(getClientRuntimeTag(targetUrl, state.runtimeNonce), { html: true });
+          }
+          state.runtimeInjected = true;
+        }
+        
+        // 第一个 <base href> 决定后续相对URL的解析基准
+        if (tagName === 'base' && !state.hasBase && element.hasAttribute('href')) {
+          try {
+            state.baseUrl = new URL(element.getAttribute('href').trim(), targetUrl);
+            state.hasBase = true;
+          } catch (e) {
+            // 无效的 base 忽略
+          }
+        }
+        
+        for (const [name, value] of [...element.attributes]) {
+          const rule = HTML_URL_ATTRIBUTES[name.toLowerCase()];
+          if (!rule || (rule.tags && !rule.tags.includes(tagName))) {
+            continue;
+          }
+          
+          const rewritten = rewriteHtmlAttribute(value, rule.type, rewriteAttributeUrl, targetUrl, addressing);
+          if (rewritten !== value) {
+            element.setAttribute(name, rewritten);
+          }
+        }
+        
+        // 子资源内容会被重写，原始哈希不再有效
+        if (element.hasAttribute('integrity')) {
+          element.removeAttribute('integrity');
+        }
+        
+        if (tagName === 'meta') {
+          rewriteMetaElement(element, rewriteAttributeUrl, rewriteMetaPolicy);
+        }
+      }
+    })
+    .on('script', {
+      element(element) {
+        const type = (element.getAttribute('type') || '').trim().toLowerCase();
+        if (rewriteMode !== 'full' || element.hasAttribute('src')) {
+          state.rewriteInlineText = null;
+        } else if (JAVASCRIPT_SCRIPT_TYPES.includes(type)) {
+          state.rewriteInlineText = text => rewriteJavaScript(text, targetUrl, addressing);
+        } else if (type.includes('json')) {
+          // JSON.stringify 不会转义 "</"，需避免提前闭合 <script>
+          state.rewriteInlineText = text => rewriteJson(text, targetUrl, addressing).replace(/<\//g, '<\\/');
+        } else {
+          state.rewriteInlineText = null;
+        }
+      },
+      text(chunk) {
+        bufferInlineText(chunk, state);
+      }
+    })
+    .on('style', {
+      element() {
+        state.rewriteInlineText = text => rewriteCss(text, targetUrl, addressing);
+      },
+      text(chunk) {
+        bufferInlineText(chunk, state);
+      }
+    })
+    .transform(response);
+}
+
+/**
+ * 缓冲内联脚本/样式的文本片段，整段到齐后再重写
+ * @param {Text} chunk - HTMLRewriter 文本片段
+ * @param {Object} state - 重写状态（rewriteInlineText 为当前元素的文本重写函数）
+ */
+function bufferInlineText(chunk, state) {
+  if (!state.rewriteInlineText) {
+    return;
+  }
+  
+  state.textBuffer += chunk.text;
+  chunk.remove();
+  
+  if (chunk.lastInTextNode) {
+    const text = state.textBuffer;
+    state.textBuffer = '';
+    chunk.after(text.trim() ? state.rewriteInlineText(text) : text, { html: true });
+  }
+}
+
+/**
+ * 按属性类型重写属性值
+ * @param {string} value - 属性值
+ * @param {string} type - 属性类型（url / srcset / style / ping）
+ * @param {Function} rewriteAttributeUrl - 单个URL的重写函数
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的属性值
+ */
+function rewriteHtmlAttribute(value, type, rewriteAttributeUrl, targetUrl, addressing) {
+  switch (type) {
+    case 'url':
+      return rewriteAttributeUrl(value);
+    case 'srcset':
+      return rewriteSrcset(value, rewriteAttributeUrl);
+    case 'ping':
+      return value.split(/\s+/).filter(Boolean).map(rewriteAttributeUrl).join(' ');
+    case 'style':
+      return rewriteCss(value, targetUrl, addressing);
+    default:
+      return value;
+  }
+}
+
+/**
+ * 重写 <meta> 中的URL
+ * - http-equiv=refresh 的 content（如 "5; url=/next"）
+ * - http-equiv=content-security-policy 的策略（处理方式为 strip 时移除该元素）
+ * - content 为绝对URL的元信息（如 og:url、og:image）
+ * @param {Element} element - meta 元素
+ * @param {Function} rewriteAttributeUrl - 单个URL的重写函数
+ * @param {Function} rewritePolicy - CSP 的改写函数，为 null 时移除 CSP
+ */
+function rewriteMetaElement(element, rewriteAttributeUrl, rewritePolicy) {
+  const content = element.getAttribute('content');
+  if (!content) {
+    return;
+  }
+  
+  const httpEquiv = (element.getAttribute('http-equiv') || '').toLowerCase();
+  if (httpEquiv === 'content-security-policy') {
+    if (rewritePolicy) {
+      element.setAttribute('content', rewritePolicy(content));
+    } else {
+      element.remove();
+    }
+    return;
+  }
+  
+  if (httpEquiv === 'refresh') {
+    const rewritten = rewriteRefreshValue(content, rewriteAttributeUrl);
+    if (rewritten !== content) {
+      element.setAttribute('content', rewritten);
+    }
+    return;
+  }
+  
+  if (/^https?:\/\//i.test(content.trim())) {
+    element.setAttribute('content', rewriteAttributeUrl(content));
+  }
+}
+
+/**
+ * 重写 Refresh 值中的URL（格式："秒数; url=地址"）
+ * @param {string} value - Refresh 值
+ * @param {Function} rewriteSingleUrl - 单个URL的重写函数
+ * @returns {string} - 重写后的值
+ */
+function rewriteRefreshValue(value, rewriteSingleUrl) {
+  const match = /^(\s*[\d.]+\s*[;,]?\s*(?:url\s*=\s*)?)(['"]?)(.*?)\2(\s*)$/i.exec(value);
+  if (!match || !match[3]) {
+    return value;
+  }
+  
+  return match[1] + match[2] + rewriteSingleUrl(match[3]) + match[2] + match[4];
+}
+
+/**
+ * 重写 srcset 值（按 HTML 规范解析候选项，URL 中可包含逗号）
+ * @param {string} srcset - srcset 值
+ * @param {Function} rewriteSingleUrl - 单个URL的重写函数
+ * @returns {string} - 重写后的 srcset
+ */
+function rewriteSrcset(srcset, rewriteSingleUrl) {
+  const candidates = [];
+  let position = 0;
+  
+  while (position < srcset.length) {
+    // 跳过空白和分隔逗号
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+      position++;
+    }
+    if (position >= srcset.length) {
+      break;
+    }
+    
+    // URL 到空白为止；以逗号结尾时逗号是分隔符
+    let end = position;
+    while (end < srcset.length && !/\s/.test(srcset[end])) {
+      end++;
+    }
+    let url = srcset.slice(position, end);
+    let descriptor = '';
+    position = end;
+    
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const commaIndex = srcset.indexOf(',', position);
+      const descriptorEnd = commaIndex === -1 ? srcset.length : commaIndex;
+      descriptor = srcset.slice(position, descriptorEnd).trim();
+      position = descriptorEnd + 1;
+    }
+    
+    const rewrittenUrl = rewriteSingleUrl(url);
+    candidates.push(descriptor ? `${rewrittenUrl} ${descriptor}` : rewrittenUrl);
+  }
+  
+  return candidates.join(', ');
+}
+
+/**
+ * 重写HTML内容
+ * @param {string} html - HTML内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {string} rewriteMode - 重写模式（full 时才重写内联脚本）
+ * @param {string|null} [runtimeNonce] - 注入客户端脚本时使用的 nonce
+ * @returns {string} - 重写后的HTML
+ */
+function rewriteHtml(html, targetUrl, addressing, rewriteMode, runtimeNonce) {
+  const patterns = [
+    // href 属性
+    {
+      regex: /(<[^>]+\s+href\s*=\s*["'])([^"']*)(["'])/gi,
+      handler: (match, prefix, url, suffix) => {
+        const rewrittenUrl = rewriteUrl(url, targetUrl, addressing);
+        return prefix + rewrittenUrl + suffix;
+      }
+    },
+    // src 属性
+    {
+      regex: /(<[^>]+\s+src\s*=\s*["'])([^"']*)(["'])/gi,
+      handler: (match, prefix, url, suffix) => {
+        const rewrittenUrl = rewriteUrl(url, targetUrl, addressing);
+        return prefix + rewrittenUrl + suffix;
+      }
+    },
+    // action 属性（form 标签）
+    {
+      regex: /(<form[^>]+\s+action\s*=\s*["'])([^"']*)(["'])/gi,
+      handler: (match, prefix, url, suffix) => {
+        const rewrittenUrl = rewriteUrl(url, targetUrl, addressing);
+        return prefix + rewrittenUrl + suffix;
+      }
+    },
+    // srcset 属性（需要特殊处理每个url）
+    {
+      regex: /(<[^>]+\s+srcset\s*=\s*["'])([^"']*)(["'])/gi,
+      handler: (match, prefix, srcset, suffix) => {
+        const rewrittenSrcset = srcset.split(',').map(src => {
+          const [url, descriptor] = src.trim().split(/\s+/);
+          const rewrittenUrl = rewriteUrl(url, targetUrl, addressing);
+          return descriptor ? `${rewrittenUrl} ${descriptor}` : rewrittenUrl;
+        }).join(', ');
+        return prefix + rewrittenSrcset + suffix;
+      }
+    },
+    // style 属性中的 url(...)，这里匹配整个 style 属性的内容，稍后用 CSS 解析或简单替换
+    {
+      regex: /(<[^>]+\s+style\s*=\s*["'])([^"']*)(["'])/gi,
+      handler: (match, prefix, styleContent, suffix) => {
+        const rewrittenStyleContent = styleContent.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (m, quote, url) => {
+          const rewrittenUrl = rewriteUrl(url, targetUrl, addressing);
+          return `url(${quote}${rewrittenUrl}${quote})`;
+        });
+        return prefix + rewrittenStyleContent + suffix;
+      }
+    },
+    // meta 标签的 content 属性中包含 URL（以 http 或 https 开头的）
+    {
+      regex: /(<meta[^>]+\s+content\s*=\s*["'])(https?:\/\/[^"']*)(["'])/gi,
+      handler: (match, prefix, url, suffix) => {
+        const rewrittenUrl = rewriteUrl(url, targetUrl, addressing);
+        return prefix + rewrittenUrl + suffix;
+      }
+    }
+  ];
+
+  let result = html;
+  for (const pattern of patterns) {
+    result = result.replace(pattern.regex, pattern.handler);
+  }
+
+  // 处理内联脚本中的URL，并注入客户端脚本（放在 <head> 最前，先于页面脚本执行）
+  if (rewriteMode === 'full') {
+    result = rewriteInlineScripts(result, targetUrl, addressing);
+    
+    const headMatch = /<head(\s[^>]*)?>/i.exec(result);
+    result = headMatch
+      ? result.slice(0, headMatch.index + headMatch[0].length) + getClientRuntimeTag(targetUrl, runtimeNonce) + result.slice(headMatch.index + headMatch[0].length)
+      : getClientRuntimeTag(targetUrl, runtimeNonce) + result;
+  }
+
+  return result;
+}
+
+/**
+ * 重写CSS内容
+ * @param {string} css - CSS内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的CSS
+ */
+function rewriteCss(css, targetUrl, addressing) {
+  const rule = getCssRewriteRule(targetUrl, addressing);
+  return css.replace(rule.pattern, rule.replace);
+}
+
+/**
+ * CSS 的重写规则：url() 函数与 @import 中的 URL
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {Object} - { pattern, replace }，供 String.replace 与流式重写（见 createPatternRewriter）共用
+ */
+function getCssRewriteRule(targetUrl, addressing) {
+  return {
+    pattern: /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/gi,
+    replace: (match, urlQuote, url, importQuote, importUrl) => {
+      if (url !== undefined) {
+        return `url(${urlQuote}${rewriteUrl(url, targetUrl, addressing)}${urlQuote})`;
+      }
+      return `@import ${importQuote}${rewriteUrl(importUrl, targetUrl, addressing)}${importQuote}`;
+    }
+  };
+}
+
+/**
+ * 重写JavaScript内容
+ * @param {string} js - JavaScript内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的JavaScript
+ */
+function rewriteJavaScript(js, targetUrl, addressing) {
+  const rule = getJavaScriptRewriteRule(targetUrl, addressing);
+  return js.replace(rule.pattern, rule.replace) + rule.finish();
+}
+
+/**
+ * JavaScript 的重写规则
+ * 这是一个简化的实现，只处理字符串字面量中的完整URL（完整的JavaScript重写需要AST解析）；
+ * fetch、XMLHttpRequest 等运行时产生的URL由页面注入的客户端脚本处理（见 getClientRuntimeJS）。
+ * Service Worker 等 Worker 脚本中 importScripts() 的字符串参数（含相对地址）同样改写为代理地址。
+ * Source map：重写改变了代码位置时，原有的 source map 已经对不上，移除 sourceMappingURL 注释；
+ * 代码未改变时把注释（或上游 SourceMap 响应头，改为追加到末尾的注释）中的地址改写为代理地址
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {string|null} [sourceMapUrl] - 上游通过 SourceMap 响应头声明的 source map 地址
+ * @param {boolean} [workerScript] - 是否为 Worker 脚本（开头会注入客户端脚本，代码位置必然改变）
+ * @returns {Object} - { pattern, replace, finish }
+ */
+function getJavaScriptRewriteRule(targetUrl, addressing, sourceMapUrl, workerScript) {
+  let changed = Boolean(workerScript);
+  let hasSourceMapComment = false;
+  
+  return {
+    pattern: /\bimportScripts(\s*\()([^()]*)\)|^([ \t]*\/\/[#@][ \t]*sourceMappingURL[ \t]*=[ \t]*)(\S+)|(["'`])(https?:\/\/[^"'`]+)\5/gim,
+    replace: (match, importParen, importArgs, sourceMapPrefix, sourceMapTarget, quote, url) => {
+      if (importArgs !== undefined) {
+        const rewrittenArgs = importArgs.replace(/(["'])([^"'\\]*)\1/g, (literal, argQuote, argUrl) =>
+          argQuote + rewriteUrl(argUrl, targetUrl, addressing) + argQuote);
+        changed = changed || rewrittenArgs !== importArgs;
+        return `importScripts${importParen}${rewrittenArgs})`;
+      }
+      
+      if (sourceMapPrefix !== undefined) {
+        hasSourceMapComment = true;
+        if (changed) {
+          return '';
+        }
+        return sourceMapTarget.startsWith('data:') ? match : sourceMapPrefix + rewriteUrl(sourceMapTarget, targetUrl, addressing);
+      }
+      
+      try {
+        const absoluteUrl = new URL(url);
+        if (!isProxyUrl(absoluteUrl, addressing) && shouldProxyUrl(absoluteUrl, targetUrl)) {
+          const rewritten = quote + rewriteUrl(url, targetUrl, addressing) + quote;
+          changed = changed || rewritten !== match;
+          return rewritten;
+        }
+      } catch (e) {
+        // 无效URL忽略
+      }
+      return match;
+    },
+    finish: () => {
+      if (changed || hasSourceMapComment || !sourceMapUrl) {
+        return '';
+      }
+      return `\n//# sourceMappingURL=${rewriteUrl(sourceMapUrl.trim(), targetUrl, addressing)}`;
+    }
+  };
+}
+
+// Web App Manifest 中值为地址的字段：顶层字段，以及 [列表字段, 子字段] 形式的列表成员
+const MANIFEST_URL_FIELDS = ['start_url', 'scope', 'id'];
+const MANIFEST_URL_LIST_FIELDS = [
+  ['icons', 'src'],
+  ['screenshots', 'src'],
+  ['shortcuts', 'url'],
+  ['protocol_handlers', 'url'],
+  ['file_handlers', 'action']
+];
+
+/**
+ * 重写 Web App Manifest，使安装后的应用指向代理地址而不是源站
+ * 相对地址按清单地址解析（与浏览器一致），路径模式下同样得到带 /p/ 前缀的地址
+ * @param {string} content - 清单内容（JSON）
+ * @param {URL} targetUrl - 清单的目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的清单，不是有效 JSON 时原样返回
+ */
+function rewriteWebAppManifest(content, targetUrl, addressing) {
+  let manifest;
+  try {
+    manifest = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (e) {
+    return content;
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return content;
+  }
+  
+  const rewriteField = (object, field) => {
+    if (object && typeof object === 'object' && typeof object[field] === 'string') {
+      object[field] = rewriteUrl(object[field], targetUrl, addressing);
+    }
+  };
+  const rewriteList = (object, listField, field) => {
+    if (object && Array.isArray(object[listField])) {
+      object[listField].forEach(item => rewriteField(item, field));
+    }
+  };
+  
+  MANIFEST_URL_FIELDS.forEach(field => rewriteField(manifest, field));
+  MANIFEST_URL_LIST_FIELDS.forEach(([listField, field]) => rewriteList(manifest, listField, field));
+  rewriteField(manifest.share_target, 'action');
+  if (Array.isArray(manifest.shortcuts)) {
+    manifest.shortcuts.forEach(shortcut => rewriteList(shortcut, 'icons', 'src'));
+  }
+  
+  return JSON.stringify(manifest, null, 2);
+}
+
+// 客户端脚本的保留路径与版本（修改脚本内容时递增版本号，使浏览器缓存失效）
+const CLIENT_RUNTIME_PATH = '/__proxy/runtime.js';
+const CLIENT_RUNTIME_VERSION = '6';
+
+/**
+ * 获取客户端脚本地址（相对当前代理主机）
+ * 带上目标源，客户端脚本按该站点的站点配置判断哪些主机需要代理（见 handleClientRuntime）
+ * @param {URL} targetUrl - 目标URL
+ * @returns {string} - 客户端脚本地址
+ */
+function getClientRuntimeUrl(targetUrl) {
+  return `${CLIENT_RUNTIME_PATH}?v=${CLIENT_RUNTIME_VERSION}&target=${encodeURIComponent(targetUrl.origin)}`;
+}
+
+/**
+ * 获取注入页面的客户端脚本标签
+ * @param {URL} targetUrl - 目标URL
+ * @param {string|null} [nonce] - 页面 CSP 使用的 nonce（见 getCspScriptNonce）
+ * @returns {string} - script 标签
+ */
+function getClientRuntimeTag(targetUrl, nonce) {
+  const nonceAttribute = nonce ? ` nonce="${nonce}"` : '';
+  return `<script src="${getClientRuntimeUrl(targetUrl).replace(/&/g, '&amp;')}"${nonceAttribute}></script>`;
+}
+
+/**
+ * 处理客户端脚本请求
+ * target 参数为目标源时带上该站点的站点配置；缺少或无法解析时（如旧版本页面缓存的地址）只跳过 NEVER_REWRITE_HOSTS
+ * @param {URL} url - 当前请求URL
+ * @returns {Promise<Response>} - 客户端脚本
+ */
+async function handleClientRuntime(url) {
+  const headers = new Headers({
+    'Content-Type': 'application/javascript; charset=utf-8',
+    'Cache-Control': 'public, max-age=86400'
+  });
+  addCorsHeaders(headers);
+  
+  let targetUrl = null;
+  try {
+    targetUrl = new URL(url.searchParams.get('target'));
+    if (targetUrl.protocol !== 'http:' && targetUrl.protocol !== 'https:') {
+      targetUrl = null;
+    }
+  } catch (e) {
+    targetUrl = null;
+  }
+  if (targetUrl) {
+    await loadSiteProfileOverrides();
+  }
+  
+  return new Response(getClientRuntimeJS(getProxyAddressing(url), targetUrl), { headers: headers });
+}
+
+/**
+ * 生成客户端脚本
+ * 在浏览器中拦截所有会产生URL的 API，把任意跨域地址映射为 aaa--bb--com.代理域名（路径模式为 /p/https/aaa.bb.com）形式，
+ * 防止单页应用在客户端导航、动态请求时绕过代理。同时适用于页面与 Worker 环境。
+ * 子域名编解码直接复用服务端的 convertUrlToSubdomain / convertSubdomainToUrl，保证两端一致。
+ * 需要代理的主机与服务端 shouldProxyUrl 的判断一致：目标主机及其子域名、站点配置中的关联主机，never 优先。
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {URL|null} [targetUrl] - 目标URL，为空时代理除 NEVER_REWRITE_HOSTS 以外的所有主机
+ * @returns {string} - JavaScript 代码
+ */
+function getClientRuntimeJS(addressing, targetUrl) {
+  const profile = targetUrl ? resolveSiteProfile(targetUrl) : null;
+  const runtimeConfig = JSON.stringify({
+    version: CLIENT_RUNTIME_VERSION,
+    mode: addressing.mode,
+    proxyDomain: addressing.proxyDomain,
+    pathPrefix: PATH_MODE_PREFIX,
+    shortPath: SHORT_SUBDOMAIN_REDIRECT_PATH,
+    site: profile
+      ? { host: targetUrl.hostname.toLowerCase(), related: profile.related, never: profile.never, allHosts: profile.allHosts }
+      : { host: null, related: [], never: CONFIG.NEVER_REWRITE_HOSTS, allHosts: true }
+  });
+  
+  return String.raw`/* proxy client runtime v${CLIENT_RUNTIME_VERSION} */
+(function () {
+  'use strict';
+  var global = typeof window !== 'undefined' ? window : self;
+  if (global.__proxyRuntime) return;
+
+  var config = ${runtimeConfig};
+  var proxyDomain = config.proxyDomain;
+  var pathMode = config.mode === 'path';
+  var SKIP_PROTOCOL = /^\s*(data|blob|javascript|about|mailto|tel|sms):/i;
+  var PROXYABLE_PROTOCOL = /^(https?|wss?):$/;
+  var PATH_TARGET = /^\/p\/(https?)\/([^/]+)/;
+
+  ${convertUrlToSubdomain.toString()}
+
+  ${convertSubdomainToUrl.toString()}
+
+  function isProxyHost(hostname) {
+    return hostname === proxyDomain ||
+      hostname.slice(-(proxyDomain.length + 1)) === '.' + proxyDomain;
+  }
+
+  function matchesHostPattern(hostname, pattern) {
+    pattern = pattern.toLowerCase();
+    if (pattern === '*') return true;
+    return pattern.slice(0, 2) === '*.'
+      ? hostname.slice(-(pattern.length - 1)) === pattern.slice(1)
+      : hostname === pattern;
+  }
+
+  // 与服务端 shouldProxyUrl 一致：never 中的主机保持直连，其余只代理目标站点及其关联主机
+  function shouldProxyHost(hostname) {
+    var site = config.site;
+    if (site.never.some(function (pattern) { return matchesHostPattern(hostname, pattern); })) return false;
+    if (site.allHosts) return true;
+    if (hostname === site.host || hostname.slice(-(site.host.length + 1)) === '.' + site.host) return true;
+    return site.related.some(function (pattern) { return matchesHostPattern(hostname, pattern); });
+  }
+
+  function baseUrl() {
+    return typeof document !== 'undefined' ? document.baseURI : location.href;
+  }
+
+  // 路径模式：当前页面的目标源（/p/https/github.com/... → https://github.com）
+  function currentTargetOrigin() {
+    var match = PATH_TARGET.exec(location.pathname);
+    return match ? match[1] + '://' + match[2] : null;
+  }
+
+  // 路径模式：目标地址 → <Worker 源>/p/<协议>/<主机>/路径；Worker 源上 /p/ 以外的地址属于当前目标站点
+  function toPathProxyUrl(input, parsed) {
+    if (parsed.host === location.host) {
+      if (parsed.pathname.indexOf(config.pathPrefix) === 0) return input;
+      var targetOrigin = currentTargetOrigin();
+      if (!targetOrigin) return input;
+      parsed = new URL(parsed.pathname + parsed.search + parsed.hash, targetOrigin);
+    }
+    if (!shouldProxyHost(parsed.hostname)) return input;
+
+    var secure = parsed.protocol === 'https:' || parsed.protocol === 'wss:';
+    var isWebSocket = parsed.protocol === 'ws:' || parsed.protocol === 'wss:';
+    var proxied = new URL(config.pathPrefix + (secure ? 'https' : 'http') + '/' + parsed.host +
+      parsed.pathname + parsed.search + parsed.hash, location.origin);
+    if (isWebSocket) proxied.protocol = proxied.protocol === 'https:' ? 'wss:' : 'ws:';
+    return proxied.href;
+  }
+
+  // 任意地址 → 代理地址；已经是代理地址或无需代理时原样返回
+  function toProxyUrl(input) {
+    if (input === null || input === undefined) return input;
+    var url = String(input);
+    if (!url || SKIP_PROTOCOL.test(url) || url.charAt(0) === '#') return input;
+
+    var parsed;
+    try {
+      parsed = new URL(url, baseUrl());
+    } catch (e) {
+      return input;
+    }
+    if (!PROXYABLE_PROTOCOL.test(parsed.protocol)) return input;
+    if (pathMode) return toPathProxyUrl(input, parsed);
+    if (isProxyHost(parsed.hostname) || !shouldProxyHost(parsed.hostname)) return input;
+
+    var subdomain = convertUrlToSubdomain(parsed.hostname, parsed.protocol, parsed.port);
+    if (!subdomain) return input;
+    // 超过 DNS 标签长度上限：短格式需要签名密钥，交给当前代理主机登记后跳转（WebSocket 无法跟随跳转）
+    if (subdomain.length > 63) {
+      return location.origin + config.shortPath + '?url=' + encodeURIComponent(parsed.href);
+    }
+
+    var isWebSocket = parsed.protocol === 'ws:' || parsed.protocol === 'wss:';
+    parsed.protocol = isWebSocket ? 'wss:' : 'https:';
+    parsed.hostname = subdomain + '.' + proxyDomain;
+    parsed.port = '';
+    return parsed.href;
+  }
+
+  function toProxyOrigin(origin) {
+    if (typeof origin !== 'string' || origin === '*' || origin === '/') return origin;
+    try {
+      return new URL(toProxyUrl(origin + '/')).origin;
+    } catch (e) {
+      return origin;
+    }
+  }
+
+  // 代理源 → 原始源（用于 MessageEvent.origin，使页面的来源校验继续有效）
+  // 路径模式下所有目标共用 Worker 源，只能按当前页面的目标站点还原
+  function fromProxyOrigin(origin) {
+    try {
+      if (pathMode) return origin === location.origin ? currentTargetOrigin() || origin : origin;
+      var parsed = new URL(origin);
+      if (!isProxyHost(parsed.hostname) || parsed.hostname === proxyDomain) return origin;
+      return convertSubdomainToUrl(parsed.hostname.slice(0, -(proxyDomain.length + 1))) || origin;
+    } catch (e) {
+      return origin;
+    }
+  }
+
+  function rewriteSrcset(value) {
+    return String(value).split(/,\s+/).map(function (candidate) {
+      var parts = candidate.trim().split(/\s+/);
+      parts[0] = toProxyUrl(parts[0]);
+      return parts.join(' ');
+    }).join(', ');
+  }
+
+  function patchMethod(target, name, wrap) {
+    if (!target || typeof target[name] !== 'function') return;
+    target[name] = wrap(target[name]);
+  }
+
+  function wrapConstructor(name) {
+    var Native = global[name];
+    if (typeof Native !== 'function') return;
+    var Wrapped = function (url) {
+      var args = Array.prototype.slice.call(arguments);
+      args[0] = toProxyUrl(url);
+      return Reflect.construct(Native, args, new.target || Wrapped);
+    };
+    Wrapped.prototype = Native.prototype;
+    Object.setPrototypeOf(Wrapped, Native);
+    global[name] = Wrapped;
+  }
+
+  // 网络请求
+  patchMethod(global, 'fetch', function (nativeFetch) {
+    return function (input, init) {
+      if (typeof Request !== 'undefined' && input instanceof Request) {
+        var rewritten = toProxyUrl(input.url);
+        if (rewritten !== input.url) input = new Request(rewritten, input);
+      } else {
+        input = toProxyUrl(input);
+      }
+      return nativeFetch.call(this, input, init);
+    };
+  });
+
+  if (global.XMLHttpRequest) {
+    patchMethod(global.XMLHttpRequest.prototype, 'open', function (nativeOpen) {
+      return function (method, url) {
+        var args = Array.prototype.slice.call(arguments);
+        args[1] = toProxyUrl(url);
+        return nativeOpen.apply(this, args);
+      };
+    });
+  }
+
+  ['WebSocket', 'EventSource', 'Worker', 'SharedWorker'].forEach(wrapConstructor);
+
+  if (global.navigator && typeof global.navigator.sendBeacon === 'function') {
+    var nativeSendBeacon = global.navigator.sendBeacon;
+    global.navigator.sendBeacon = function (url, data) {
+      return nativeSendBeacon.call(global.navigator, toProxyUrl(url), data);
+    };
+  }
+
+  if (global.ServiceWorkerContainer) {
+    patchMethod(global.ServiceWorkerContainer.prototype, 'register', function (nativeRegister) {
+      return function (scriptURL, options) {
+        if (options && options.scope) {
+          options = Object.assign({}, options, { scope: toProxyUrl(options.scope) });
+        }
+        return nativeRegister.call(this, toProxyUrl(scriptURL), options);
+      };
+    });
+  }
+
+  patchMethod(global, 'importScripts', function (nativeImportScripts) {
+    return function () {
+      return nativeImportScripts.apply(this, Array.prototype.map.call(arguments, toProxyUrl));
+    };
+  });
+
+  if (typeof document === 'undefined') {
+    global.__proxyRuntime = { version: config.version, toProxyUrl: toProxyUrl };
+    return;
+  }
+
+  // 导航
+  ['pushState', 'replaceState'].forEach(function (name) {
+    patchMethod(global.History && global.History.prototype, name, function (nativeMethod) {
+      return function (state, title, url) {
+        if (arguments.length > 2 && url !== undefined && url !== null) {
+          return nativeMethod.call(this, state, title, toProxyUrl(url));
+        }
+        return nativeMethod.apply(this, arguments);
+      };
+    });
+  });
+
+  patchMethod(global, 'open', function (nativeOpen) {
+    return function (url) {
+      var args = Array.prototype.slice.call(arguments);
+      if (url) args[0] = toProxyUrl(url);
+      return nativeOpen.apply(this, args);
+    };
+  });
+
+  // location 的属性不可重定义，通过 Navigation API 拦截 location.href / assign / replace 等跳转；
+  // 目前只有 Chromium 系浏览器支持，其他浏览器中脚本赋值 location 会直接离开代理
+  if (global.navigation && typeof global.navigation.addEventListener === 'function') {
+    global.navigation.addEventListener('navigate', function (event) {
+      var destination = event.destination && event.destination.url;
+      if (!destination || !event.cancelable) return;
+      var rewritten = toProxyUrl(destination);
+      if (rewritten !== destination) {
+        event.preventDefault();
+        global.location.href = rewritten;
+      }
+    });
+  }
+
+  // 不支持 Navigation API 的浏览器：点击时兜底改写链接
+  document.addEventListener('click', function (event) {
+    var anchor = event.target && event.target.closest && event.target.closest('a[href], area[href]');
+    if (anchor) {
+      var href = anchor.getAttribute('href');
+      var rewritten = toProxyUrl(href);
+      if (rewritten !== href) nativeSetAttribute.call(anchor, 'href', rewritten);
+    }
+  }, true);
+
+  // DOM 属性
+  var URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'data', 'xlink:href'];
+  var SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+  var nativeSetAttribute = Element.prototype.setAttribute;
+  var nativeSetAttributeNS = Element.prototype.setAttributeNS;
+
+  function rewriteAttributeValue(element, name, value) {
+    var lowerName = String(name).toLowerCase();
+    if (lowerName === 'data' && element.tagName !== 'OBJECT') return value;
+    if (URL_ATTRIBUTES.indexOf(lowerName) !== -1) return toProxyUrl(value);
+    if (SRCSET_ATTRIBUTES.indexOf(lowerName) !== -1) return rewriteSrcset(value);
+    return value;
+  }
+
+  Element.prototype.setAttribute = function (name, value) {
+    return nativeSetAttribute.call(this, name, rewriteAttributeValue(this, name, value));
+  };
+
+  Element.prototype.setAttributeNS = function (namespace, name, value) {
+    return nativeSetAttributeNS.call(this, namespace, name, rewriteAttributeValue(this, name, value));
+  };
+
+  [
+    ['HTMLAnchorElement', 'href'], ['HTMLAreaElement', 'href'], ['HTMLLinkElement', 'href'],
+    ['HTMLBaseElement', 'href'], ['HTMLImageElement', 'src'], ['HTMLImageElement', 'srcset'],
+    ['HTMLScriptElement', 'src'], ['HTMLIFrameElement', 'src'], ['HTMLFrameElement', 'src'],
+    ['HTMLEmbedElement', 'src'], ['HTMLSourceElement', 'src'], ['HTMLSourceElement', 'srcset'],
+    ['HTMLTrackElement', 'src'], ['HTMLMediaElement', 'src'], ['HTMLInputElement', 'src'],
+    ['HTMLFormElement', 'action'], ['HTMLButtonElement', 'formAction'], ['HTMLInputElement', 'formAction'],
+    ['HTMLVideoElement', 'poster'], ['HTMLObjectElement', 'data']
+  ].forEach(function (entry) {
+    var ctor = global[entry[0]];
+    var descriptor = ctor && Object.getOwnPropertyDescriptor(ctor.prototype, entry[1]);
+    if (!descriptor || !descriptor.set) return;
+    Object.defineProperty(ctor.prototype, entry[1], {
+      configurable: true,
+      enumerable: descriptor.enumerable,
+      get: descriptor.get,
+      set: function (value) {
+        descriptor.set.call(this, entry[1] === 'srcset' ? rewriteSrcset(value) : toProxyUrl(value));
+      }
+    });
+  });
+
+  // innerHTML / outerHTML / insertAdjacentHTML：先在惰性的 <template> 中解析并改写，避免原始地址被提前加载
+  var innerHTMLDescriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
+  var outerHTMLDescriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'outerHTML');
+  var URL_ATTRIBUTE_PATTERN = /\s(href|src|action|formaction|poster|data|srcset|imagesrcset)\s*=/i;
+  var RAW_TEXT_ELEMENTS = ['SCRIPT', 'STYLE', 'TEXTAREA', 'XMP', 'NOSCRIPT'];
+
+  function rewriteHtmlString(html) {
+    if (typeof html !== 'string' || !URL_ATTRIBUTE_PATTERN.test(html) || !innerHTMLDescriptor) return html;
+    var template = document.createElement('template');
+    innerHTMLDescriptor.set.call(template, html);
+    var elements = template.content.querySelectorAll('*');
+    for (var i = 0; i < elements.length; i++) {
+      var attributes = elements[i].attributes;
+      for (var j = 0; j < attributes.length; j++) {
+        var rewritten = rewriteAttributeValue(elements[i], attributes[j].name, attributes[j].value);
+        if (rewritten !== attributes[j].value) attributes[j].value = rewritten;
+      }
+    }
+    return innerHTMLDescriptor.get.call(template);
+  }
+
+  [['innerHTML', innerHTMLDescriptor], ['outerHTML', outerHTMLDescriptor]].forEach(function (entry) {
+    var descriptor = entry[1];
+    if (!descriptor || !descriptor.set) return;
+    Object.defineProperty(Element.prototype, entry[0], {
+      configurable: true,
+      enumerable: descriptor.enumerable,
+      get: descriptor.get,
+      set: function (value) {
+        descriptor.set.call(this, RAW_TEXT_ELEMENTS.indexOf(this.tagName) === -1 ? rewriteHtmlString(value) : value);
+      }
+    });
+  });
+
+  patchMethod(Element.prototype, 'insertAdjacentHTML', function (nativeInsert) {
+    return function (position, html) {
+      return nativeInsert.call(this, position, rewriteHtmlString(html));
+    };
+  });
+
+  // postMessage：发送时把目标源映射为代理源，接收时把代理源还原为原始源。
+  // 只能改写当前窗口自身的 postMessage：parent / opener / iframe.contentWindow 等跨源窗口的方法由浏览器提供，
+  // 无法替换，通过它们以具体目标源发送的消息会因源不匹配被浏览器丢弃（目标源为 * 时不受影响）
+  patchMethod(global, 'postMessage', function (nativePostMessage) {
+    return function (message, targetOrigin) {
+      var args = Array.prototype.slice.call(arguments);
+      if (typeof targetOrigin === 'string') args[1] = toProxyOrigin(targetOrigin);
+      return nativePostMessage.apply(this, args);
+    };
+  });
+
+  var originDescriptor = global.MessageEvent && Object.getOwnPropertyDescriptor(MessageEvent.prototype, 'origin');
+  if (originDescriptor && originDescriptor.get) {
+    Object.defineProperty(MessageEvent.prototype, 'origin', {
+      configurable: true,
+      enumerable: originDescriptor.enumerable,
+      get: function () {
+        return fromProxyOrigin(originDescriptor.get.call(this));
+      }
+    });
+  }
+
+  Object.defineProperty(global, '__proxyRuntime', {
+    value: { version: config.version, toProxyUrl: toProxyUrl, fromProxyOrigin: fromProxyOrigin }
+  });
+})();
+`;
+}
+
+/**
+ * 重写JSON内容：只替换值为URL的字符串，其余字节（数字精度、空白、转义写法、键的顺序）保持不变
+ * @param {string} json - JSON内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的JSON
+ */
+function rewriteJson(json, targetUrl, addressing) {
+  return createJsonRewriter(targetUrl, addressing)(json, true).output;
+}
+
+/**
+ * 创建JSON重写器：逐个扫描字符串字面量，对象的键原样保留，值以 http(s):// 开头时重写
+ * 可用于流式重写：未结束的字符串（或无法判断是否为键的字符串）留到下一块数据再处理，
+ * 超过 STREAM_REWRITE_HOLDBACK 的长字符串不含需要重写的URL，直接输出
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {Function} - (text, final) => { output, rest }，rest 为暂不输出、需要与后续数据拼接的部分
+ */
+function createJsonRewriter(targetUrl, addressing) {
+  const stringBody = /(?:[^"\\]|\\[\s\S])*/y;
+  const whitespace = /\s*/y;
+  let inLongString = false;
+  
+  return (text, final) => {
+    let output = '';
+    let position = 0;
+    
+    while (position < text.length) {
+      if (inLongString) {
+        stringBody.lastIndex = position;
+        const end = position + stringBody.exec(text)[0].length;
+        if (end < text.length && text[end] === '"') {
+          output += text.slice(position, end + 1);
+          position = end + 1;
+          inLongString = false;
+          continue;
+        }
+        // 末尾可能是不完整的转义（单独的反斜杠），留到下一块
+        output += text.slice(position, end);
+        position = end;
+        break;
+      }
+      
+      const quote = text.indexOf('"', position);
+      if (quote === -1) {
+        output += text.slice(position);
+        position = text.length;
+        break;
+      }
+      output += text.slice(position, quote);
+      position = quote;
+      
+      // 字符串体之后不是引号时说明字符串尚未结束（末尾可能是不完整的转义）
+      stringBody.lastIndex = quote + 1;
+      const end = quote + 1 + stringBody.exec(text)[0].length;
+      if (text[end] !== '"') {
+        if (!final && text.length - quote > STREAM_REWRITE_HOLDBACK) {
+          inLongString = true;
+          output += '"';
+          position = quote + 1;
+          continue;
+        }
+        break;
+      }
+      
+      whitespace.lastIndex = end + 1;
+      const next = end + 1 + whitespace.exec(text)[0].length;
+      if (next >= text.length && !final) {
+        break;
+      }
+      
+      const literal = text.slice(quote, end + 1);
+      output += text[next] === ':' ? literal : rewriteJsonStringLiteral(literal, targetUrl, addressing);
+      position = end + 1;
+    }
+    
+    if (final) {
+      return { output: output + text.slice(position), rest: '' };
+    }
+    return { output: output, rest: text.slice(position) };
+  };
+}
+
+/**
+ * 重写JSON字符串字面量中的URL，保持原有的 "\/" 转义写法
+ * @param {string} literal - 带引号的字符串字面量
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的字面量，不是URL时原样返回
+ */
+function rewriteJsonStringLiteral(literal, targetUrl, addressing) {
+  if (!/^"https?:(\/|\\\/){2}/.test(literal)) {
+    return literal;
+  }
+  
+  let value;
+  try {
+    value = JSON.parse(literal);
+  } catch (e) {
+    return literal;
+  }
+  
+  const rewritten = rewriteUrl(value, targetUrl, addressing);
+  if (rewritten === value) {
+    return literal;
+  }
+  const encoded = JSON.stringify(rewritten);
+  return literal.includes('\\/') ? encoded.replace(/\//g, '\\/') : encoded;
+}
+
+/**
+ * 通用内容重写
+ * @param {string} content - 内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的内容
+ */
+function rewriteGeneric(content, targetUrl, addressing) {
+  const rule = getGenericRewriteRule(targetUrl, addressing);
+  return content.replace(rule.pattern, rule.replace);
+}
+
+/**
+ * 通用的重写规则：替换所有需要代理的URL（目标域名、子域名与站点配置中的关联主机，见 shouldProxyUrl）的源部分
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {Object} - { pattern, replace }
+ */
+function getGenericRewriteRule(targetUrl, addressing) {
+  return {
+    pattern: /https?:\/\/[a-zA-Z0-9.-]+(?::\d+)?(?![a-zA-Z0-9.-])/gi,
+    replace: match => {
+      try {
+        const url = new URL(match);
+        if (isProxyUrl(url, addressing) || !shouldProxyUrl(url, targetUrl)) {
+          return match;
+        }
+        const proxyUrl = buildProxyUrl(url, addressing);
+        return proxyUrl ? proxyUrl.replace(/\/$/, '') : match;
+      } catch (e) {
+        return match;
+      }
+    }
+  };
+}
+
+// XML 重写用到的命名空间
+const XML_NAMESPACES = {
+  XML: 'http://www.w3.org/XML/1998/namespace',
+  XLINK: 'http://www.w3.org/1999/xlink',
+  XHTML: 'http://www.w3.org/1999/xhtml',
+  SVG: 'http://www.w3.org/2000/svg',
+  ATOM: 'http://www.w3.org/2005/Atom',
+  RSS1: 'http://purl.org/rss/1.0/',
+  SITEMAP: 'http://www.sitemaps.org/schemas/sitemap/0.9',
+  SITEMAP_IMAGE: 'http://www.google.com/schemas/sitemap-image/1.1',
+  SITEMAP_VIDEO: 'http://www.google.com/schemas/sitemap-video/1.1',
+  WFW: 'http://wellformedweb.org/CommentAPI/'
+};
+
+// 值为URL的属性（不带前缀的属性）：Atom link@href、RSS enclosure@url、Media RSS @url、OPML outline@xmlUrl 等
+const XML_URL_ATTRIBUTES = ['href', 'src', 'url', 'xmlUrl', 'htmlUrl'];
+
+// 文本内容为URL的元素，按命名空间列出（'' 为无命名空间，即 RSS 2.0 与 OPML）；
+// guid、atom:id 等标识符不在其中，指向其他主机时保持不变，避免阅读器把同一条目当成新条目
+const XML_URL_TEXT_ELEMENTS = {
+  '': ['link', 'comments', 'docs', 'url'],
+  [XML_NAMESPACES.RSS1]: ['link', 'url'],
+  [XML_NAMESPACES.ATOM]: ['icon', 'logo', 'uri'],
+  [XML_NAMESPACES.SITEMAP]: ['loc'],
+  [XML_NAMESPACES.SITEMAP_IMAGE]: ['loc'],
+  [XML_NAMESPACES.SITEMAP_VIDEO]: ['content_loc', 'player_loc', 'thumbnail_loc'],
+  [XML_NAMESPACES.WFW]: ['commentRss']
+};
+
+// XML 标记：注释、CDATA、处理指令、DOCTYPE（可带内部子集）与标签（属性值中可以出现 ">"）
+const XML_MARKUP_CLOSERS = [
+  { opener: '<!--', closer: '-->' },
+  { opener: '<![CDATA[', closer: ']]>' },
+  { opener: '<?', closer: '?>' }
+];
+const XML_DOCTYPE_PATTERN = /<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>/iy;
+const XML_TAG_PATTERN = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const XML_ATTRIBUTE_PATTERN = /(\s+)([^\s=/>]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * 重写XML内容（RSS、Atom、站点地图、OPML、SVG、XSLT 等）
+ * @param {string} xml - XML内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的XML
+ */
+export function rewriteXml(xml, targetUrl, addressing) {
+  return rewriteGeneric(createXmlRewriter(targetUrl, addressing)(xml, true).output, targetUrl, addressing);
+}
+
+/**
+ * 创建XML重写器：按命名空间识别携带URL的属性与元素，指向任意主机的地址都改写为代理地址（不重写的主机除外）
+ * - 属性：href / src / url / xmlUrl / htmlUrl、xlink:href、xml:base，SVG 与 XHTML 元素的 style
+ * - 元素文本：RSS <link>、<comments>，Atom <icon>、<logo>，站点地图 <loc> 等（见 XML_URL_TEXT_ELEMENTS），支持 CDATA
+ * - 处理指令：<?xml-stylesheet href="..."?>
+ * 注释、CDATA 与处理指令超过 STREAM_REWRITE_HOLDBACK 仍未结束时直接输出，其余不完整的标记留到下一块处理；
+ * 其余文本与属性中指向目标域名的URL之后仍由通用规则替换（见 rewriteXml、createTextRewriter）
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {Function} - (text, final) => { output, rest }（见 createPatternRewriter）
+ */
+function createXmlRewriter(targetUrl, addressing) {
+  // 元素作用域：命名空间前缀映射与 xml:base
+  const scopes = [{ namespaces: { xml: XML_NAMESPACES.XML, '': '' }, base: targetUrl }];
+  let urlText = null;
+  let openCloser = null;
+  
+  const rewriteTag = (match, isEnd, name, attributes, selfClosing) => {
+    if (isEnd) {
+      let output = match;
+      if (urlText !== null) {
+        output = rewriteXmlUrlText(urlText, scopes[scopes.length - 1].base, targetUrl, addressing) + match;
+        urlText = null;
+      }
+      if (scopes.length > 1) {
+        scopes.pop();
+      }
+      return output;
+    }
+    
+    // 元素中嵌套了其他元素，不是单纯的URL文本
+    let output = '';
+    if (urlText !== null) {
+      output = urlText;
+      urlText = null;
+    }
+    
+    const parent = scopes[scopes.length - 1];
+    const scope = { namespaces: Object.create(parent.namespaces), base: parent.base };
+    for (const [, , attributeName, , doubleQuoted, singleQuoted] of attributes.matchAll(XML_ATTRIBUTE_PATTERN)) {
+      const value = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+      if (attributeName === 'xmlns') {
+        scope.namespaces[''] = value;
+      } else if (attributeName.startsWith('xmlns:')) {
+        scope.namespaces[attributeName.slice(6)] = value;
+      } else if (attributeName === 'xml:base') {
+        try {
+          scope.base = new URL(value, parent.base);
+        } catch (e) {
+          // 无效的 xml:base 忽略
+        }
+      }
+    }
+    
+    const [namespace, localName] = resolveXmlName(name, scope.namespaces, true);
+    const rewrittenAttributes = attributes.replace(XML_ATTRIBUTE_PATTERN, (attribute, space, attributeName, equals, doubleQuoted, singleQuoted) => {
+      const [attributeNamespace, attributeLocalName] = resolveXmlName(attributeName, scope.namespaces, false);
+      const quote = doubleQuoted !== undefined ? '"' : "'";
+      const value = doubleQuoted ?? singleQuoted;
+      let rewritten = value;
+      
+      if ((attributeNamespace === '' && XML_URL_ATTRIBUTES.includes(attributeLocalName)) ||
+          (attributeNamespace === XML_NAMESPACES.XLINK && attributeLocalName === 'href') ||
+          (attributeNamespace === XML_NAMESPACES.XML && attributeLocalName === 'base')) {
+        // xml:base 相对于上一级解析，其余相对于当前元素的 xml:base
+        const base = attributeLocalName === 'base' ? parent.base : scope.base;
+        const url = rewriteXmlUrl(decodeXmlEntities(value), base, targetUrl, addressing, true);
+        rewritten = url === null ? value : escapeXmlAttribute(url);
+      } else if (attributeNamespace === '' && attributeLocalName === 'style' &&
+          (namespace === XML_NAMESPACES.SVG || namespace === XML_NAMESPACES.XHTML)) {
+        rewritten = rewriteCss(value, targetUrl, addressing);
+      }
+      
+      return rewritten === value ? attribute : `${space}${attributeName}${equals}${quote}${rewritten}${quote}`;
+    });
+    
+    if (!selfClosing) {
+      scopes.push(scope);
+      if ((XML_URL_TEXT_ELEMENTS[namespace] || []).includes(localName)) {
+        urlText = '';
+      }
+    }
+    
+    // 属性紧跟在 "<名称" 之后；按位置拼接，避免 String.replace 把属性值中的 $& 等当作替换模式
+    const start = 1 + name.length;
+    return output + match.slice(0, start) + rewrittenAttributes + match.slice(start + attributes.length);
+  };
+  
+  return (text, final) => {
+    let output = '';
+    let position = 0;
+    
+    while (position < text.length) {
+      // 跳过过长的注释、CDATA、处理指令
+      if (openCloser) {
+        const end = text.indexOf(openCloser, position);
+        if (end === -1) {
+          const emitEnd = final ? text.length : Math.max(position, text.length - openCloser.length + 1);
+          output += text.slice(position, emitEnd);
+          position = emitEnd;
+          break;
+        }
+        output += text.slice(position, end + openCloser.length);
+        position = end + openCloser.length;
+        openCloser = null;
+        continue;
+      }
+      
+      // 文本：URL元素中的文本等到结束标签再重写，其余直接输出
+      if (text[position] !== '<') {
+        const next = text.indexOf('<', position);
+        const end = next === -1 ? text.length : next;
+        if (urlText !== null) {
+          if (next === -1 && !final && urlText.length + end - position <= STREAM_REWRITE_HOLDBACK) {
+            break;
+          }
+          urlText += text.slice(position, end);
+        } else {
+          output += text.slice(position, end);
+        }
+        position = end;
+        continue;
+      }
+      
+      const markup = XML_MARKUP_CLOSERS.find(item => text.startsWith(item.opener, position));
+      let end = -1;
+      if (markup) {
+        const closerIndex = text.indexOf(markup.closer, position + markup.opener.length);
+        end = closerIndex === -1 ? -1 : closerIndex + markup.closer.length;
+      } else {
+        const pattern = /^<!DOCTYPE/i.test(text.slice(position, position + 9)) ? XML_DOCTYPE_PATTERN : XML_TAG_PATTERN;
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        end = match ? position + match[0].length : -1;
+        
+        if (match && pattern === XML_TAG_PATTERN) {
+          output += rewriteTag(...match);
+          position = end;
+          continue;
+        }
+      }
+      
+      if (end === -1) {
+        // 还没有完整的标记：等待后续数据；不是合法标记（或过长）时按文本输出
+        const incomplete = text.length - position <= STREAM_REWRITE_HOLDBACK && !final;
+        if (incomplete && (markup || /^<[!?/A-Za-z_:]?[^<]*$/.test(text.slice(position)))) {
+          break;
+        }
+        if (markup && !final) {
+          openCloser = markup.closer;
+          output += markup.opener;
+          position += markup.opener.length;
+          continue;
+        }
+        output += '<';
+        position++;
+        continue;
+      }
+      
+      const token = text.slice(position, end);
+      if (urlText !== null && token.startsWith('<![CDATA[')) {
+        urlText += token;
+      } else if (token.startsWith('<?xml-stylesheet')) {
+        output += token.replace(/(\shref\s*=\s*)(["'])(.*?)\2/, (match, prefix, quote, value) => {
+          const url = rewriteXmlUrl(decodeXmlEntities(value), scopes[scopes.length - 1].base, targetUrl, addressing, true);
+          return url === null ? match : `${prefix}${quote}${escapeXmlAttribute(url)}${quote}`;
+        });
+      } else {
+        output += token;
+      }
+      position = end;
+    }
+    
+    if (final) {
+      return { output: output + (urlText || '') + text.slice(position), rest: '' };
+    }
+    return { output: output, rest: text.slice(position) };
+  };
+}
+
+/**
+ * 解析带前缀的XML名称
+ * @param {string} name - 名称（如 atom:link）
+ * @param {Object} namespaces - 前缀到命名空间的映射
+ * @param {boolean} isElement - 元素名称不带前缀时属于默认命名空间，属性则不属于任何命名空间
+ * @returns {Array} - [命名空间, 本地名称]，前缀未声明时命名空间为前缀本身
+ */
+function resolveXmlName(name, namespaces, isElement) {
+  const colon = name.indexOf(':');
+  if (colon === -1) {
+    return [isElement ? namespaces[''] || '' : '', name];
+  }
+  const prefix = name.slice(0, colon);
+  return [namespaces[prefix] || prefix, name.slice(colon + 1)];
+}
+
+/**
+ * 重写URL元素的文本内容（可以是 CDATA），保留前后的空白
+ * @param {string} content - 元素内容
+ * @param {URL} baseUrl - 解析基准
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的内容
+ */
+function rewriteXmlUrlText(content, baseUrl, targetUrl, addressing) {
+  const cdata = /^(\s*<!\[CDATA\[\s*)([\s\S]*?)(\s*\]\]>\s*)$/.exec(content);
+  if (cdata) {
+    const url = rewriteXmlUrl(cdata[2], baseUrl, targetUrl, addressing, false);
+    return url === null ? content : cdata[1] + url + cdata[3];
+  }
+  
+  const text = /^(\s*)([^<]*?)(\s*)$/.exec(content);
+  const url = text && rewriteXmlUrl(decodeXmlEntities(text[2]), baseUrl, targetUrl, addressing, false);
+  return url ? text[1] + escapeXmlAttribute(url) + text[3] : content;
+}
+
+/**
+ * 把XML中的URL改写为代理地址（不重写的主机除外，见 isNeverRewriteHost）
+ * @param {string} value - URL
+ * @param {URL} baseUrl - 解析基准
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {boolean} allowRelative - 是否处理相对地址（属性中常见；元素文本只处理绝对地址）
+ * @returns {string|null} - 代理地址，不需要改写时为 null
+ */
+function rewriteXmlUrl(value, baseUrl, targetUrl, addressing, allowRelative) {
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.startsWith('#') || (!allowRelative && !/^https?:\/\//i.test(trimmed))) {
+    return null;
+  }
+  
+  try {
+    const url = new URL(trimmed, baseUrl);
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || isProxyUrl(url, addressing) ||
+        isNeverRewriteHost(url.hostname, targetUrl)) {
+      return null;
+    }
+    return buildProxyUrl(url, addressing) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 解码XML实体（预定义实体与字符引用）
+ * @param {string} value - 文本
+ * @returns {string} - 解码后的文本
+ */
+function decodeXmlEntities(value) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (match, hex, decimal, name) => {
+    if (name) {
+      return entities[name.toLowerCase()];
+    }
+    const codePoint = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  });
+}
+
+/**
+ * 转义XML属性值与文本中的特殊字符
+ * @param {string} value - 文本
+ * @returns {string} - 转义后的文本
+ */
+function escapeXmlAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * 重写单个URL
+ * @param {string} url - 原始URL
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @param {URL} [baseUrl] - 解析相对URL的基准（<base href>），默认为目标URL
+ * @returns {string} - 重写后的URL
+ */
+function rewriteUrl(url, targetUrl, addressing, baseUrl = targetUrl) {
+  if (!url || url.startsWith('data:') || url.startsWith('blob:') || url.startsWith('#')) {
+    return url;
+  }
+  
+  try {
+    // 处理相对URL
+    const absoluteUrl = new URL(url, baseUrl);
+    
+    // 检查是否需要代理（已经是代理地址的不再重复代理）
+    if (!isProxyUrl(absoluteUrl, addressing) && shouldProxyUrl(absoluteUrl, targetUrl)) {
+      return buildProxyUrl(absoluteUrl, addressing) || url;
+    }
+    
+    return url;
+  } catch (e) {
+    // 如果URL解析失败，返回原始值
+    return url;
+  }
+}
+
+/**
+ * 判断URL是否需要代理：目标主机及其子域名，以及站点配置中与目标一起重写的关联主机（见 resolveSiteProfile）；
+ * NEVER_REWRITE_HOSTS 与站点配置中的 never 优先
+ * @param {URL} url - URL对象
+ * @param {URL} targetUrl - 目标URL
+ * @returns {boolean} - 是否需要代理
+ */
+function shouldProxyUrl(url, targetUrl) {
+  const hostname = url.hostname.toLowerCase();
+  const profile = resolveSiteProfile(targetUrl);
+  
+  if (profile.never.some(pattern => matchesSiteProfileHost(hostname, pattern))) {
+    return false;
+  }
+  
+  // 同源与子域名需要代理
+  const targetHostname = targetUrl.hostname.toLowerCase();
+  if (hostname === targetHostname || hostname.endsWith('.' + targetHostname)) {
+    return true;
+  }
+  
+  return profile.allHosts || profile.related.some(pattern => matchesSiteProfileHost(hostname, pattern));
+}
+
+// 站点配置支持的字段；主机模式为 example.com、*.example.com，或 * 表示任意主机
+const SITE_PROFILE_FIELDS = ['name', 'hosts', 'related', 'never'];
+const SITE_PROFILE_HOST_PATTERN = /^(\*|(\*\.)?[a-z0-9.-]+)$/i;
+
+// 内置的常见站点配置：同一站点的主域名、静态资源与媒体域名一起重写
+const BUILTIN_SITE_PROFILES = [
+  {
+    name: 'github',
+    hosts: ['github.com', '*.github.com', 'githubusercontent.com', '*.githubusercontent.com', 'githubassets.com', '*.githubassets.com']
+  },
+  {
+    name: 'youtube',
+    hosts: ['youtube.com', '*.youtube.com', 'youtu.be', '*.ytimg.com', '*.googlevideo.com', '*.ggpht.com']
+  },
+  {
+    name: 'wikipedia',
+    hosts: ['wikipedia.org', '*.wikipedia.org', 'wikimedia.org', '*.wikimedia.org', 'wikidata.org', '*.wikidata.org']
+  },
+  {
+    name: 'x',
+    hosts: ['x.com', '*.x.com', 'twitter.com', '*.twitter.com', '*.twimg.com', 't.co']
+  },
+  {
+    name: 'reddit',
+    hosts: ['reddit.com', '*.reddit.com', 'redd.it', '*.redd.it', '*.redditmedia.com', '*.redditstatic.com']
+  },
+  {
+    name: 'stackexchange',
+    hosts: ['stackoverflow.com', '*.stackoverflow.com', 'stackexchange.com', '*.stackexchange.com', '*.sstatic.net']
+  }
+];
+
+/**
+ * 校验站点配置
+ * 格式：[{
+ *   "name": "github",
+ *   "hosts": ["github.com", "*.github.com", "*.githubusercontent.com"],  目标为其中任一主机时，其余主机一起重写
+ *   "related": ["*"],                                                   额外重写的主机（只在 hosts 中的目标下生效），* 表示所有主机
+ *   "never": ["collector.github.com"]                                   在这些目标下不重写的主机（优先于 hosts / related）
+ * }]
+ * @param {any} value - 站点配置列表
+ * @throws {Error} - 格式不正确时抛出
+ */
+function validateSiteProfiles(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('expected a JSON array of site profiles');
+  }
+  
+  value.forEach((profile, index) => {
+    const label = `profile #${index}`;
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`${label}: expected an object`);
+    }
+    for (const key of Object.keys(profile)) {
+      if (!SITE_PROFILE_FIELDS.includes(key)) {
+        throw new Error(`${label}: unknown field ${JSON.stringify(key)}`);
+      }
+    }
+    if (profile.name !== undefined && typeof profile.name !== 'string') {
+      throw new Error(`${label}: name must be a string`);
+    }
+    for (const field of ['hosts', 'related', 'never']) {
+      const patterns = profile[field];
+      if (patterns === undefined && field !== 'hosts') {
+        continue;
+      }
+      if (!Array.isArray(patterns) || (field === 'hosts' && !patterns.length)) {
+        throw new Error(`${label}: ${field} must be ${field === 'hosts' ? 'a non-empty' : 'an'} array of host patterns`);
+      }
+      const invalid = patterns.find(pattern => typeof pattern !== 'string' || !SITE_PROFILE_HOST_PATTERN.test(pattern));
+      if (invalid !== undefined) {
+        throw new Error(`${label}: invalid host pattern ${JSON.stringify(invalid)} in ${field}`);
+      }
+    }
+  });
+}
+
+/**
+ * 合并匹配目标主机的站点配置（SITE_PROFILES 配置、管理后台保存的配置、内置配置）
+ * 管理后台的配置需要先由 loadSiteProfileOverrides 读入内存
+ * @param {URL} targetUrl - 目标URL
+ * @returns {Object} - { names, related（一起重写的主机模式）, never（不重写的主机模式）, allHosts }
+ */
+function resolveSiteProfile(targetUrl) {
+  const hostname = targetUrl.hostname.toLowerCase();
+  const profiles = [
+    ...CONFIG.SITE_PROFILES,
+    ...(siteProfilesKvCache ? siteProfilesKvCache.value : []),
+    ...(CONFIG.BUILTIN_SITE_PROFILES_ENABLED ? BUILTIN_SITE_PROFILES : [])
+  ];
+  
+  const result = { names: [], related: [], never: [...CONFIG.NEVER_REWRITE_HOSTS], allHosts: false };
+  for (const profile of profiles) {
+    if (!profile.hosts.some(pattern => matchesSiteProfileHost(hostname, pattern))) {
+      continue;
+    }
+    result.names.push(profile.name || profile.hosts[0]);
+    result.related.push(...profile.hosts, ...(profile.related || []));
+    result.never.push(...(profile.never || []));
+  }
+  result.allHosts = result.related.includes('*');
+  
+  return result;
+}
+
+/**
+ * 判断主机是否匹配站点配置中的主机模式
+ * @param {string} hostname - 主机名（小写）
+ * @param {string} pattern - 主机模式，* 匹配任意主机
+ * @returns {boolean} - 是否匹配
+ */
+function matchesSiteProfileHost(hostname, pattern) {
+  return pattern === '*' || matchesHostPattern(hostname, pattern);
+}
+
+/**
+ * 判断主机在目标站点下是否不应重写（NEVER_REWRITE_HOSTS 与站点配置中的 never）
+ * @param {string} hostname - 主机名
+ * @param {URL} targetUrl - 目标URL
+ * @returns {boolean} - 是否不重写
+ */
+function isNeverRewriteHost(hostname, targetUrl) {
+  const lowerHostname = hostname.toLowerCase();
+  return resolveSiteProfile(targetUrl).never.some(pattern => matchesSiteProfileHost(lowerHostname, pattern));
+}
+
+/**
+ * 重写内联脚本
+ * @param {string} html - HTML内容
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 重写后的HTML
+ */
+function rewriteInlineScripts(html, targetUrl, addressing) {
+  // 处理内联脚本标签
+  return html.replace(/<script([^>]*)>([\s\S]*?)<\/script>/gi, (match, attrs, content) => {
+    // 跳过外部脚本
+    if (/\ssrc\s*=/i.test(attrs)) {
+      return match;
+    }
+    
+    // 重写脚本内容
+    const rewrittenContent = rewriteJavaScript(content, targetUrl, addressing);
+    return `<script${attrs}>${rewrittenContent}</script>`;
+  });
+}
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} string - 输入字符串
+ * @returns {string} - 转义后的字符串
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&');
+}
+
+/**
+ * 清理响应头
+ * @param {Headers} headers - 响应头
+ */
+function cleanResponseHeaders(headers) {
+  const headersToRemove = [
+    'server',
+    'x-powered-by',
+    'x-aspnet-version',
+    'x-runtime',
+    'x-version',
+    // 源站的 HTTP/3 等备用服务对代理域名无效
+    'alt-svc'
+  ];
+  
+  headersToRemove.forEach(header => {
+    headers.delete(header);
+  });
+}
+
+// 头部规则支持的字段与每个方向上的操作（按 remove → set → add → replace 的顺序执行）
+const HEADER_RULE_FIELDS = ['name', 'host', 'request', 'response'];
+const HEADER_RULE_OPERATIONS = ['remove', 'set', 'add', 'replace'];
+
+// 头部值模板：{{env.NAME}} 环境变量（Secret），{{client.Header-Name}} 客户端原始请求头，{{proxyDomain}} 代理域名
+const HEADER_TEMPLATE_PATTERN = /\{\{\s*(?:env\.([A-Za-z_][A-Za-z0-9_]*)|client\.([!#$%&'*+.^_`|~0-9A-Za-z-]+)|proxyDomain)\s*\}\}/g;
+
+/**
+ * 校验头部规则
+ * 规则格式：{
+ *   "name": "npm 认证",
+ *   "host": "registry.npmjs.org",
+ *   "request": {
+ *     "remove": ["Referer"],
+ *     "set": { "Authorization": "Bearer {{env.NPM_TOKEN}}" },
+ *     "add": { "X-Forwarded-Via": "{{proxyDomain}}" },
+ *     "replace": [{ "header": "User-Agent", "pattern": "Chrome/\\d+", "replacement": "Chrome/130" }]
+ *   },
+ *   "response": { ... }
+ * }
+ * @param {any} value - 规则列表
+ * @param {boolean} [allowEnvTemplates=true] - 是否允许 {{env.NAME}} 模板（管理后台保存的规则不允许，避免借此读出 Secret）
+ * @throws {Error} - 格式不正确时抛出
+ */
+function validateHeaderRules(value, allowEnvTemplates = true) {
+  if (!Array.isArray(value)) {
+    throw new Error('expected a JSON array of rules');
+  }
+  
+  value.forEach((rule, index) => {
+    const label = `rule #${index}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${label}: expected an object`);
+    }
+    for (const key of Object.keys(rule)) {
+      if (!HEADER_RULE_FIELDS.includes(key)) {
+        throw new Error(`${label}: unknown field ${JSON.stringify(key)}`);
+      }
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      throw new Error(`${label}: name must be a string`);
+    }
+    if (typeof rule.host !== 'string' || !/^(\*\.)?[a-z0-9.-]+$/i.test(rule.host)) {
+      throw new Error(`${label}: invalid host pattern ${JSON.stringify(rule.host)}`);
+    }
+    
+    const checkTemplate = (template, where) => {
+      if (typeof template !== 'string') {
+        throw new Error(`${label}: ${where} must be a string`);
+      }
+      if (!allowEnvTemplates && /\{\{\s*env\./.test(template)) {
+        throw new Error(`${label}: ${where} may not use {{env.*}} templates here`);
+      }
+    };
+    
+    for (const direction of ['request', 'response']) {
+      const change = rule[direction];
+      if (change === undefined) {
+        continue;
+      }
+      if (!change || typeof change !== 'object' || Array.isArray(change)) {
+        throw new Error(`${label}: ${direction} must be an object with ${HEADER_RULE_OPERATIONS.join(' / ')}`);
+      }
+      for (const operation of Object.keys(change)) {
+        if (!HEADER_RULE_OPERATIONS.includes(operation)) {
+          throw new Error(`${label}: unknown operation ${direction}.${operation}`);
+        }
+      }
+      
+      if (change.remove !== undefined && (!Array.isArray(change.remove) || change.remove.some(name => !isValidHeaderName(name)))) {
+        throw new Error(`${label}: ${direction}.remove must be an array of header names`);
+      }
+      for (const operation of ['set', 'add']) {
+        const headers = change[operation];
+        if (headers === undefined) {
+          continue;
+        }
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+          throw new Error(`${label}: ${direction}.${operation} must map header names to values`);
+        }
+        for (const [name, template] of Object.entries(headers)) {
+          if (!isValidHeaderName(name)) {
+            throw new Error(`${label}: invalid header name ${JSON.stringify(name)} in ${direction}.${operation}`);
+          }
+          checkTemplate(template, `${direction}.${operation}.${name}`);
+        }
+      }
+      if (change.replace !== undefined) {
+        if (!Array.isArray(change.replace)) {
+          throw new Error(`${label}: ${direction}.replace must be an array`);
+        }
+        change.replace.forEach((replacement, replaceIndex) => {
+          const where = `${direction}.replace[${replaceIndex}]`;
+          if (!replacement || typeof replacement !== 'object' || !isValidHeaderName(replacement.header) ||
+              typeof replacement.pattern !== 'string') {
+            throw new Error(`${label}: ${where} must be { "header", "pattern", "replacement", "flags" }`);
+          }
+          checkTemplate(replacement.replacement, `${where}.replacement`);
+          if (replacement.flags !== undefined && (typeof replacement.flags !== 'string' || !/^[gimsuy]*$/.test(replacement.flags))) {
+            throw new Error(`${label}: ${where}.flags may only contain g, i, m, s, u, y`);
+          }
+          try {
+            new RegExp(replacement.pattern, replacement.flags);
+          } catch (e) {
+            throw new Error(`${label}: ${where}.pattern is not a valid regular expression (${e.message})`);
+          }
+        });
+      }
+    }
+  });
+}
+
+/**
+ * 判断是否为合法的 HTTP 头部名称
+ * @param {any} name - 头部名称
+ * @returns {boolean} - 是否合法
+ */
+function isValidHeaderName(name) {
+  return typeof name === 'string' && /^[!#$%&'*+.^_`|~0-9a-z-]+$/i.test(name);
+}
+
+/**
+ * 查找匹配目标主机的头部规则：先是 HEADER_RULES 配置，再是管理后台保存的规则
+ * @param {URL} targetUrl - 目标URL
+ * @returns {Promise<Array>} - [{ source: 'config' | 'admin', index, rule }]
+ */
+async function findHeaderRules(targetUrl) {
+  const hostname = targetUrl.hostname.toLowerCase();
+  const ruleSets = [
+    ['config', CONFIG.HEADER_RULES],
+    ['admin', await loadHeaderOverrides()]
+  ];
+  
+  const matched = [];
+  for (const [source, rules] of ruleSets) {
+    rules.forEach((rule, index) => {
+      if (matchesHostPattern(hostname, rule.host)) {
+        matched.push({ source: source, index: index, rule: rule });
+      }
+    });
+  }
+  return matched;
+}
+
+/**
+ * 按目标主机应用头部规则（所有匹配的规则按顺序生效）
+ * @param {Headers} headers - 请求头或响应头（原地修改）
+ * @param {URL} targetUrl - 目标URL
+ * @param {string} direction - request / response
+ * @param {Object} context - 模板与替换所需的上下文：
+ *   clientHeaders   - 客户端原始请求头
+ *   upstreamHeaders - 上游原始响应头，replace 的头部已被内置处理移除（如 CSP）时以上游的值为准
+ *   addressing      - 寻址方式
+ *   redactSecrets   - 为 true 时 {{env.*}} 展开为 [REDACTED]（用于预览）
+ * @returns {Promise<Array>} - 在该方向上生效的规则（见 findHeaderRules）
+ */
+async function applyHeaderRules(headers, targetUrl, direction, context) {
+  const matched = (await findHeaderRules(targetUrl)).filter(({ rule }) => rule[direction]);
+  
+  for (const { source, rule } of matched) {
+    const change = rule[direction];
+    const ruleContext = { ...context, allowEnv: source === 'config' };
+    
+    (change.remove || []).forEach(name => headers.delete(name));
+    for (const [name, template] of Object.entries(change.set || {})) {
+      const value = expandHeaderTemplate(template, ruleContext);
+      if (value !== null) {
+        headers.set(name, value);
+      }
+    }
+    for (const [name, template] of Object.entries(change.add || {})) {
+      const value = expandHeaderTemplate(template, ruleContext);
+      if (value !== null) {
+        headers.append(name, value);
+      }
+    }
+    for (const replacement of change.replace || []) {
+      const current = headers.get(replacement.header) ??
+        (context.upstreamHeaders ? context.upstreamHeaders.get(replacement.header) : null);
+      const value = expandHeaderTemplate(replacement.replacement, ruleContext);
+      if (current !== null && value !== null) {
+        headers.set(replacement.header, current.replace(new RegExp(replacement.pattern, replacement.flags), value));
+      }
+    }
+  }
+  
+  return matched;
+}
+
+/**
+ * 展开头部值模板
+ * @param {string} template - 模板
+ * @param {Object} context - 上下文（见 applyHeaderRules），allowEnv 为 false 时不展开 {{env.*}}
+ * @returns {string|null} - 展开后的值；引用了未设置的环境变量时为 null（跳过该操作）
+ */
+function expandHeaderTemplate(template, context) {
+  let missing = null;
+  
+  const value = template.replace(HEADER_TEMPLATE_PATTERN, (match, envName, clientHeader) => {
+    if (envName) {
+      const secret = context.allowEnv ? ENV[envName] : undefined;
+      if (typeof secret !== 'string') {
+        missing = match;
+        return '';
+      }
+      return context.redactSecrets ? '[REDACTED]' : secret;
+    }
+    if (clientHeader) {
+      return (context.clientHeaders && context.clientHeaders.get(clientHeader)) || '';
+    }
+    return context.addressing.proxyDomain;
+  });
+  
+  if (missing) {
+    console.error(`Header rule skipped: ${missing} is not set`);
+    return null;
+  }
+  return value;
+}
+
+/**
+ * 处理前端页面请求
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - 前端页面响应
+ */
+async function handleProxyPage(request) {
+  const url = new URL(request.url);
+  
+  if (url.pathname === '/api/login') {
+    return handleLoginApi(request);
+  }
+  
+  if (url.pathname === '/api/logout') {
+    return handleLogoutApi(request);
+  }
+  
+  if (url.pathname === '/api/generate') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handleGenerateApi(request);
+  }
+  
+  if (url.pathname === '/api/decode') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handleDecodeApi(request);
+  }
+  
+  if (url.pathname === '/api/cache/purge') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handleCachePurgeApi(request);
+  }
+  
+  if (url.pathname === '/api/policy/test') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handlePolicyTestApi(request);
+  }
+  
+  if (url.pathname === '/api/headers/test') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handleHeaderRulesTestApi(request);
+  }
+  
+  if (url.pathname === '/api/usage') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handleUsageApi();
+  }
+  
+  if (url.pathname === '/api/stats') {
+    if (!await authenticate(request, 'api')) {
+      return createUnauthorizedResponse('A valid API key or session is required');
+    }
+    return handleStatsApi(request);
+  }
+  
+  if (url.pathname.startsWith('/api/admin/')) {
+    if (!await authenticate(request, 'admin')) {
+      return createUnauthorizedResponse('Admin API requires a session or a key from API_KEYS');
+    }
+    return handleAdminApi(request, url);
+  }
+  
+  if (url.pathname === '/admin') {
+    return handleAdminPage(request);
+  }
+  
+  const isProtected = AUTH_SCOPES.panel.isProtected();
+  const authenticated = await authenticate(request, 'panel');
+  
+  return new Response(authenticated ? getProxyPageHTML(url) : getLoginPageHTML(), {
+    status: authenticated ? 200 : 401,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': isProtected ? 'private, no-store' : 'public, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'X-XSS-Protection': '1; mode=block'
+    }
+  });
+}
+
+// 管理后台：最近请求列表保留的条数（仅当前 isolate）
+const RECENT_REQUESTS_MAX = 100;
+
+// 最近的请求日志事件，最新的在前
+const recentRequests = [];
+
+// KV 中保存管理后台数据的键：创建的 API Key（只保存 SHA-256 摘要）、请求/响应头覆盖规则、站点配置
+const API_KEYS_KV_KEY = 'admin:api-keys';
+const HEADER_OVERRIDES_KV_KEY = 'admin:header-overrides';
+const SITE_PROFILES_KV_KEY = 'admin:site-profiles';
+
+// 管理后台数据在内存中的缓存时间（毫秒），修改后其他 isolate 最迟在该时间后生效
+const ADMIN_KV_CACHE_TTL = 60000;
+
+// KV 数据缓存 { value, loadedAt }
+let apiKeysKvCache = null;
+let headerOverridesKvCache = null;
+let siteProfilesKvCache = null;
+
+/**
+ * 处理管理后台页面请求（需要登录会话）
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - 页面响应
+ */
+async function handleAdminPage(request) {
+  // 未设置 PANEL_PASSWORD 时无法登录，管理后台只能通过 API_KEYS 调用 JSON 接口
+  if (!CONFIG.PANEL_PASSWORD) {
+    return createErrorResponse('Admin dashboard requires PANEL_PASSWORD', 404);
+  }
+  
+  const principal = await authenticateSession(request);
+  return new Response(principal ? getAdminPageHTML() : getLoginPageHTML(), {
+    status: principal ? 200 : 401,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'X-XSS-Protection': '1; mode=block'
+    }
+  });
+}
+
+/**
+ * 管理后台 JSON 接口
+ * GET  /api/admin/requests          最近的请求
+ * GET  /api/admin/stats             当日统计（同 /api/stats）
+ * GET  /api/admin/policy            KV 策略规则（可编辑）与配置中的规则
+ * PUT  /api/admin/policy            替换 KV 策略规则 { rules: [...] }
+ * GET  /api/admin/headers           请求/响应头覆盖规则
+ * PUT  /api/admin/headers           替换头部覆盖规则 { rules: [...] }
+ * GET  /api/admin/profiles          KV 站点配置（可编辑）、配置中的与内置的站点配置
+ * PUT  /api/admin/profiles          替换 KV 站点配置 { rules: [...] }
+ * POST /api/admin/cache/purge       清除缓存（同 /api/cache/purge）
+ * GET  /api/admin/keys              API Key 列表（不含密钥本身）
+ * POST /api/admin/keys              创建 API Key { name }，密钥只在响应中出现一次
+ * DELETE /api/admin/keys/<id>       吊销 API Key
+ * GET  /api/admin/config            当前生效的运行时配置（密钥类配置已隐藏）
+ * @param {Request} request - 原始请求对象
+ * @param {URL} url - 请求URL
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleAdminApi(request, url) {
+  // 修改类请求的来源已在 handlePanelRequest 中检查（见 isCrossSiteApiRequest）
+  switch (`${request.method} ${url.pathname}`) {
+    case 'GET /api/admin/requests':
+      return handleAdminRequestsApi(url);
+    case 'GET /api/admin/stats':
+      return handleStatsApi(request);
+    case 'GET /api/admin/policy':
+      return createJsonResponse({
+        success: true,
+        rules: (await loadKvPolicyRules()) || [],
+        configRules: CONFIG.POLICY_RULES,
+        defaultAction: CONFIG.POLICY_DEFAULT_ACTION
+      });
+    case 'PUT /api/admin/policy':
+      return handleAdminRulesUpdate(request, POLICY_KV_KEY, validatePolicyRules, () => {
+        policyKvCache = null;
+      });
+    case 'GET /api/admin/headers':
+      return createJsonResponse({ success: true, rules: await loadHeaderOverrides() });
+    case 'PUT /api/admin/headers':
+      return handleAdminRulesUpdate(request, HEADER_OVERRIDES_KV_KEY, rules => validateHeaderRules(rules, false), () => {
+        headerOverridesKvCache = null;
+      });
+    case 'GET /api/admin/profiles':
+      return createJsonResponse({
+        success: true,
+        rules: await loadSiteProfileOverrides(),
+        configProfiles: CONFIG.SITE_PROFILES,
+        builtinProfiles: CONFIG.BUILTIN_SITE_PROFILES_ENABLED ? BUILTIN_SITE_PROFILES : [],
+        neverRewriteHosts: CONFIG.NEVER_REWRITE_HOSTS
+      });
+    case 'PUT /api/admin/profiles':
+      return handleAdminRulesUpdate(request, SITE_PROFILES_KV_KEY, validateSiteProfiles, () => {
+        siteProfilesKvCache = null;
+      });
+    case 'POST /api/admin/cache/purge':
+      return handleCachePurgeApi(request);
+    case 'GET /api/admin/keys':
+      return createJsonResponse({
+        success: true,
+        configKeys: CONFIG.API_KEYS.length,
+        keys: (await loadManagedApiKeys()).map(({ hash, ...key }) => key)
+      });
+    case 'POST /api/admin/keys':
+      return handleAdminCreateKey(request);
+    case 'GET /api/admin/config':
+      return createJsonResponse({ success: true, config: describeRuntimeConfig() });
+  }
+  
+  const keyMatch = /^\/api\/admin\/keys\/([a-f0-9]{16})$/.exec(url.pathname);
+  if (keyMatch && request.method === 'DELETE') {
+    return handleAdminDeleteKey(keyMatch[1]);
+  }
+  
+  return createErrorResponse('Not found', 404);
+}
+
+/**
+ * 最近的请求：/api/admin/requests?limit=50&host=github.com
+ * @param {URL} url - 请求URL
+ * @returns {Response} - API响应
+ */
+function handleAdminRequestsApi(url) {
+  const limit = Math.min(Number(url.searchParams.get('limit')) || 50, RECENT_REQUESTS_MAX);
+  const host = url.searchParams.get('host');
+  const requests = host ? recentRequests.filter(event => event.host === host) : recentRequests;
+  
+  return createJsonResponse({ success: true, requests: requests.slice(0, limit) });
+}
+
+/**
+ * 替换 KV 中保存的规则列表
+ * @param {Request} request - 原始请求对象，请求体为 { rules: [...] }
+ * @param {string} kvKey - KV 键
+ * @param {Function} validate - 校验函数，格式不正确时抛出
+ * @param {Function} invalidate - 清除当前 isolate 中的缓存
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleAdminRulesUpdate(request, kvKey, validate, invalidate) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return createErrorResponse('Invalid request body', 400);
+  }
+  
+  try {
+    validate(body && body.rules);
+  } catch (e) {
+    return createErrorResponse(`Invalid rules: ${e.message}`, 400);
+  }
+  
+  await getKvStore().put(kvKey, body.rules);
+  invalidate();
+  
+  return createJsonResponse({ success: true, rules: body.rules });
+}
+
+/**
+ * 创建 API Key
+ * @param {Request} request - 原始请求对象，请求体为 { name }
+ * @returns {Promise<Response>} - API响应，包含只出现一次的密钥
+ */
+async function handleAdminCreateKey(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return createErrorResponse('Invalid request body', 400);
+  }
+  
+  const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 64) {
+    return createErrorResponse('Key name is required (at most 64 characters)', 400);
+  }
+  
+  const secret = `pk_${base64UrlEncode(crypto.getRandomValues(new Uint8Array(24)))}`;
+  const key = {
+    id: [...crypto.getRandomValues(new Uint8Array(8))].map(byte => byte.toString(16).padStart(2, '0')).join(''),
+    name: name,
+    prefix: secret.slice(0, 7),
+    createdAt: new Date().toISOString(),
+    hash: await hashApiKey(secret)
+  };
+  
+  const keys = await loadManagedApiKeys();
+  await getKvStore().put(API_KEYS_KV_KEY, [...keys, key]);
+  apiKeysKvCache = null;
+  
+  const { hash, ...publicKey } = key;
+  return createJsonResponse({ success: true, key: publicKey, secret: secret }, 201);
+}
+
+/**
+ * 吊销 API Key
+ * @param {string} id - Key ID
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleAdminDeleteKey(id) {
+  const keys = await loadManagedApiKeys();
+  if (!keys.some(key => key.id === id)) {
+    return createErrorResponse('API key not found', 404);
+  }
+  
+  await getKvStore().put(API_KEYS_KV_KEY, keys.filter(key => key.id !== id));
+  apiKeysKvCache = null;
+  
+  return createJsonResponse({ success: true, id: id });
+}
+
+/**
+ * 读取管理后台创建的 API Key（带内存缓存）
+ * @returns {Promise<Array>} - [{ id, name, prefix, createdAt, hash }]
+ */
+async function loadManagedApiKeys() {
+  if (!apiKeysKvCache || Date.now() - apiKeysKvCache.loadedAt > ADMIN_KV_CACHE_TTL) {
+    const keys = await getKvStore().get(API_KEYS_KV_KEY);
+    apiKeysKvCache = { value: Array.isArray(keys) ? keys : [], loadedAt: Date.now() };
+  }
+  return apiKeysKvCache.value;
+}
+
+/**
+ * 计算 API Key 的 SHA-256 摘要（KV 中不保存密钥本身）
+ * @param {string} key - API Key
+ * @returns {Promise<string>} - 十六进制摘要
+ */
+async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 读取管理后台保存的头部规则（带内存缓存，KV 中的数据格式不正确时忽略）
+ * 每个代理请求都会调用，KV 读取失败时沿用上次读取的规则（没有时为空），不影响代理请求
+ * @returns {Promise<Array>} - 规则列表
+ */
+async function loadHeaderOverrides() {
+  if (!headerOverridesKvCache || Date.now() - headerOverridesKvCache.loadedAt > ADMIN_KV_CACHE_TTL) {
+    let rules;
+    try {
+      rules = await getKvStore().get(HEADER_OVERRIDES_KV_KEY);
+    } catch (e) {
+      console.error(`Failed to read header overrides from KV key ${HEADER_OVERRIDES_KV_KEY}:`, e.message);
+      return headerOverridesKvCache ? headerOverridesKvCache.value : [];
+    }
+    try {
+      validateHeaderRules(rules || [], false);
+    } catch (e) {
+      console.error(`Invalid header overrides in KV key ${HEADER_OVERRIDES_KV_KEY}:`, e.message);
+      rules = [];
+    }
+    headerOverridesKvCache = { value: rules || [], loadedAt: Date.now() };
+  }
+  return headerOverridesKvCache.value;
+}
+
+/**
+ * 读取管理后台保存的站点配置（带内存缓存，KV 中的数据格式不正确时忽略）
+ * 每个代理请求都会调用，KV 读取失败时沿用上次读取的配置（没有时为空），不影响代理请求
+ * @returns {Promise<Array>} - 站点配置列表
+ */
+async function loadSiteProfileOverrides() {
+  if (!siteProfilesKvCache || Date.now() - siteProfilesKvCache.loadedAt > ADMIN_KV_CACHE_TTL) {
+    let profiles;
+    try {
+      profiles = await getKvStore().get(SITE_PROFILES_KV_KEY);
+    } catch (e) {
+      console.error(`Failed to read site profiles from KV key ${SITE_PROFILES_KV_KEY}:`, e.message);
+      return siteProfilesKvCache ? siteProfilesKvCache.value : [];
+    }
+    try {
+      validateSiteProfiles(profiles || []);
+    } catch (e) {
+      console.error(`Invalid site profiles in KV key ${SITE_PROFILES_KV_KEY}:`, e.message);
+      profiles = [];
+    }
+    siteProfilesKvCache = { value: profiles || [], loadedAt: Date.now() };
+  }
+  return siteProfilesKvCache.value;
+}
+
+/**
+ * 描述当前生效的运行时配置：值、来源（default / PROXY_CONFIG / env）与默认值，密钥类配置只显示是否已设置
+ * @returns {Object} - 按配置项名称索引的描述
+ */
+function describeRuntimeConfig() {
+  let jsonOverrides = {};
+  try {
+    const jsonConfig = ENV[CONFIG_JSON_ENV_KEY];
+    jsonOverrides = typeof jsonConfig === 'string' && jsonConfig ? JSON.parse(jsonConfig) : jsonConfig || {};
+  } catch (e) {
+    // 配置能生效说明 PROXY_CONFIG 合法，这里不会出错
+  }
+  
+  const result = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const isSet = value => value !== undefined && value !== '';
+    const source = isSet(ENV[key]) ? 'env' : isSet(jsonOverrides[key]) ? CONFIG_JSON_ENV_KEY : 'default';
+    const hasValue = Array.isArray(CONFIG[key]) ? CONFIG[key].length > 0 : !!CONFIG[key];
+    
+    result[key] = spec.secret
+      ? { value: hasValue ? '[REDACTED]' : '', source: source, secret: true }
+      : { value: CONFIG[key], source: source, default: DEFAULT_CONFIG[key] };
+  }
+  return result;
+}
+
+/**
+ * 处理生成代理链接的API请求
+ * POST { url } 或 { urls: [...] }，GET ?url=（可重复，便于书签脚本调用，加 redirect=1 时直接跳转）
+ * 选项（请求体字段或查询参数）：
+ *   preservePath - 是否保留原地址的路径与查询串，默认 true，为 false 时生成站点首页链接
+ *   signed       - 生成签名链接（开启 REQUIRE_SIGNED_LINKS 时总是签名）
+ *   ttl          - 签名链接有效期（秒），不超过 SIGNED_LINK_TTL，设置时隐含 signed
+ * 批量请求逐项返回结果，单个地址出错不影响其他地址
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleGenerateApi(request) {
+  const input = await readLinkApiInput(request);
+  if (input.error) {
+    return createErrorResponse(input.error, input.status);
+  }
+  
+  let options;
+  try {
+    options = parseGenerateOptions(input.params);
+  } catch (e) {
+    return createErrorResponse(e.message, 400);
+  }
+  
+  // 配置了路径模式主机时生成路径形式的链接
+  const addressing = getPanelAddressing(new URL(request.url));
+  
+  if (!input.batch) {
+    const result = await generateProxyLink(input.urls[0], options, addressing);
+    if (!result.success) {
+      return result.policy ? createPolicyResponse(result.policy, result.targetUrl) : createErrorResponse(result.error, result.status);
+    }
+    
+    if (request.method === 'GET' && options.redirect) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': result.proxyUrl, 'Cache-Control': 'no-store' }
+      });
+    }
+    
+    return createLinkApiResponse({
+      success: true,
+      originalUrl: result.originalUrl,
+      proxyUrl: result.proxyUrl,
+      expiresAt: result.expiresAt
+    });
+  }
+  
+  const results = [];
+  for (const url of input.urls) {
+    const { policy, targetUrl, ...result } = await generateProxyLink(url, options, addressing);
+    results.push({ url: url, ...result });
+  }
+  
+  return createLinkApiResponse(summarizeBatchResults(results));
+}
+
+/**
+ * 处理代理链接还原为原始地址的API请求
+ * POST { url } 或 { urls: [...] }，GET ?url=（可重复）
+ * 只接受本部署的代理地址；签名参数、重写模式参数会被去掉，签名链接同时返回其过期时间
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleDecodeApi(request) {
+  const input = await readLinkApiInput(request);
+  if (input.error) {
+    return createErrorResponse(input.error, input.status);
+  }
+  
+  const proxyDomain = getProxyDomain(new URL(request.url).hostname);
+  
+  if (!input.batch) {
+    const { success, error, status, ...result } = await decodeProxyLink(input.urls[0], proxyDomain);
+    return success
+      ? createLinkApiResponse({ success: true, proxyUrl: input.urls[0], ...result })
+      : createErrorResponse(error, status);
+  }
+  
+  const results = [];
+  for (const url of input.urls) {
+    results.push({ url: url, ...await decodeProxyLink(url, proxyDomain) });
+  }
+  
+  return createLinkApiResponse(summarizeBatchResults(results));
+}
+
+/**
+ * 读取链接 API 的输入：POST 读取 JSON 请求体，GET 读取查询参数
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Object>} - { urls, batch, params } 或 { error, status }
+ */
+async function readLinkApiInput(request) {
+  let params;
+  let urls;
+  let batch = false;
+  
+  if (request.method === 'GET') {
+    const searchParams = new URL(request.url).searchParams;
+    params = Object.fromEntries(searchParams);
+    urls = searchParams.getAll('url');
+    batch = urls.length > 1;
+  } else if (request.method === 'POST') {
+    try {
+      params = await request.json();
+    } catch (e) {
+      return { error: 'Invalid request body', status: 400 };
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      return { error: 'Invalid request body', status: 400 };
+    }
+    batch = params.urls !== undefined;
+    if (batch && !Array.isArray(params.urls)) {
+      return { error: 'urls must be an array', status: 400 };
+    }
+    urls = batch ? params.urls : params.url ? [params.url] : [];
+  } else {
+    return { error: 'Method not allowed', status: 405 };
+  }
+  
+  if (urls.length === 0) {
+    return { error: 'URL is required', status: 400 };
+  }
+  if (urls.length > CONFIG.API_BATCH_LIMIT) {
+    return { error: `Too many URLs (at most ${CONFIG.API_BATCH_LIMIT} per request)`, status: 400 };
+  }
+  
+  return { urls: urls, batch: batch, params: params };
+}
+
+/**
+ * 解析生成链接的选项
+ * @param {Object} params - 请求体或查询参数
+ * @returns {Object} - { preservePath, signed, ttl, redirect }
+ * @throws {Error} - 选项不合法时抛出
+ */
+function parseGenerateOptions(params) {
+  const preservePath = params.preservePath === undefined ? true : parseBooleanOption(params.preservePath, 'preservePath');
+  let signed = CONFIG.REQUIRE_SIGNED_LINKS || (params.signed !== undefined && parseBooleanOption(params.signed, 'signed'));
+  let ttl = CONFIG.SIGNED_LINK_TTL;
+  
+  if (params.ttl !== undefined) {
+    ttl = Number(params.ttl);
+    if (!Number.isInteger(ttl) || ttl < 60 || ttl > CONFIG.SIGNED_LINK_TTL) {
+      throw new Error(`ttl must be an integer between 60 and ${CONFIG.SIGNED_LINK_TTL}`);
+    }
+    signed = true;
+  }
+  
+  if (signed && !getSigningSecret(CONFIG)) {
+    throw new Error('Signed links require SIGNING_SECRET or PANEL_PASSWORD to be set');
+  }
+  
+  return {
+    preservePath: preservePath,
+    signed: signed,
+    ttl: ttl,
+    redirect: parseBooleanOption(params.redirect, 'redirect')
+  };
+}
+
+/**
+ * 解析布尔型选项（JSON 布尔值，或查询参数中的 true / false / 1 / 0）
+ * @param {any} value - 选项值
+ * @param {string} name - 选项名，用于错误信息
+ * @returns {boolean} - 解析结果
+ * @throws {Error} - 值不合法时抛出
+ */
+function parseBooleanOption(value, name) {
+  if (value === true || value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === '0' || value === undefined) {
+    return false;
+  }
+  throw new Error(`${name} must be a boolean`);
+}
+
+/**
+ * 为单个地址生成代理链接
+ * @param {any} input - 用户输入的地址
+ * @param {Object} options - 生成选项（见 parseGenerateOptions）
+ * @param {Object} addressing - 寻址方式（见 getProxyAddressing）
+ * @returns {Promise<Object>} - 成功时为 { success, originalUrl, proxyUrl, expiresAt }，
+ *   失败时为 { success: false, error, status }，被策略拒绝时另带 policy 与 targetUrl
+ */
+async function generateProxyLink(input, options, addressing) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { success: false, error: 'URL is required', status: 400 };
+  }
+  
+  const targetUrlString = normalizeUrl(input);
+  
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(targetUrlString);
+  } catch (e) {
+    return { success: false, error: 'Invalid URL format', status: 400 };
+  }
+  
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return { success: false, error: 'Only HTTP and HTTPS URLs are supported', status: 400 };
+  }
+  
+  const policy = await evaluatePolicy(parsedUrl);
+  if (policy.action === 'deny') {
+    const response = createPolicyResponse(policy, parsedUrl);
+    const { error } = await response.json();
+    return { success: false, error: error, status: response.status, policy: policy, targetUrl: parsedUrl };
+  }
+  
+  const linkUrl = options.preservePath ? parsedUrl : new URL('/', parsedUrl.origin);
+  const proxyUrlString = buildProxyUrl(linkUrl, addressing);
+  if (!proxyUrlString) {
+    const error = addressing.mode === 'subdomain' && !getSigningSecret(CONFIG) && convertUrlToSubdomain(linkUrl.hostname, linkUrl.protocol, linkUrl.port)
+      ? 'Host name is too long for a proxy subdomain; set SIGNING_SECRET or PANEL_PASSWORD to enable short subdomains'
+      : 'Unsupported host name';
+    return { success: false, error: error, status: 400 };
+  }
+  const proxyUrl = new URL(proxyUrlString);
+  
+  // 短格式在返回链接前写入 KV，其他实例收到请求时才能解析
+  const fullSubdomain = addressing.mode === 'subdomain' && convertUrlToSubdomain(linkUrl.hostname, linkUrl.protocol, linkUrl.port);
+  if (fullSubdomain && fullSubdomain.length > 63 &&
+      !await registerShortSubdomain(proxyUrl.hostname.slice(0, -(addressing.proxyDomain.length + 1)), fullSubdomain)) {
+    return { success: false, error: 'Unable to register short subdomain', status: 503 };
+  }
+  
+  // 签名链接可直接分享，过期后需重新生成
+  let expiresAt = null;
+  if (options.signed) {
+    expiresAt = await signProxyUrl(proxyUrl, getSignedLinkTarget(parsedUrl), options.ttl);
+  }
+  
+  return {
+    success: true,
+    originalUrl: targetUrlString,
+    proxyUrl: proxyUrl.toString(),
+    expiresAt: expiresAt ? new Date(expiresAt * 1000).toISOString() : null
+  };
+}
+
+/**
+ * 将代理链接还原为原始地址
+ * @param {any} input - 代理链接（子域名形式、路径形式或短格式子域名）
+ * @param {string} proxyDomain - 本部署的代理域名（子域名模式），路径模式的链接须位于 PATH_MODE_HOST
+ * @returns {Promise<Object>} - 成功时为 { success, originalUrl, mode, expiresAt }，失败时为 { success: false, error, status }
+ */
+async function decodeProxyLink(input, proxyDomain) {
+  let proxyUrl;
+  try {
+    proxyUrl = new URL(typeof input === 'string' ? input.trim() : '');
+  } catch (e) {
+    return { success: false, error: 'Invalid URL format', status: 400 };
+  }
+  
+  const hostname = proxyUrl.hostname.toLowerCase();
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(proxyUrl.protocol) ||
+      (!isPathModeHost(hostname) && !hostname.endsWith('.' + proxyDomain))) {
+    return { success: false, error: 'Not a proxy URL of this deployment', status: 400 };
+  }
+  
+  const mode = isPathModeHost(hostname) ? 'path' : 'subdomain';
+  const target = await resolveRequestTarget(proxyUrl);
+  if (!target) {
+    return { success: false, error: mode === 'path' ? 'Invalid proxy path' : 'Invalid or unknown proxy subdomain', status: 400 };
+  }
+  
+  const originalUrl = buildTargetUrl({ origin: target.origin, pathname: target.pathname || '/' }, proxyUrl);
+  originalUrl.hash = proxyUrl.hash;
+  if (proxyUrl.protocol === 'ws:' || proxyUrl.protocol === 'wss:') {
+    originalUrl.protocol = originalUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+  }
+  
+  const expires = proxyUrl.searchParams.get(SIGNED_URL_PARAMS.EXPIRES);
+  
+  return {
+    success: true,
+    originalUrl: originalUrl.toString(),
+    mode: mode,
+    expiresAt: expires && /^\d+$/.test(expires) ? new Date(Number(expires) * 1000).toISOString() : null
+  };
+}
+
+/**
+ * 汇总批量结果
+ * @param {Array} results - 逐项结果
+ * @returns {Object} - { success, total, succeeded, failed, results }
+ */
+function summarizeBatchResults(results) {
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    success: true,
+    total: results.length,
+    succeeded: succeeded,
+    failed: results.length - succeeded,
+    results: results
+  };
+}
+
+/**
+ * 创建链接 API 的 JSON 响应（允许跨域调用）
+ * @param {Object} data - 响应数据
+ * @returns {Response} - JSON 响应
+ */
+function createLinkApiResponse(data) {
+  return new Response(JSON.stringify(data), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+/**
+ * 智能URL标准化处理
+ * @param {string} url - 用户输入的URL
+ * @returns {string} - 标准化后的URL
+ */
+function normalizeUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('Invalid URL');
+  }
+  
+  // 去除首尾空白
+  url = url.trim();
+  
+  // 如果已经有协议，直接返回
+  if (url.match(/^https?:\/\//i)) {
+    return url;
+  }
+  
+  // 如果以 // 开头，添加 https:
+  if (url.startsWith('//')) {
+    return 'https:' + url;
+  }
+  
+  // 如果没有协议，默认添加 https://
+  return 'https://' + url;
+}
+
+// 不可代理的特殊 IPv4 地址段（按顺序首个匹配生效，范围较小的放在包含它的范围之前）
+const IPV4_SPECIAL_RANGES = [
+  ['0.0.0.0/8', 'this-network'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'shared-address-space'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'ietf-protocol-assignment'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.88.99.0/24', '6to4-relay-anycast'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['255.255.255.255/32', 'broadcast'],
+  ['240.0.0.0/4', 'reserved']
+];
+
+// 不可代理的特殊 IPv6 地址段；embeddedIpv4 为内嵌 IPv4 地址的字节偏移，按内嵌地址判断
+const IPV6_SPECIAL_RANGES = [
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['::ffff:0:0/96', 'ipv4-mapped', 12],
+  ['::/96', 'ipv4-compatible', 12],
+  ['64:ff9b::/96', 'nat64', 12],
+  ['64:ff9b:1::/48', 'nat64-local'],
+  ['100::/64', 'discard-only'],
+  ['2001::/32', 'teredo'],
+  ['2001:db8::/32', 'documentation'],
+  ['2002::/16', '6to4', 2],
+  ['fc00::/7', 'unique-local'],
+  ['fe80::/10', 'link-local'],
+  ['fec0::/10', 'site-local'],
+  ['ff00::/8', 'multicast']
+].map(([cidr, label, embeddedIpv4]) => {
+  const [address, prefix] = cidr.split('/');
+  return { bytes: parseIpv6(address), prefix: Number(prefix), label: label, embeddedIpv4: embeddedIpv4 };
+});
+
+// 只在内网或本机使用的主机名后缀
+const LOCAL_HOSTNAME_SUFFIXES = ['localhost', 'local', 'localdomain', 'internal', 'intranet', 'lan', 'home.arpa'];
+
+// DNS-over-HTTPS 查询超时（毫秒）
+const DOH_TIMEOUT = 5000;
+
+// DNS 检查结果缓存的时间范围（秒），实际取解析记录 TTL 并限制在此范围内
+const DNS_CHECK_MIN_TTL = 30;
+const DNS_CHECK_MAX_TTL = 300;
+const DNS_CHECK_CACHE_MAX_ENTRIES = 1000;
+
+// DNS 检查结果缓存：hostname -> { addresses, expires }
+const dnsCheckCache = new Map();
+
+/**
+ * 检查主机名本身（不做 DNS 解析）是否指向内网
+ * 识别所有 IP 字面量写法：点分十进制、十进制整数、八进制、十六进制、缩写形式、IPv6（含内嵌 IPv4）
+ * @param {string} hostname - 主机名（IPv6 可带方括号）
+ * @returns {string|null} - 拒绝原因，允许时为 null
+ */
+export function getHostnameBlockReason(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  
+  if (!host) {
+    return 'empty hostname';
+  }
+  
+  const ipClass = classifyIpAddress(host);
+  if (ipClass !== null) {
+    return ipClass === 'public' ? null : `${ipClass} address ${host}`;
+  }
+  
+  if (!host.includes('.')) {
+    return `single-label hostname ${host}`;
+  }
+  
+  const localSuffix = LOCAL_HOSTNAME_SUFFIXES.find(suffix => host === suffix || host.endsWith('.' + suffix));
+  if (localSuffix) {
+    return `local hostname ${host}`;
+  }
+  
+  return null;
+}
+
+/**
+ * 对IP地址字面量分类
+ * @param {string} address - IP地址字面量（任意写法）
+ * @returns {string|null} - 'public'、特殊地址段名称，不是IP字面量时为 null
+ */
+export function classifyIpAddress(address) {
+  const ipv4 = parseIpv4(address);
+  if (ipv4) {
+    return classifyIpv4Bytes(ipv4);
+  }
+  
+  const ipv6 = parseIpv6(address);
+  if (ipv6) {
+    for (const range of IPV6_SPECIAL_RANGES) {
+      if (matchesCidr(ipv6, range.bytes, range.prefix)) {
+        if (range.embeddedIpv4 !== undefined) {
+          const embedded = classifyIpv4Bytes(ipv6.slice(range.embeddedIpv4, range.embeddedIpv4 + 4));
+          return embedded === 'public' ? 'public' : `${range.label} ${embedded}`;
+        }
+        return range.label;
+      }
+    }
+    return 'public';
+  }
+  
+  return null;
+}
+
+/**
+ * 对IPv4地址分类
+ * @param {number[]} bytes - 4 字节地址
+ * @returns {string} - 'public' 或特殊地址段名称
+ */
+function classifyIpv4Bytes(bytes) {
+  for (const [cidr, label] of IPV4_SPECIAL_RANGES) {
+    const [address, prefix] = cidr.split('/');
+    if (matchesCidr(bytes, parseIpv4(address), Number(prefix))) {
+      return label;
+    }
+  }
+  return 'public';
+}
+
+/**
+ * 解析IPv4地址（与 inet_aton 一致：支持 1~4 段，每段可为十进制、0 开头的八进制或 0x 开头的十六进制，
+ * 最后一段填充剩余字节，如 2130706433、0x7f.1、0177.0.0.01 均为 127.0.0.1）
+ * @param {string} address - 地址字符串
+ * @returns {number[]|null} - 4 字节地址，无法解析时为 null
+ */
+function parseIpv4(address) {
+  const parts = String(address).replace(/\.$/, '').split('.');
+  if (parts.length === 0 || parts.length > 4) {
+    return null;
+  }
+  
+  const numbers = [];
+  for (const part of parts) {
+    if (/^0x[0-9a-f]*$/i.test(part)) {
+      numbers.push(part.length === 2 ? 0 : parseInt(part.slice(2), 16));
+    } else if (/^0[0-7]+$/.test(part)) {
+      numbers.push(parseInt(part, 8));
+    } else if (/^(0|[1-9]\d*)$/.test(part)) {
+      numbers.push(Number(part));
+    } else {
+      return null;
+    }
+  }
+  
+  const last = numbers.pop();
+  if (numbers.some(number => number > 255) || last >= 256 ** (4 - numbers.length)) {
+    return null;
+  }
+  
+  let value = last;
+  numbers.forEach((number, index) => {
+    value += number * 256 ** (3 - index);
+  });
+  
+  return [Math.floor(value / 16777216) % 256, Math.floor(value / 65536) % 256, Math.floor(value / 256) % 256, value % 256];
+}
+
+/**
+ * 解析IPv6地址（支持方括号、:: 缩写、内嵌点分 IPv4 与区域标识）
+ * @param {string} address - 地址字符串
+ * @returns {number[]|null} - 16 字节地址，无法解析时为 null
+ */
+function parseIpv6(address) {
+  let text = String(address).toLowerCase().replace(/^\[|\]$/g, '').split('%')[0];
+  if (!text.includes(':')) {
+    return null;
+  }
+  
+  // 末尾的点分 IPv4 转为两组十六进制
+  const ipv4Match = /^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/.exec(text);
+  if (ipv4Match) {
+    const ipv4 = ipv4Match[2].split('.').map(Number);
+    if (ipv4.some(byte => byte > 255)) {
+      return null;
+    }
+    text = ipv4Match[1] + ((ipv4[0] << 8) | ipv4[1]).toString(16) + ':' + ((ipv4[2] << 8) | ipv4[3]).toString(16);
+  }
+  
+  const halves = text.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+  
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+    return null;
+  }
+  
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 255];
+  });
+}
+
+/**
+ * 判断地址是否属于地址段
+ * @param {number[]} bytes - 地址字节
+ * @param {number[]} rangeBytes - 地址段起始字节
+ * @param {number} prefix - 前缀长度
+ * @returns {boolean} - 是否匹配
+ */
+function matchesCidr(bytes, rangeBytes, prefix) {
+  for (let bit = 0; bit < prefix; bit += 8) {
+    const bits = Math.min(8, prefix - bit);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    if ((bytes[bit / 8] & mask) !== (rangeBytes[bit / 8] & mask)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 检查目标地址是否可以代理：主机名本身不能指向内网，并通过 DNS-over-HTTPS 检查解析结果
+ * 注意：检查结果有缓存，无法完全避免解析结果在检查之后变化的 DNS 重绑定
+ * @param {URL} url - 目标URL
+ * @returns {Promise<Object>} - { allowed, reason, status }
+ */
+async function checkTargetAddress(url) {
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  
+  const hostnameReason = getHostnameBlockReason(hostname);
+  if (hostnameReason) {
+    return { allowed: false, reason: hostnameReason, status: 403 };
+  }
+  
+  if (!CONFIG.SSRF_DNS_CHECK || classifyIpAddress(hostname) !== null) {
+    return { allowed: true, reason: null, status: 200 };
+  }
+  
+  let addresses;
+  try {
+    addresses = await resolveHostAddresses(hostname);
+  } catch (error) {
+    console.error('DNS check error:', error);
+    return { allowed: false, reason: `DNS lookup failed for ${hostname}`, status: 502 };
+  }
+  
+  for (const address of addresses) {
+    const ipClass = classifyIpAddress(address);
+    if (ipClass !== 'public') {
+      return { allowed: false, reason: `${hostname} resolves to ${ipClass || 'invalid'} address ${address}`, status: 403 };
+    }
+  }
+  
+  return { allowed: true, reason: null, status: 200 };
+}
+
+/**
+ * 通过 DNS-over-HTTPS 解析主机名的 A / AAAA 记录（带缓存）
+ * @param {string} hostname - 主机名
+ * @returns {Promise<string[]>} - 解析到的地址（不存在的域名为空数组）
+ * @throws {Error} - 查询失败时抛出
+ */
+async function resolveHostAddresses(hostname) {
+  const cached = dnsCheckCache.get(hostname);
+  if (cached && cached.expires > Date.now()) {
+    return cached.addresses;
+  }
+  
+  const answers = await Promise.all(['A', 'AAAA'].map(async type => {
+    const queryUrl = new URL(CONFIG.SSRF_DOH_URL);
+    queryUrl.searchParams.set('name', hostname);
+    queryUrl.searchParams.set('type', type);
+    
+    const response = await fetch(queryUrl.toString(), {
+      headers: { 'Accept': 'application/dns-json' },
+      signal: AbortSignal.timeout(DOH_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`DoH query failed with status ${response.status}`);
+    }
+    
+    const data = await response.json();
+    // 0 = NOERROR，3 = NXDOMAIN（不存在的域名交给上游请求自行失败）
+    if (data.Status !== 0 && data.Status !== 3) {
+      throw new Error(`DoH query returned DNS status ${data.Status}`);
+    }
+    return data.Answer || [];
+  }));
+  
+  // 只取 A(1) / AAAA(28) 记录，CNAME 链的最终地址已包含在应答中
+  const records = answers.flat().filter(record => record.type === 1 || record.type === 28);
+  const recordTtl = records.length > 0 ? Math.min(...records.map(record => record.TTL || 0)) : DNS_CHECK_MAX_TTL;
+  const ttl = Math.min(DNS_CHECK_MAX_TTL, Math.max(DNS_CHECK_MIN_TTL, recordTtl));
+  const addresses = records.map(record => String(record.data));
+  
+  if (dnsCheckCache.size >= DNS_CHECK_CACHE_MAX_ENTRIES) {
+    dnsCheckCache.delete(dnsCheckCache.keys().next().value);
+  }
+  dnsCheckCache.set(hostname, { addresses: addresses, expires: Date.now() + ttl * 1000 });
+  
+  return addresses;
+}
+
+// 策略动作：
+// allow        - 正常代理
+// deny         - 拒绝（403）
+// rewrite-only - 不经代理中转，直接跳转到原站地址
+const POLICY_ACTIONS = ['allow', 'deny', 'rewrite-only'];
+
+// 策略规则支持的字段
+const POLICY_RULE_FIELDS = ['name', 'action', 'host', 'hostRegex', 'port', 'path'];
+
+// KV 中保存策略规则的键（JSON 数组，优先于 POLICY_RULES 匹配）
+const POLICY_KV_KEY = 'policy:rules';
+
+// KV 策略规则在内存中的缓存时间（毫秒）
+const POLICY_KV_CACHE_TTL = 60000;
+
+// KV 策略规则缓存 { rules, loadedAt }
+let policyKvCache = null;
+
+// 已编译的 hostRegex
+const policyRegexCache = new Map();
+
+/**
+ * 校验策略规则列表
+ * @param {any} value - 规则列表
+ * @throws {Error} - 格式不正确时抛出
+ */
+function validatePolicyRules(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('expected a JSON array of rules');
+  }
+  
+  value.forEach((rule, index) => {
+    const label = `rule #${index}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${label}: expected an object`);
+    }
+    for (const key of Object.keys(rule)) {
+      if (!POLICY_RULE_FIELDS.includes(key)) {
+        throw new Error(`${label}: unknown field ${JSON.stringify(key)}`);
+      }
+    }
+    if (!POLICY_ACTIONS.includes(rule.action)) {
+      throw new Error(`${label}: action must be one of ${POLICY_ACTIONS.join(', ')}`);
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      throw new Error(`${label}: name must be a string`);
+    }
+    if (rule.host !== undefined && (typeof rule.host !== 'string' || !/^(\*\.)?[a-z0-9.-]+$/i.test(rule.host))) {
+      throw new Error(`${label}: invalid host pattern ${JSON.stringify(rule.host)}`);
+    }
+    if (rule.hostRegex !== undefined) {
+      try {
+        getPolicyRegex(rule.hostRegex);
+      } catch (e) {
+        throw new Error(`${label}: invalid hostRegex (${e.message})`);
+      }
+    }
+    if (rule.port !== undefined) {
+      const ports = Array.isArray(rule.port) ? rule.port : [rule.port];
+      if (ports.length === 0 || ports.some(port => !Number.isInteger(port) || port < 1 || port > 65535)) {
+        throw new Error(`${label}: port must be an integer or an array of integers between 1 and 65535`);
+      }
+    }
+    if (rule.path !== undefined && (typeof rule.path !== 'string' || !rule.path.startsWith('/'))) {
+      throw new Error(`${label}: path must be a string starting with /`);
+    }
+  });
+}
+
+/**
+ * 对目标地址执行策略判断
+ * 顺序：内置的内网地址拦截（含 DNS 解析结果） > KV 规则 > POLICY_RULES > POLICY_DEFAULT_ACTION，规则按顺序首个匹配生效
+ * @param {URL} url - 目标URL
+ * @returns {Promise<Object>} - { action, source, index, rule, reason }
+ */
+async function evaluatePolicy(url) {
+  const addressCheck = await checkTargetAddress(url);
+  if (!addressCheck.allowed) {
+    return { action: 'deny', source: 'builtin', index: null, rule: null, reason: addressCheck.reason, status: addressCheck.status };
+  }
+  
+  const kvRules = await loadKvPolicyRules();
+  if (!kvRules) {
+    return { action: 'deny', source: 'kv', index: null, rule: null, reason: 'Policy rules are unavailable', status: 503 };
+  }
+  
+  const ruleSets = [
+    ['kv', kvRules],
+    ['config', CONFIG.POLICY_RULES]
+  ];
+  
+  for (const [source, rules] of ruleSets) {
+    for (let index = 0; index < rules.length; index++) {
+      if (matchesPolicyRule(rules[index], url)) {
+        return { action: rules[index].action, source: source, index: index, rule: rules[index], reason: 'Matched rule' };
+      }
+    }
+  }
+  
+  return { action: CONFIG.POLICY_DEFAULT_ACTION, source: 'default', index: null, rule: null, reason: 'No rule matched' };
+}
+
+/**
+ * 判断目标地址是否匹配策略规则（规则中的各条件须全部满足，未设置的条件不限制）
+ * @param {Object} rule - 策略规则
+ * @param {URL} url - 目标URL
+ * @returns {boolean} - 是否匹配
+ */
+function matchesPolicyRule(rule, url) {
+  const hostname = url.hostname.toLowerCase();
+  
+  if (rule.host !== undefined && !matchesHostPattern(hostname, rule.host)) {
+    return false;
+  }
+  
+  if (rule.hostRegex !== undefined && !getPolicyRegex(rule.hostRegex).test(hostname)) {
+    return false;
+  }
+  
+  if (rule.port !== undefined) {
+    const port = Number(url.port) || (url.protocol === 'http:' ? 80 : 443);
+    if (!(Array.isArray(rule.port) ? rule.port : [rule.port]).includes(port)) {
+      return false;
+    }
+  }
+  
+  if (rule.path !== undefined && !url.pathname.startsWith(rule.path)) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * 判断主机名是否匹配主机模式
+ * @param {string} hostname - 小写主机名
+ * @param {string} pattern - 精确主机名（github.com）或通配后缀（*.github.com，只匹配子域名）
+ * @returns {boolean} - 是否匹配
+ */
+function matchesHostPattern(hostname, pattern) {
+  const lowerPattern = pattern.toLowerCase();
+  return lowerPattern.startsWith('*.')
+    ? hostname.endsWith(lowerPattern.slice(1))
+    : hostname === lowerPattern;
+}
+
+/**
+ * 获取已编译的 hostRegex（不区分大小写）
+ * @param {string} source - 正则表达式源码
+ * @returns {RegExp} - 正则表达式
+ * @throws {Error} - 正则表达式非法时抛出
+ */
+function getPolicyRegex(source) {
+  if (typeof source !== 'string' || !source) {
+    throw new Error('expected a non-empty string');
+  }
+  
+  let regex = policyRegexCache.get(source);
+  if (!regex) {
+    regex = new RegExp(source, 'i');
+    policyRegexCache.set(source, regex);
+  }
+  return regex;
+}
+
+/**
+ * 读取 KV 中的策略规则（带内存缓存）
+ * KV 读取失败或规则格式不正确时沿用上次读取的规则；没有时返回 null，由 evaluatePolicy 拒绝所有目标（策略不可用时不放行）
+ * @returns {Promise<Array|null>} - 策略规则列表，不可用时为 null
+ */
+async function loadKvPolicyRules() {
+  const now = Date.now();
+  
+  if (!policyKvCache || now - policyKvCache.loadedAt > POLICY_KV_CACHE_TTL) {
+    let rules;
+    try {
+      rules = await getKvStore().get(POLICY_KV_KEY);
+      if (rules !== null) {
+        validatePolicyRules(rules);
+      }
+    } catch (e) {
+      console.error(`Failed to load policy rules from KV key ${POLICY_KV_KEY}:`, e.message);
+      return policyKvCache ? policyKvCache.rules : null;
+    }
+    policyKvCache = { rules: rules || [], loadedAt: now };
+  }
+  
+  return policyKvCache.rules;
+}
+
+/**
+ * 根据策略判断结果创建响应（仅用于 allow 以外的动作）
+ * @param {Object} decision - 策略判断结果
+ * @param {URL} targetUrl - 目标URL
+ * @returns {Response} - 403 响应或跳转到原站的响应
+ */
+function createPolicyResponse(decision, targetUrl) {
+  if (decision.action === 'rewrite-only') {
+    const headers = new Headers({
+      'Location': targetUrl.toString(),
+      'Cache-Control': 'no-store'
+    });
+    addCorsHeaders(headers);
+    return new Response(null, { status: 307, headers: headers });
+  }
+  
+  if (decision.source === 'builtin') {
+    return decision.status === 502
+      ? createErrorResponse('Unable to verify target address', 502)
+      : createErrorResponse(`Private network URLs are not allowed (${decision.reason})`, 403);
+  }
+  
+  if (decision.status === 503) {
+    return createErrorResponse('Policy rules are temporarily unavailable', 503);
+  }
+  
+  return createErrorResponse('Target is not allowed by policy', 403);
+}
+
+/**
+ * 处理策略测试API请求：说明目标地址命中了哪条规则
+ * @param {Request} request - 原始请求对象（GET /api/policy/test?url=...）
+ * @returns {Promise<Response>} - API响应
+ */
+async function handlePolicyTestApi(request) {
+  if (request.method !== 'GET') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  const rawUrl = new URL(request.url).searchParams.get('url');
+  if (!rawUrl) {
+    return createErrorResponse('URL is required', 400);
+  }
+  
+  let targetUrl;
+  try {
+    targetUrl = new URL(normalizeUrl(rawUrl));
+  } catch (e) {
+    return createErrorResponse('Invalid URL format', 400);
+  }
+  
+  const decision = await evaluatePolicy(targetUrl);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    url: targetUrl.toString(),
+    action: decision.action,
+    source: decision.source,
+    index: decision.index,
+    rule: decision.rule,
+    reason: decision.reason
+  }), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 处理头部规则预览API请求：对给定的目标地址与示例头部执行一遍请求头/响应头处理，不访问上游
+ * 请求体：{ "url": "...", "requestHeaders": { ... }, "responseHeaders": { ... } }
+ * 返回命中的规则以及处理前后的头部，{{env.*}} 的值显示为 [REDACTED]
+ * @param {Request} request - 原始请求对象（POST /api/headers/test）
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleHeaderRulesTestApi(request) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return createErrorResponse('Invalid request body', 400);
+  }
+  if (!body || typeof body.url !== 'string' || !body.url) {
+    return createErrorResponse('URL is required', 400);
+  }
+  
+  let targetUrl;
+  let clientHeaders;
+  let upstreamHeaders;
+  try {
+    targetUrl = new URL(normalizeUrl(body.url));
+    clientHeaders = new Headers(body.requestHeaders || {});
+    upstreamHeaders = new Headers(body.responseHeaders || {});
+  } catch (e) {
+    return createErrorResponse(`Invalid request: ${e.message}`, 400);
+  }
+  
+  const context = {
+    clientHeaders: clientHeaders,
+    upstreamHeaders: upstreamHeaders,
+    addressing: getPanelAddressing(new URL(request.url)),
+    redactSecrets: true
+  };
+  
+  const requestHeaders = cleanRequestHeaders(clientHeaders, targetUrl, context.addressing);
+  const requestRules = await applyHeaderRules(requestHeaders, targetUrl, 'request', context);
+  
+  const responseHeaders = new Headers(upstreamHeaders);
+  cleanResponseHeaders(responseHeaders);
+  const responseRules = await applyHeaderRules(responseHeaders, targetUrl, 'response', context);
+  
+  const describeRule = ({ source, index, rule }) => ({ source: source, index: index, name: rule.name, host: rule.host });
+  
+  return createJsonResponse({
+    success: true,
+    url: targetUrl.toString(),
+    request: {
+      rules: requestRules.map(describeRule),
+      before: Object.fromEntries(clientHeaders),
+      after: Object.fromEntries(requestHeaders)
+    },
+    response: {
+      rules: responseRules.map(describeRule),
+      before: Object.fromEntries(upstreamHeaders),
+      after: Object.fromEntries(responseHeaders)
+    }
+  });
+}
+
+/**
+ * 获取代理根域名（去掉第一级子域名；路径模式主机本身就是代理域名）
+ * @param {string} hostname - 主机名（如：github--com.yourdomain.com）
+ * @returns {string} - 代理根域名（如：yourdomain.com）
+ */
+function getProxyDomain(hostname) {
+  if (isPathModeHost(hostname)) {
+    return hostname;
+  }
+  return hostname.split('.').slice(1).join('.');
+}
+
+// 路径模式的代理地址前缀：/p/<http|https>/<主机[:端口]>/<路径>
+const PATH_MODE_PREFIX = '/p/';
+const PATH_MODE_PATTERN = /^\/p\/(https?)\/([^/]+)(\/.*)?$/;
+
+/**
+ * 判断主机是否按路径模式访问：只有 PATH_MODE_HOST 指定的主机（如 myproxy.xxx.workers.dev）
+ * @param {string} hostname - 主机名
+ * @returns {boolean} - 是否为路径模式主机
+ */
+function isPathModeHost(hostname) {
+  return !!CONFIG.PATH_MODE_HOST && hostname.toLowerCase() === CONFIG.PATH_MODE_HOST.toLowerCase();
+}
+
+/**
+ * 获取请求所在主机的代理寻址方式，生成代理地址时两种模式互不影响
+ * - 子域名模式：{ mode: 'subdomain', proxyDomain, ctx }，代理地址为 https://<编码子域名>.<proxyDomain>/<路径>；
+ *   ctx 为所属请求的执行上下文，改写内容时在后台登记短格式子域名（见 encodeProxySubdomain）
+ * - 路径模式：{ mode: 'path', proxyDomain, origin }，代理地址为 <origin>/p/<http|https>/<主机[:端口]>/<路径>
+ * @param {URL} requestUrl - 请求URL（代理页面或管理页面）
+ * @param {ExecutionContext} [ctx] - 执行上下文，只生成不需要登记的地址时可省略
+ * @returns {Object} - 寻址方式
+ */
+function getProxyAddressing(requestUrl, ctx) {
+  const proxyDomain = getProxyDomain(requestUrl.hostname);
+  if (isPathModeHost(requestUrl.hostname)) {
+    return { mode: 'path', proxyDomain: proxyDomain, origin: requestUrl.origin };
+  }
+  return { mode: 'subdomain', proxyDomain: proxyDomain, ctx: ctx || null };
+}
+
+/**
+ * 获取管理页面生成代理链接使用的寻址方式：配置了 PATH_MODE_HOST 时生成该主机上的路径形式链接，否则为子域名形式
+ * @param {URL} panelUrl - 管理页面或管理接口的请求URL
+ * @returns {Object} - 寻址方式（见 getProxyAddressing）
+ */
+function getPanelAddressing(panelUrl) {
+  if (CONFIG.PATH_MODE_HOST) {
+    return getProxyAddressing(new URL(`https://${CONFIG.PATH_MODE_HOST.toLowerCase()}/`));
+  }
+  return getProxyAddressing(panelUrl);
+}
+
+/**
+ * 解析路径模式的代理地址
+ * @param {URL} url - 代理地址（如：https://myproxy.xxx.workers.dev/p/https/github.com/login）
+ * @returns {Object|null} - { origin, pathname }，只有 /p/<协议>/<主机> 没有后续路径时 pathname 为空字符串
+ */
+function parsePathModeUrl(url) {
+  const match = PATH_MODE_PATTERN.exec(url.pathname);
+  if (!match) {
+    return null;
+  }
+  
+  let target;
+  try {
+    target = new URL(`${match[1]}://${match[2]}`);
+  } catch (e) {
+    return null;
+  }
+  
+  // 只接受规范形式的主机（小写、无用户信息、无多余的默认端口）
+  if (target.host !== match[2] || target.pathname !== '/') {
+    return null;
+  }
+  
+  return { origin: target.origin, pathname: match[3] || '' };
+}
+
+/**
+ * 判断地址是否已经是当前寻址方式下的代理地址
+ * @param {URL} url - 地址
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {boolean} - 是否为代理地址
+ */
+function isProxyUrl(url, addressing) {
+  if (addressing.mode === 'path') {
+    return url.origin === addressing.origin && url.pathname.startsWith(PATH_MODE_PREFIX);
+  }
+  return url.hostname.endsWith('.' + addressing.proxyDomain);
+}
+
+/**
+ * 解析代理请求的目标源地址与路径
+ * @param {URL} url - 请求URL
+ * @returns {Promise<Object|null>} - { origin, pathname }，无法解析（如短格式未登记）时为 null
+ */
+async function resolveRequestTarget(url) {
+  if (isPathModeHost(url.hostname)) {
+    return parsePathModeUrl(url);
+  }
+  
+  const targetOrigin = convertSubdomainToUrl(await resolveShortSubdomain(extractSubdomain(url.hostname)));
+  return targetOrigin ? { origin: targetOrigin, pathname: url.pathname } : null;
+}
+
+/**
+ * 路径模式下页面请求了未改写的根相对地址（如 fetch('/api/user') 落到 Worker 主机的 /api/user）时，
+ * 若来源页面是路径模式代理页面，跳转到来源目标站点下的同一地址
+ * @param {Request} request - 原始请求
+ * @param {URL} url - 请求URL
+ * @returns {Response|null} - 跳转响应，来源不是代理页面时为 null
+ */
+function createPathModeFallbackRedirect(request, url) {
+  const referer = request.headers.get('Referer');
+  if (!referer) {
+    return null;
+  }
+  
+  let refererTarget;
+  try {
+    const refererUrl = new URL(referer);
+    refererTarget = refererUrl.origin === url.origin ? parsePathModeUrl(refererUrl) : null;
+  } catch (e) {
+    return null;
+  }
+  if (!refererTarget) {
+    return null;
+  }
+  
+  const location = buildProxyUrl(new URL(url.pathname + url.search, refererTarget.origin), getProxyAddressing(url));
+  return new Response(null, {
+    status: 307,
+    headers: {
+      'Location': location,
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// 内部 Cookie 前缀，这些 Cookie 不会转发给上游
+const INTERNAL_COOKIE_PREFIX = '__proxy_';
+const SESSION_COOKIE_NAME = '__proxy_session';
+const ACCESS_COOKIE_NAME = '__proxy_access';
+
+// 签名链接使用的查询参数，转发前会被移除
+const SIGNED_URL_PARAMS = {
+  EXPIRES: '__proxy_exp',
+  SIGNATURE: '__proxy_sig'
+};
+
+// 可用的认证方式，每个函数返回认证主体或 null
+const AUTH_PROVIDERS = {
+  session: authenticateSession,
+  accessGrant: authenticateAccessGrant,
+  signedUrl: authenticateSignedUrl,
+  apiKey: authenticateApiKey
+};
+
+// 各入口使用的认证方式，以及是否启用保护
+const AUTH_SCOPES = {
+  panel: {
+    providers: ['session'],
+    isProtected: () => !!CONFIG.PANEL_PASSWORD
+  },
+  api: {
+    providers: ['session', 'apiKey'],
+    isProtected: () => !!CONFIG.PANEL_PASSWORD || CONFIG.API_KEYS.length > 0
+  },
+  // 管理后台始终需要认证：未配置 PANEL_PASSWORD 与 API_KEYS 时无法访问
+  admin: {
+    providers: ['session', 'apiKey'],
+    isProtected: () => true
+  },
+  // 会话 Cookie 只属于管理页面主机，代理站点使用签名链接下发的访问授权 Cookie
+  proxy: {
+    providers: ['accessGrant', 'signedUrl', 'apiKey'],
+    isProtected: () => CONFIG.REQUIRE_SIGNED_LINKS
+  }
+};
+
+/**
+ * 对请求进行认证
+ * @param {Request} request - 原始请求对象
+ * @param {string} scope - 认证范围（panel / api / proxy）
+ * @returns {Promise<Object|null>} - 认证主体，未通过时为 null
+ */
+async function authenticate(request, scope) {
+  const scopeConfig = AUTH_SCOPES[scope];
+  
+  if (!scopeConfig.isProtected()) {
+    return { type: 'anonymous' };
+  }
+  
+  for (const providerName of scopeConfig.providers) {
+    const principal = await AUTH_PROVIDERS[providerName](request, scope);
+    if (principal) {
+      return principal;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 会话 Cookie 认证（管理页面登录后下发，令牌绑定管理页面主机）
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Object|null>} - 认证主体或 null
+ */
+async function authenticateSession(request) {
+  const token = getCookie(request.headers, SESSION_COOKIE_NAME);
+  const expires = await verifySignedToken(token, `session|${new URL(request.url).host}`);
+  return expires ? { type: 'session', expires } : null;
+}
+
+/**
+ * 访问授权 Cookie 认证（访问签名链接后下发，令牌绑定签名链接的目标，见 createAccessGrantRedirect）
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Object|null>} - 认证主体或 null
+ */
+async function authenticateAccessGrant(request) {
+  const token = getCookie(request.headers, ACCESS_COOKIE_NAME);
+  if (!token) {
+    return null;
+  }
+  
+  const target = await resolveRequestTarget(new URL(request.url));
+  if (!target) {
+    return null;
+  }
+  
+  const targetHost = getSignedLinkTarget(new URL(target.origin));
+  const expires = await verifySignedToken(token, `access|${targetHost}`);
+  return expires ? { type: 'accessGrant', expires, host: targetHost } : null;
+}
+
+/**
+ * 签名链接认证
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Object|null>} - 认证主体或 null
+ */
+async function authenticateSignedUrl(request) {
+  const url = new URL(request.url);
+  const expires = url.searchParams.get(SIGNED_URL_PARAMS.EXPIRES);
+  const signature = url.searchParams.get(SIGNED_URL_PARAMS.SIGNATURE);
+  
+  if (!expires || !signature || !/^\d+$/.test(expires)) {
+    return null;
+  }
+  
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  
+  const target = await resolveRequestTarget(url);
+  if (!target) {
+    return null;
+  }
+  
+  const targetHost = getSignedLinkTarget(new URL(target.origin));
+  const expected = await signValue(`link|${targetHost}|${expires}`);
+  if (!expected || !timingSafeEqual(expected, signature)) {
+    return null;
+  }
+  
+  return { type: 'signedUrl', expires: Number(expires), host: targetHost };
+}
+
+/**
+ * API Key 认证
+ * 管理接口读取 Authorization 头；代理请求读取 X-Proxy-Authorization 头，
+ * 避免与上游站点自身的 Authorization 冲突（该头部不会转发给上游）。
+ * 除 API_KEYS 外也接受管理后台创建的 Key，但管理后台接口只接受 API_KEYS
+ * @param {Request} request - 原始请求对象
+ * @param {string} scope - 认证范围
+ * @returns {Promise<Object|null>} - 认证主体或 null
+ */
+async function authenticateApiKey(request, scope) {
+  const headerName = scope === 'proxy' ? 'X-Proxy-Authorization' : 'Authorization';
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get(headerName) || '');
+  if (!match) {
+    return null;
+  }
+  
+  const providedKey = match[1].trim();
+  const keyIndex = CONFIG.API_KEYS.findIndex(key => timingSafeEqual(key, providedKey));
+  if (keyIndex !== -1) {
+    return { type: 'apiKey', id: `key-${keyIndex}` };
+  }
+  
+  if (scope === 'admin') {
+    return null;
+  }
+  
+  const managedKeys = await loadManagedApiKeys();
+  if (managedKeys.length === 0) {
+    return null;
+  }
+  
+  const hash = await hashApiKey(providedKey);
+  const managedKey = managedKeys.find(key => timingSafeEqual(key.hash, hash));
+  return managedKey ? { type: 'apiKey', id: `managed-${managedKey.id}` } : null;
+}
+
+/**
+ * 处理登录API请求
+ * @param {Request} request - 原始请求对象
+ * @returns {Promise<Response>} - API响应
+ */
+async function handleLoginApi(request) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  if (!CONFIG.PANEL_PASSWORD) {
+    return createErrorResponse('Login is not enabled', 404);
+  }
+  
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return createErrorResponse('Invalid request body', 400);
+  }
+  
+  if (typeof body.password !== 'string' || !timingSafeEqual(body.password, CONFIG.PANEL_PASSWORD)) {
+    return createErrorResponse('Invalid password', 401);
+  }
+  
+  // 会话 Cookie 只发给管理页面主机（不设置 Domain），令牌同时绑定该主机
+  const token = await createSignedToken(`session|${new URL(request.url).host}`, CONFIG.SESSION_TTL);
+  
+  return new Response(JSON.stringify({ success: true }), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Set-Cookie': serializeCookie(SESSION_COOKIE_NAME, token, {
+        maxAge: CONFIG.SESSION_TTL
+      })
+    }
+  });
+}
+
+/**
+ * 处理退出登录API请求
+ * @param {Request} request - 原始请求对象
+ * @returns {Response} - API响应
+ */
+function handleLogoutApi(request) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  return new Response(JSON.stringify({ success: true }), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Set-Cookie': serializeCookie(SESSION_COOKIE_NAME, '', {
+        maxAge: 0
+      })
+    }
+  });
+}
+
+/**
+ * 签名链接首次访问后的跳转响应
+ * 下发只对签名目标有效的访问授权 Cookie：令牌绑定签名目标，Cookie 不设置 Domain（只发给当前代理主机），
+ * 路径模式下 Path 限定为 /p/<协议>/<主机>/，其他目标站点仍需各自的签名链接
+ * @param {URL} url - 当前请求URL（含签名参数）
+ * @param {Object} principal - 签名链接认证主体
+ * @returns {Promise<Response>} - 302 跳转响应
+ */
+async function createAccessGrantRedirect(url, principal) {
+  const cleanUrl = new URL(url);
+  stripSignedUrlParams(cleanUrl);
+  
+  const maxAge = principal.expires - Math.floor(Date.now() / 1000);
+  const token = await createSignedToken(`access|${principal.host}`, maxAge);
+  const pathMatch = isPathModeHost(url.hostname) ? PATH_MODE_PATTERN.exec(url.pathname) : null;
+  
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': cleanUrl.toString(),
+      'Cache-Control': 'no-store',
+      'Set-Cookie': serializeCookie(ACCESS_COOKIE_NAME, token, {
+        path: pathMatch ? `${PATH_MODE_PREFIX}${pathMatch[1]}/${pathMatch[2]}/` : '/',
+        maxAge: maxAge
+      })
+    }
+  });
+}
+
+/**
+ * 为代理链接添加签名参数
+ * @param {URL} proxyUrl - 代理链接（原地修改）
+ * @param {string} targetHost - 签名中的目标（见 getSignedLinkTarget）
+ * @param {number} ttl - 有效期（秒）
+ * @returns {Promise<number>} - 过期时间（Unix 秒）
+ */
+async function signProxyUrl(proxyUrl, targetHost, ttl) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const signature = await signValue(`link|${targetHost}|${expires}`);
+  
+  proxyUrl.searchParams.set(SIGNED_URL_PARAMS.EXPIRES, String(expires));
+  proxyUrl.searchParams.set(SIGNED_URL_PARAMS.SIGNATURE, signature);
+  
+  return expires;
+}
+
+/**
+ * 获取签名中使用的目标：https 默认端口时为主机名（与旧链接兼容），其他情况为完整源地址
+ * @param {URL} targetUrl - 目标URL
+ * @returns {string} - 签名目标
+ */
+function getSignedLinkTarget(targetUrl) {
+  return targetUrl.protocol === 'https:' && !targetUrl.port ? targetUrl.hostname : targetUrl.origin;
+}
+
+/**
+ * 移除URL中的签名参数（仅在存在时修改，避免改变原始查询串编码）
+ * @param {URL} url - URL对象（原地修改）
+ */
+function stripSignedUrlParams(url) {
+  for (const param of Object.values(SIGNED_URL_PARAMS)) {
+    if (url.searchParams.has(param)) {
+      url.searchParams.delete(param);
+    }
+  }
+}
+
+/**
+ * 创建带过期时间的签名令牌（格式：过期时间.签名）
+ * @param {string} purpose - 令牌用途，参与签名防止混用
+ * @param {number} ttl - 有效期（秒）
+ * @returns {Promise<string>} - 令牌
+ */
+async function createSignedToken(purpose, ttl) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const signature = await signValue(`${purpose}|${expires}`);
+  return `${expires}.${signature}`;
+}
+
+/**
+ * 校验签名令牌
+ * @param {string|null} token - 令牌
+ * @param {string} purpose - 令牌用途
+ * @returns {Promise<number|null>} - 有效时返回过期时间，否则为 null
+ */
+async function verifySignedToken(token, purpose) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(token || '');
+  if (!match) {
+    return null;
+  }
+  
+  const expires = Number(match[1]);
+  if (expires < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  
+  const expected = await signValue(`${purpose}|${expires}`);
+  return expected && timingSafeEqual(expected, match[2]) ? expires : null;
+}
+
+// 按密钥缓存导入后的 HMAC 密钥
+const hmacKeyCache = new Map();
+
+/**
+ * 使用 HMAC-SHA256 对字符串签名
+ * @param {string} value - 待签名字符串
+ * @returns {Promise<string|null>} - base64url 签名，未配置密钥时为 null
+ */
+async function signValue(value) {
+  const secret = getSigningSecret(CONFIG);
+  if (!secret) {
+    return null;
+  }
+  
+  let key = hmacKeyCache.get(secret);
+  if (!key) {
+    key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    hmacKeyCache.set(secret, key);
+  }
+  
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+  return base64UrlEncode(new Uint8Array(signature));
+}
+
+/**
+ * 获取签名密钥（未单独配置时使用管理密码）
+ * @param {Object} config - 运行时配置
+ * @returns {string} - 签名密钥
+ */
+function getSigningSecret(config) {
+  return config.SIGNING_SECRET || config.PANEL_PASSWORD;
+}
+
+// SHA-256 轮常量
+const SHA256_ROUND_CONSTANTS = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * 同步计算 SHA-256
+ * 短格式子域名在同步的地址改写过程中生成，无法使用异步的 crypto.subtle
+ * @param {Uint8Array} bytes - 输入
+ * @returns {Uint8Array} - 32 字节摘要
+ */
+function sha256Sync(bytes) {
+  const length = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(length);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+  
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const words = new Array(64);
+  const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+  
+  for (let block = 0; block < length; block += 64) {
+    for (let i = 0; i < 64; i++) {
+      if (i < 16) {
+        words[i] = view.getUint32(block + i * 4);
+      } else {
+        const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+        const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+        words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+      }
+    }
+    
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_ROUND_CONSTANTS[i] + words[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    
+    [a, b, c, d, e, f, g, h].forEach((value, index) => {
+      hash[index] = (hash[index] + value) | 0;
+    });
+  }
+  
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, index) => digestView.setUint32(index * 4, value >>> 0));
+  return digest;
+}
+
+/**
+ * 同步计算 HMAC-SHA256（见 sha256Sync）
+ * @param {Uint8Array} key - 密钥
+ * @param {Uint8Array} message - 消息
+ * @returns {Uint8Array} - 32 字节签名
+ */
+function hmacSha256Sync(key, message) {
+  const blockKey = new Uint8Array(64);
+  blockKey.set(key.length > 64 ? sha256Sync(key) : key);
+  
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 32);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = blockKey[i] ^ 0x36;
+    outer[i] = blockKey[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha256Sync(inner), 64);
+  
+  return sha256Sync(outer);
+}
+
+/**
+ * base64url 编码
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} - 编码结果
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 常量时间字符串比较，防止计时攻击
+ * @param {string} a - 字符串 a
+ * @param {string} b - 字符串 b
+ * @returns {boolean} - 是否相等
+ */
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * 读取请求中的 Cookie
+ * @param {Headers} headers - 请求头
+ * @param {string} name - Cookie 名称
+ * @returns {string|null} - Cookie 值
+ */
+function getCookie(headers, name) {
+  const cookieHeader = headers.get('Cookie') || '';
+  for (const pair of cookieHeader.split(';')) {
+    const index = pair.indexOf('=');
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      return pair.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * 序列化 Set-Cookie 头
+ * @param {string} name - Cookie 名称
+ * @param {string} value - Cookie 值
+ * @param {Object} options - 属性（domain、path（默认 /）、maxAge），不设置 domain 时只发给当前主机
+ * @returns {string} - Set-Cookie 头的值
+ */
+function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${value}`, `Path=${options.path || '/'}`];
+  
+  if (options.domain) {
+    parts.push(`Domain=.${options.domain}`);
+  }
+  
+  if (options.maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.max(0, Math.floor(options.maxAge))}`);
+  }
+  
+  parts.push('Secure', 'HttpOnly', 'SameSite=Lax');
+  return parts.join('; ');
+}
+
+/**
+ * 判断是否为 WebSocket 升级请求
+ * @param {Request} request - 原始请求
+ * @returns {boolean} - 是否为 WebSocket 升级
+ */
+function isWebSocketUpgrade(request) {
+  return request.method === 'GET' &&
+         (request.headers.get('Upgrade') || '').toLowerCase() === 'websocket';
+}
+
+// 握手相关的逐跳头部，由运行时自行生成
+const WEBSOCKET_HOP_HEADERS = [
+  'connection',
+  'sec-websocket-key',
+  'sec-websocket-extensions',
+  'sec-websocket-accept'
+];
+
+/**
+ * 代理 WebSocket 连接
+ * 与上游建立 WebSocket 后，使用 WebSocketPair 在客户端与上游之间双向转发消息
+ * @param {Request} originalRequest - 原始请求
+ * @param {URL} targetUrl - 目标URL
+ * @returns {Promise<Response>} - 101 响应，上游拒绝升级时返回上游响应
+ */
+async function proxyWebSocket(originalRequest, targetUrl) {
+  const addressing = getProxyAddressing(new URL(originalRequest.url));
+  const headers = cleanRequestHeaders(originalRequest.headers, targetUrl, addressing);
+  WEBSOCKET_HOP_HEADERS.forEach(header => headers.delete(header));
+  headers.set('Upgrade', 'websocket');
+  
+  if (CONFIG.COOKIE_MODE === 'server') {
+    applyCookieJar(headers, await loadCookieJar(originalRequest.headers), targetUrl);
+  }
+  await applyHeaderRules(headers, targetUrl, 'request', {
+    clientHeaders: originalRequest.headers,
+    addressing: addressing
+  });
+  
+  // 超时只限制握手：连接建立后清除定时器，不能让同一个 signal 中断已建立的连接
+  const handshakeController = new AbortController();
+  let handshakeTimedOut = false;
+  const handshakeTimer = setTimeout(() => {
+    handshakeTimedOut = true;
+    handshakeController.abort();
+  }, CONFIG.REQUEST_TIMEOUT);
+  
+  let upstreamResponse;
+  try {
+    upstreamResponse = await fetch(targetUrl.toString(), {
+      headers: headers,
+      signal: handshakeController.signal
+    });
+  } catch (error) {
+    if (handshakeTimedOut) {
+      return createErrorResponse('WebSocket handshake timeout', 504, PROXY_ERROR_CODES.TOTAL_TIMEOUT);
+    }
+    throw error;
+  } finally {
+    clearTimeout(handshakeTimer);
+  }
+  
+  const upstreamSocket = upstreamResponse.webSocket;
+  if (!upstreamSocket) {
+    // 上游拒绝升级（如 401/403/404），把上游响应交给客户端
+    return createProxyResponse(upstreamResponse);
+  }
+  
+  const [clientSocket, serverSocket] = Object.values(new WebSocketPair());
+  upstreamSocket.accept();
+  serverSocket.accept();
+  pipeWebSockets(serverSocket, upstreamSocket);
+  
+  // 子协议协商：把上游选中的子协议返回给客户端
+  const responseHeaders = new Headers();
+  const protocol = upstreamResponse.headers.get('Sec-WebSocket-Protocol');
+  if (protocol) {
+    responseHeaders.set('Sec-WebSocket-Protocol', protocol);
+  }
+  
+  return new Response(null, {
+    status: 101,
+    webSocket: clientSocket,
+    headers: responseHeaders
+  });
+}
+
+/**
+ * 在两个 WebSocket 之间双向转发消息，并同步关闭状态
+ * @param {WebSocket} clientSocket - 面向客户端的一端
+ * @param {WebSocket} upstreamSocket - 面向上游的一端
+ */
+function pipeWebSockets(clientSocket, upstreamSocket) {
+  let idleTimer = null;
+  let closed = false;
+  
+  const closeBoth = (code, reason) => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(idleTimer);
+    safeCloseWebSocket(clientSocket, code, reason);
+    safeCloseWebSocket(upstreamSocket, code, reason);
+  };
+  
+  const resetIdleTimer = () => {
+    if (!CONFIG.WEBSOCKET_IDLE_TIMEOUT) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => closeBoth(1001, 'Idle timeout'), CONFIG.WEBSOCKET_IDLE_TIMEOUT);
+  };
+  
+  const forward = (source, destination) => {
+    source.addEventListener('message', event => {
+      resetIdleTimer();
+      try {
+        destination.send(event.data);
+      } catch (error) {
+        closeBoth(1011, 'Failed to forward message');
+      }
+    });
+    
+    // 关闭码原样传递给另一端
+    source.addEventListener('close', event => {
+      closeBoth(normalizeCloseCode(event.code), event.reason);
+    });
+    
+    source.addEventListener('error', () => {
+      closeBoth(1011, 'WebSocket error');
+    });
+  };
+  
+  forward(clientSocket, upstreamSocket);
+  forward(upstreamSocket, clientSocket);
+  resetIdleTimer();
+}
+
+/**
+ * 将收到的关闭码转换为可以发送的关闭码
+ * 1005/1006/1015 等保留码只能由运行时内部使用，不能通过 close() 发送
+ * @param {number} code - 收到的关闭码
+ * @returns {number} - 可发送的关闭码
+ */
+function normalizeCloseCode(code) {
+  if (code === 1000 || (code >= 1001 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999)) {
+    return code;
+  }
+  return code === 1005 ? 1000 : 1011;
+}
+
+/**
+ * 关闭 WebSocket，忽略已关闭等异常
+ * @param {WebSocket} socket - WebSocket
+ * @param {number} code - 关闭码
+ * @param {string} reason - 关闭原因
+ */
+function safeCloseWebSocket(socket, code, reason) {
+  try {
+    // 关闭原因最长 123 字节（UTF-8 编码后）
+    socket.close(code, truncateUtf8(reason || '', 123));
+  } catch (e) {
+    // 已经关闭
+  }
+}
+
+/**
+ * 按 UTF-8 编码长度截断字符串，不会截断在多字节字符中间
+ * @param {string} text - 字符串
+ * @param {number} maxBytes - 最大字节数
+ * @returns {string} - 截断后的字符串
+ */
+function truncateUtf8(text, maxBytes) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(text).length <= maxBytes) {
+    return text;
+  }
+  
+  let result = '';
+  let bytes = 0;
+  for (const char of text) {
+    bytes += encoder.encode(char).length;
+    if (bytes > maxBytes) {
+      break;
+    }
+    result += char;
+  }
+  return result;
+}
+
+/**
+ * 清理请求头 - 完全隐藏源IP
+ * @param {Headers} originalHeaders - 原始请求头
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing），决定 Cookie 的过滤方式
+ * @returns {Headers} - 清理后的请求头
+ */
+function cleanRequestHeaders(originalHeaders, targetUrl, addressing) {
+  const cleanedHeaders = new Headers();
+  
+  // 复制允许的请求头
+  for (const [key, value] of originalHeaders.entries()) {
+    const lowerKey = key.toLowerCase();
+    if (!CONFIG.BLOCKED_HEADERS.includes(lowerKey)) {
+      cleanedHeaders.set(key, value);
+    }
+  }
+  
+  // 只转发属于目标站点的 Cookie（同时移除代理自身的会话、访问授权 Cookie）
+  if (cleanedHeaders.has('Cookie')) {
+    const upstreamCookies = filterRequestCookies(cleanedHeaders.get('Cookie'), targetUrl, addressing);
+    
+    if (upstreamCookies) {
+      cleanedHeaders.set('Cookie', upstreamCookies);
+    } else {
+      cleanedHeaders.delete('Cookie');
+    }
+  }
+  
+  // 设置正确的目标服务器信息
+  cleanedHeaders.set('Host', targetUrl.host);
+  
+  // 重写Origin头部：代理源还原为原始源（上游据此判断跨域与 CSRF），无法还原时不发送
+  if (originalHeaders.has('Origin')) {
+    const origin = resolveProxyOrigin(originalHeaders.get('Origin'), originalHeaders.get('Referer'), addressing);
+    if (origin) {
+      cleanedHeaders.set('Origin', origin);
+    } else {
+      cleanedHeaders.delete('Origin');
+    }
+  }
+  
+  // 重写Referer头部
+  if (originalHeaders.has('Referer')) {
+    const referer = originalHeaders.get('Referer');
+    try {
+      const refererUrl = new URL(referer);
+      // 来源页面也是代理地址（子域名或路径模式）时还原为原始地址，否则视为目标站点
+      const pathTarget = isPathModeHost(refererUrl.hostname) ? parsePathModeUrl(refererUrl) : null;
+      const refererOrigin = pathTarget ? pathTarget.origin : convertSubdomainToUrl(extractSubdomain(refererUrl.hostname)) || targetUrl.origin;
+      const refererPath = pathTarget ? pathTarget.pathname || '/' : refererUrl.pathname;
+      cleanedHeaders.set('Referer', new URL(refererPath + refererUrl.search, refererOrigin).toString());
+    } catch (e) {
+      cleanedHeaders.delete('Referer');
+    }
+  }
+  
+  // 添加一些标准头部以模拟正常请求
+  if (!cleanedHeaders.has('User-Agent')) {
+    cleanedHeaders.set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  }
+  
+  // 设置Accept头部
+  if (!cleanedHeaders.has('Accept')) {
+    cleanedHeaders.set('Accept', 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8');
+  }
+  
+  // 设置Accept-Language
+  if (!cleanedHeaders.has('Accept-Language')) {
+    cleanedHeaders.set('Accept-Language', 'en-US,en;q=0.5');
+  }
+  
+  // 设置Accept-Encoding
+  if (!cleanedHeaders.has('Accept-Encoding')) {
+    cleanedHeaders.set('Accept-Encoding', 'gzip, deflate, br');
+  }
+  
+  return cleanedHeaders;
+}
+
+/**
+ * 把代理源还原为原始源（用于 Origin 请求头）
+ * 子域名模式解码子域名（短格式使用内存中已登记的映射）；路径模式下所有目标共用同一个源，按同源的 Referer 中的目标站点还原
+ * @param {string} origin - 客户端发送的源
+ * @param {string|null} referer - 客户端发送的 Referer
+ * @param {Object} addressing - 寻址方式（见 getProxyAddressing）
+ * @returns {string|null} - 原始源，不是代理源或无法还原时为 null
+ */
+function resolveProxyOrigin(origin, referer, addressing) {
+  if (!isProxyOrigin(origin, addressing)) {
+    return null;
+  }
+  
+  const originUrl = new URL(origin);
+  if (isPathModeHost(originUrl.hostname)) {
+    try {
+      const refererUrl = new URL(referer);
+      const pathTarget = refererUrl.origin === originUrl.origin ? parsePathModeUrl(refererUrl) : null;
+      return pathTarget ? pathTarget.origin : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  const subdomain = extractSubdomain(originUrl.hostname);
+  if (!subdomain || originUrl.hostname.toLowerCase() !== `${subdomain}.${addressing.proxyDomain}`) {
+    return null;
+  }
+  return convertSubdomainToUrl(isShortSubdomain(subdomain) ? shortSubdomainCache.get(subdomain) : subdomain);
+}
+
+// 路径模式下上游 Cookie 改名后的前缀，格式：__pd~<作用域域名或目标主机>~<原始名称>
+const SCOPED_COOKIE_PREFIX = '__pd~';
+const COOKIE_JAR_COOKIE_NAME = '__proxy_jar';
+
+// 常见的多级公共后缀（公共后缀列表的子集）：Domain 为这些后缀或单级域名（如 com）的 Cookie 与浏览器一样拒绝
+const COOKIE_PUBLIC_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn',
+  'com.hk', 'com.tw', 'com.sg', 'com.br', 'com.mx', 'com.tr',
+  'co.kr', 'co.in', 'co.nz', 'co.za', 'co.id',
+  'github.io', 'gitlab.io', 'pages.dev', 'workers.dev', 'vercel.app', 'netlify.app',
+  'web.app', 'firebaseapp.com', 'appspot.com', 'herokuapp.com', 'blogspot.com',
+  'cloudfront.net', 'azurewebsites.net', 'amazonaws.com'
+];
+
+/**
+ * 过滤请求 Cookie，只保留属于目标站点的部分
+ * - 代理内部 Cookie（__proxy_*）全部移除
+ * - 子域名模式：上游 Cookie 都是当前代理主机的 host-only Cookie，本身就只属于该目标；
+ *   改名形式的 Cookie 不是代理下发的（可能由其他代理页面的脚本写入），不转发
+ * - 路径模式：改名形式的 Cookie 仅在目标主机匹配其作用域时转发，并还原原始名称
+ * @param {string} cookieHeader - 原始 Cookie 头
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string} - 过滤后的 Cookie 头（可能为空字符串）
+ */
+function filterRequestCookies(cookieHeader, targetUrl, addressing) {
+  const cookies = [];
+  
+  for (const pair of cookieHeader.split(';')) {
+    const trimmed = pair.trim();
+    if (!trimmed || trimmed.startsWith(INTERNAL_COOKIE_PREFIX)) {
+      continue;
+    }
+    
+    if (CONFIG.COOKIE_MODE !== 'passthrough' && trimmed.startsWith(SCOPED_COOKIE_PREFIX)) {
+      const scoped = addressing && addressing.mode === 'path' ? parseScopedCookieName(trimmed) : null;
+      if (scoped && domainMatches(targetUrl.hostname, scoped.domain)) {
+        cookies.push(scoped.pair);
+      }
+      continue;
+    }
+    
+    cookies.push(trimmed);
+  }
+  
+  return cookies.join('; ');
+}
+
+/**
+ * 解析改名后的作用域 Cookie
+ * @param {string} pair - name=value 形式的 Cookie
+ * @returns {Object|null} - { domain, pair }，pair 为还原名称后的 name=value
+ */
+function parseScopedCookieName(pair) {
+  const rest = pair.slice(SCOPED_COOKIE_PREFIX.length);
+  const separator = rest.indexOf('~');
+  if (separator <= 0) {
+    return null;
+  }
+  
+  return {
+    domain: rest.slice(0, separator),
+    pair: rest.slice(separator + 1)
+  };
+}
+
+/**
+ * 判断主机名是否匹配 Cookie 域名（RFC 6265 domain-match）
+ * @param {string} hostname - 主机名
+ * @param {string} domain - Cookie 域名（不含前导点）
+ * @returns {boolean} - 是否匹配
+ */
+function domainMatches(hostname, domain) {
+  hostname = hostname.toLowerCase();
+  domain = domain.toLowerCase();
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * 按浏览器的规则确定上游 Set-Cookie 的作用域
+ * Domain 必须匹配目标主机；公共后缀（单级域名或 COOKIE_PUBLIC_SUFFIXES）只在等于目标主机时接受，按 host-only 处理；
+ * IP 地址主机只接受与主机相同的 Domain
+ * @param {string|null|undefined} domainAttribute - Domain 属性值
+ * @param {URL} targetUrl - 目标URL
+ * @returns {string|null|false} - 作用域域名（小写），host-only 时为 null，浏览器会拒绝的 Cookie 为 false
+ */
+export function resolveCookieDomain(domainAttribute, targetUrl) {
+  const domain = (domainAttribute || '').replace(/^\./, '').toLowerCase();
+  if (!domain) {
+    return null;
+  }
+  
+  const hostname = targetUrl.hostname.toLowerCase();
+  if (!domainMatches(hostname, domain)) {
+    return false;
+  }
+  
+  const isPublicSuffix = !domain.includes('.') || COOKIE_PUBLIC_SUFFIXES.includes(domain);
+  if (isPublicSuffix || classifyIpAddress(hostname) !== null) {
+    return domain === hostname ? null : false;
+  }
+  return domain;
+}
+
+/**
+ * 处理响应中的 Set-Cookie
+ * @param {Headers} headers - 代理响应头（原地修改）
+ * @param {Request} originalRequest - 原始请求
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object|null} cookieJar - 服务端 Cookie 罐（server 模式）
+ */
+async function processResponseCookies(headers, originalRequest, targetUrl, cookieJar) {
+  const setCookies = getSetCookieValues(headers);
+  if (setCookies.length === 0 || CONFIG.COOKIE_MODE === 'passthrough') {
+    return;
+  }
+  
+  headers.delete('Set-Cookie');
+  const addressing = getProxyAddressing(new URL(originalRequest.url));
+  
+  if (cookieJar) {
+    for (const value of setCookies) {
+      storeCookieInJar(cookieJar, parseSetCookie(value), targetUrl);
+    }
+    await saveCookieJar(cookieJar);
+    
+    if (cookieJar.isNew) {
+      headers.append('Set-Cookie', serializeCookie(COOKIE_JAR_COOKIE_NAME, cookieJar.id, {
+        domain: addressing.proxyDomain,
+        maxAge: CONFIG.COOKIE_JAR_TTL
+      }));
+    }
+    return;
+  }
+  
+  for (const value of setCookies) {
+    const rewritten = rewriteSetCookie(value, targetUrl, addressing);
+    if (rewritten) {
+      headers.append('Set-Cookie', rewritten);
+    }
+  }
+}
+
+/**
+ * 读取所有 Set-Cookie 头
+ * @param {Headers} headers - 响应头
+ * @returns {string[]} - Set-Cookie 值列表
+ */
+function getSetCookieValues(headers) {
+  if (typeof headers.getSetCookie === 'function') {
+    return headers.getSetCookie();
+  }
+  if (typeof headers.getAll === 'function') {
+    return headers.getAll('Set-Cookie');
+  }
+  const value = headers.get('Set-Cookie');
+  return value ? [value] : [];
+}
+
+/**
+ * 解析 Set-Cookie 头
+ * @param {string} setCookie - Set-Cookie 头的值
+ * @returns {Object} - { name, value, attributes: [{ key, value }] }
+ */
+function parseSetCookie(setCookie) {
+  const [pair, ...rawAttributes] = setCookie.split(';');
+  const index = pair.indexOf('=');
+  
+  const attributes = rawAttributes
+    .map(attribute => {
+      const attributeIndex = attribute.indexOf('=');
+      return attributeIndex === -1
+        ? { key: attribute.trim(), value: null }
+        : { key: attribute.slice(0, attributeIndex).trim(), value: attribute.slice(attributeIndex + 1).trim() };
+    })
+    .filter(attribute => attribute.key);
+  
+  return {
+    name: index === -1 ? '' : pair.slice(0, index).trim(),
+    value: index === -1 ? pair.trim() : pair.slice(index + 1).trim(),
+    attributes: attributes
+  };
+}
+
+/**
+ * 读取 Set-Cookie 属性（大小写不敏感）
+ * @param {Object} cookie - parseSetCookie 的结果
+ * @param {string} key - 属性名
+ * @returns {string|null|undefined} - 属性值；无值属性为 null，不存在为 undefined
+ */
+function getCookieAttribute(cookie, key) {
+  const attribute = cookie.attributes.find(item => item.key.toLowerCase() === key.toLowerCase());
+  return attribute ? attribute.value : undefined;
+}
+
+/**
+ * 将上游 Set-Cookie 映射到代理域名
+ * - 子域名模式：一律为 host-only（去掉 Domain），只发给当前代理主机，不会被其他代理站点的页面读取；
+ *   编码后的子域名之间没有上下级关系，带 Domain 的 Cookie 不再在同一站点的各子域名之间共享
+ * - 路径模式下所有目标共用同一主机：按作用域（Domain 或目标主机）改名为 __pd~<作用域>~<名称>，Path 统一为 /
+ * - Domain 不匹配目标主机或为公共后缀时与浏览器一样拒绝（见 resolveCookieDomain）
+ * - 统一加上 Secure，SameSite 原样保留
+ * @param {string} setCookie - 上游 Set-Cookie 值
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string|null} - 改写后的 Set-Cookie，浏览器本就会拒绝的 Cookie 返回 null
+ */
+function rewriteSetCookie(setCookie, targetUrl, addressing) {
+  const cookie = parseSetCookie(setCookie);
+  if (!cookie.name || cookie.name.startsWith(INTERNAL_COOKIE_PREFIX) || cookie.name.startsWith(SCOPED_COOKIE_PREFIX)) {
+    return null;
+  }
+  
+  const domain = resolveCookieDomain(getCookieAttribute(cookie, 'domain'), targetUrl);
+  if (domain === false) {
+    return null;
+  }
+  
+  const pathMode = addressing.mode === 'path';
+  const name = pathMode ? `${SCOPED_COOKIE_PREFIX}${domain || targetUrl.hostname}~${cookie.name}` : cookie.name;
+  const attributes = [];
+  let hasSecure = false;
+  
+  for (const attribute of cookie.attributes) {
+    const key = attribute.key.toLowerCase();
+    
+    if (key === 'domain') {
+      continue;
+    }
+    
+    // 路径模式下目标路径位于 /p/<协议>/<主机>/ 之下，原 Path 不再适用
+    if (key === 'path' && pathMode) {
+      continue;
+    }
+    
+    if (key === 'secure') {
+      hasSecure = true;
+    }
+    
+    attributes.push(attribute.value === null ? attribute.key : `${attribute.key}=${attribute.value}`);
+  }
+  
+  if (pathMode) {
+    attributes.push('Path=/');
+  }
+  
+  // 代理始终通过 HTTPS 提供服务，SameSite=None 也要求 Secure
+  if (!hasSecure) {
+    attributes.push('Secure');
+  }
+  
+  return [`${name}=${cookie.value}`, ...attributes].join('; ');
+}
+
+// KV 绑定名称
+const KV_BINDING_NAME = 'PROXY_KV';
+
+// 未绑定 KV 时使用的内存存储
+const memoryKvStore = new Map();
+
+/**
+ * 获取键值存储（优先使用 PROXY_KV 绑定，未绑定时退化为仅在当前 isolate 内有效的内存存储）
+ * @returns {Object} - { get(key), put(key, value, ttl), delete(key) }，值为 JSON 可序列化对象
+ */
+function getKvStore() {
+  const kv = ENV[KV_BINDING_NAME];
+  
+  if (kv) {
+    return {
+      get: key => kv.get(key, 'json'),
+      put: (key, value, ttl) => kv.put(key, JSON.stringify(value), ttl ? { expirationTtl: Math.max(60, ttl) } : undefined),
+      delete: key => kv.delete(key)
+    };
+  }
+  
+  return {
+    get: async key => {
+      const entry = memoryKvStore.get(key);
+      if (!entry || (entry.expires && entry.expires < Date.now())) {
+        memoryKvStore.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    put: async (key, value, ttl) => {
+      memoryKvStore.set(key, { value: value, expires: ttl ? Date.now() + ttl * 1000 : 0 });
+    },
+    delete: async key => {
+      memoryKvStore.delete(key);
+    }
+  };
+}
+
+/**
+ * 读取当前浏览器会话对应的服务端 Cookie 罐
+ * @param {Headers} requestHeaders - 原始请求头
+ * @returns {Promise<Object>} - { id, cookies, isNew }
+ */
+async function loadCookieJar(requestHeaders) {
+  const jarId = getCookie(requestHeaders, COOKIE_JAR_COOKIE_NAME);
+  
+  if (jarId && /^[a-f0-9-]{36}$/.test(jarId)) {
+    const stored = await getKvStore().get(`jar:${jarId}`);
+    return { id: jarId, cookies: (stored && stored.cookies) || [], isNew: false };
+  }
+  
+  return { id: crypto.randomUUID(), cookies: [], isNew: true };
+}
+
+/**
+ * 保存 Cookie 罐
+ * KV 没有原子的读-改-写：同一浏览器的并发响应各自读入、修改后整体写回，后写入的会覆盖先写入的改动；
+ * 浏览器尚无 Cookie 罐时并发的首批请求会各自创建新的罐，浏览器最终只保留其中一个
+ * @param {Object} cookieJar - Cookie 罐
+ */
+async function saveCookieJar(cookieJar) {
+  const now = Date.now();
+  cookieJar.cookies = cookieJar.cookies.filter(cookie => !cookie.expires || cookie.expires > now);
+  await getKvStore().put(`jar:${cookieJar.id}`, { cookies: cookieJar.cookies }, CONFIG.COOKIE_JAR_TTL);
+}
+
+/**
+ * 将上游 Cookie 存入 Cookie 罐
+ * @param {Object} cookieJar - Cookie 罐
+ * @param {Object} cookie - parseSetCookie 的结果
+ * @param {URL} targetUrl - 目标URL
+ */
+function storeCookieInJar(cookieJar, cookie, targetUrl) {
+  if (!cookie.name) {
+    return;
+  }
+  
+  const domainAttribute = resolveCookieDomain(getCookieAttribute(cookie, 'domain'), targetUrl);
+  if (domainAttribute === false) {
+    return;
+  }
+  
+  const pathAttribute = getCookieAttribute(cookie, 'path');
+  const maxAge = getCookieAttribute(cookie, 'max-age');
+  const expiresAttribute = getCookieAttribute(cookie, 'expires');
+  
+  let expires = 0;
+  if (maxAge && /^-?\d+$/.test(maxAge)) {
+    expires = Date.now() + Number(maxAge) * 1000;
+  } else if (expiresAttribute) {
+    expires = Date.parse(expiresAttribute) || 0;
+  }
+  
+  const entry = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: domainAttribute || targetUrl.hostname,
+    hostOnly: !domainAttribute,
+    path: pathAttribute && pathAttribute.startsWith('/') ? pathAttribute : getDefaultCookiePath(targetUrl.pathname),
+    secure: getCookieAttribute(cookie, 'secure') !== undefined,
+    expires: expires
+  };
+  
+  cookieJar.cookies = cookieJar.cookies.filter(item =>
+    !(item.name === entry.name && item.domain === entry.domain && item.path === entry.path)
+  );
+  
+  // 过期时间在过去表示删除
+  if (!entry.expires || entry.expires > Date.now()) {
+    cookieJar.cookies.push(entry);
+  }
+}
+
+/**
+ * 将 Cookie 罐中匹配目标的 Cookie 合并到上游请求头
+ * @param {Headers} headers - 上游请求头（原地修改）
+ * @param {Object} cookieJar - Cookie 罐
+ * @param {URL} targetUrl - 目标URL
+ */
+function applyCookieJar(headers, cookieJar, targetUrl) {
+  const now = Date.now();
+  const jarCookies = cookieJar.cookies.filter(cookie =>
+    (cookie.hostOnly ? cookie.domain === targetUrl.hostname : domainMatches(targetUrl.hostname, cookie.domain)) &&
+    cookiePathMatches(targetUrl.pathname, cookie.path) &&
+    (!cookie.secure || targetUrl.protocol === 'https:') &&
+    (!cookie.expires || cookie.expires > now)
+  );
+  
+  if (jarCookies.length === 0) {
+    return;
+  }
+  
+  const jarNames = new Set(jarCookies.map(cookie => cookie.name));
+  const browserCookies = (headers.get('Cookie') || '')
+    .split(';')
+    .map(pair => pair.trim())
+    .filter(pair => pair && !jarNames.has(pair.split('=')[0].trim()));
+  
+  const merged = [...browserCookies, ...jarCookies.map(cookie => `${cookie.name}=${cookie.value}`)];
+  headers.set('Cookie', merged.join('; '));
+}
+
+/**
+ * 计算 Cookie 默认路径（RFC 6265 5.1.4）
+ * @param {string} pathname - 请求路径
+ * @returns {string} - 默认路径
+ */
+function getDefaultCookiePath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) {
+    return '/';
+  }
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+/**
+ * 判断请求路径是否匹配 Cookie 路径（RFC 6265 path-match）
+ * @param {string} requestPath - 请求路径
+ * @param {string} cookiePath - Cookie 路径
+ * @returns {boolean} - 是否匹配
+ */
+function cookiePathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  if (requestPath.startsWith(cookiePath)) {
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+  }
+  return false;
+}
+
+/**
+ * 提取并验证子域名
+ * @param {string} hostname - 主机名
+ * @returns {string|null} - 子域名或null
+ */
+function extractSubdomain(hostname) {
+  const parts = hostname.split('.');
+  if (parts.length < 2) return null;
+  
+  const subdomain = parts[0].toLowerCase();
+  
+  // 验证子域名格式（允许字母数字和连字符）
+  if (!/^[a-z0-9-]+$/.test(subdomain)) {
+    return null;
+  }
+  
+  // 验证连字符格式的子域名
+  if (!isValidSubdomainFormat(subdomain)) {
+    return null;
+  }
+  
+  return subdomain;
+}
+
+/**
+ * 验证子域名格式是否符合要求
+ * @param {string} subdomain - 子域名
+ * @returns {boolean} - 是否有效
+ */
+function isValidSubdomainFormat(subdomain) {
+  // 扩展格式（含 "---"）：短格式需查询 KV 后才能解码，其余直接解码验证
+  if (subdomain.includes('---')) {
+    return isShortSubdomain(subdomain) || convertSubdomainToUrl(subdomain) !== null;
+  }
+  
+  // 不能以连字符开头或结尾
+  if (subdomain.startsWith('-') || subdomain.endsWith('-')) {
+    return false;
+  }
+  
+  // 分割后至少要有2个部分
+  const parts = subdomain.split('--');
+  if (parts.length < 2) {
+    return false;
+  }
+  
+  // 每个部分都必须有效
+  return parts.every(part => {
+    return part.length > 0 && /^[a-zA-Z0-9-]+$/.test(part) && 
+           !part.startsWith('-') && !part.endsWith('-');
+  });
+}
+
+/**
+ * 构建目标URL
+ * @param {Object} target - 目标源地址与路径（见 resolveRequestTarget）
+ * @param {URL} originalUrl - 原始URL对象
+ * @returns {URL} - 目标URL对象
+ */
+function buildTargetUrl(target, originalUrl) {
+  const targetUrl = new URL(target.origin);
+  targetUrl.pathname = target.pathname;
+  targetUrl.search = originalUrl.search;
+  stripSignedUrlParams(targetUrl);
+  if (targetUrl.searchParams.has(REWRITE_MODE_PARAM)) {
+    targetUrl.searchParams.delete(REWRITE_MODE_PARAM);
+  }
+  
+  return targetUrl;
+}
+
+/**
+ * 将代理子域名解码为目标源地址（编码格式见 convertUrlToSubdomain）
+ * 短格式需先通过 resolveShortSubdomain 换成完整格式，直接传入时返回 null
+ * @param {string} subdomain - 子域名（如：aaa--bb--com、example--com---1hp8080）
+ * @returns {string|null} - 目标源地址（如：https://aaa.bb.com、http://example.com:8080）或null
+ */
+export function convertSubdomainToUrl(subdomain) {
+  if (!subdomain || typeof subdomain !== 'string') {
+    return null;
+  }
+  
+  subdomain = subdomain.trim().toLowerCase();
+  
+  if (!/^[a-z0-9-]+$/.test(subdomain)) {
+    return null;
+  }
+  
+  const marker = subdomain.lastIndexOf('---');
+  
+  // 旧格式：aaa--bb--com
+  if (marker === -1) {
+    const parts = subdomain.split('--');
+    
+    if (parts.length < 2) {
+      return null;
+    }
+    
+    if (parts.some(part => !part || part.length === 0)) {
+      return null;
+    }
+    
+    return 'https://' + parts.join('.');
+  }
+  
+  // 扩展格式：<主机>---1<标志>，标志依次为 6（IPv6）、h（http）、p<端口>
+  const flags = /^1(6)?(h)?(?:p([1-9]\d{0,4}))?$/.exec(subdomain.slice(marker + 3));
+  if (!flags) {
+    return null;
+  }
+  
+  const body = subdomain.slice(0, marker);
+  let host = '';
+  
+  if (flags[1]) {
+    const groups = body.split('-');
+    if (groups.length !== 8 || groups.some(group => !/^(0|[1-9a-f][0-9a-f]{0,3})$/.test(group))) {
+      return null;
+    }
+    // 交给 URL 解析器输出压缩后的规范写法
+    host = new URL('http://[' + groups.join(':') + ']').hostname;
+  } else {
+    for (let i = 0; i < body.length; i++) {
+      const char = body.charAt(i);
+      if (char !== '-') {
+        host += char;
+        continue;
+      }
+      
+      const escaped = body.charAt(++i);
+      if (escaped === '-') {
+        host += '.';
+      } else if (escaped === '1') {
+        host += '-';
+      } else if (escaped === '2') {
+        host += '_';
+      } else {
+        return null;
+      }
+    }
+    
+    if (host.split('.').some(label => !label)) {
+      return null;
+    }
+  }
+  
+  // 只接受规范形式，保证同一目标只对应一个子域名（Cookie、缓存都按子域名区分）
+  const protocol = flags[2] ? 'http:' : 'https:';
+  if (convertUrlToSubdomain(host, protocol, flags[3]) !== subdomain) {
+    return null;
+  }
+  
+  return protocol + '//' + host + (flags[3] ? ':' + flags[3] : '');
+}
+
+/**
+ * 将目标地址编码为代理子域名（版本 1）
+ * 旧格式 aaa--bb--com：https、默认端口，且各段都不含 "--"、不以连字符开头或结尾时使用，已有链接保持不变
+ * 扩展格式 <主机>---1<标志>：各段以 "--" 连接，段内 "-" 写作 "-1"、"_" 写作 "-2"（如 xn--fiqs8s → xn-1-1fiqs8s）；
+ *   IPv6 写作 8 组十六进制以 "-" 连接并带标志 6；标志 h 表示 http（ws），p<端口> 表示非默认端口
+ * 扩展格式超过 63 个字符（DNS 标签长度上限）时需由 encodeProxySubdomain 换成短格式
+ * 本函数与 convertSubdomainToUrl 会被嵌入客户端脚本，只能使用函数内部的定义
+ * @param {string} hostname - 标准域名或 IP（如：aaa.bb.com、[::1]，IDN 需为 punycode）
+ * @param {string} [protocol] - 协议（http: / https: / ws: / wss:），默认 https:
+ * @param {string|number} [port] - 端口，默认端口可省略
+ * @returns {string|null} - 子域名（如：aaa--bb--com、example--com---1hp8080）或null
+ */
+export function convertUrlToSubdomain(hostname, protocol, port) {
+  if (!hostname || typeof hostname !== 'string') {
+    return null;
+  }
+  
+  const secure = !protocol || protocol === 'https:' || protocol === 'wss:';
+  if (!secure && protocol !== 'http:' && protocol !== 'ws:') {
+    return null;
+  }
+  
+  let portText = port === undefined || port === null ? '' : String(port);
+  if (portText && (!/^[1-9]\d{0,4}$/.test(portText) || Number(portText) > 65535)) {
+    return null;
+  }
+  if (portText === (secure ? '443' : '80')) {
+    portText = '';
+  }
+  
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  let body;
+  let flags = '';
+  
+  if (host.charAt(0) === '[') {
+    // IPv6：展开为 8 组，去掉每组的前导零
+    const halves = host.slice(1, -1).split('::');
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = halves.length === 2 ? 8 - head.length - tail.length : 0;
+    if (host.slice(-1) !== ']' || halves.length > 2 || missing < 0) {
+      return null;
+    }
+    
+    const groups = head.concat(new Array(missing).fill('0'), tail);
+    if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+      return null;
+    }
+    
+    body = groups.map(group => parseInt(group, 16).toString(16)).join('-');
+    flags += '6';
+  } else {
+    if (!/^[a-z0-9_.-]+$/.test(host)) {
+      return null;
+    }
+    
+    const labels = host.split('.');
+    if (labels.some(label => !label)) {
+      return null;
+    }
+    
+    if (secure && !portText && labels.length >= 2 &&
+        labels.every(label => /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(label) && label.indexOf('--') === -1)) {
+      const legacy = labels.join('--');
+      if (legacy.length <= 63) {
+        return legacy;
+      }
+    }
+    
+    body = labels.map(label => label.replace(/-/g, '-1').replace(/_/g, '-2')).join('--');
+  }
+  
+  if (!secure) {
+    flags += 'h';
+  }
+  if (portText) {
+    flags += 'p' + portText;
+  }
+  
+  return body + '---1' + flags;
+}
+
+// 短格式子域名在 KV 中的键前缀（值为完整格式）
+const SHORT_SUBDOMAIN_KV_PREFIX = 'subdomain:';
+
+// 代理主机上登记短格式并跳转的保留路径（客户端脚本没有签名密钥，无法自行计算短格式）
+const SHORT_SUBDOMAIN_REDIRECT_PATH = '/__proxy/short';
+
+// 内存中缓存的短格式映射数量上限
+const SHORT_SUBDOMAIN_CACHE_MAX_ENTRIES = 1000;
+
+// 短格式 -> 完整格式
+const shortSubdomainCache = new Map();
+
+/**
+ * 判断是否为短格式子域名
+ * @param {string} subdomain - 子域名
+ * @returns {boolean} - 是否为短格式
+ */
+function isShortSubdomain(subdomain) {
+  return /^[a-z0-9]{14}---1x$/.test(subdomain);
+}
+
+/**
+ * 将目标地址转换为代理地址
+ * 子域名模式把协议、主机、端口编码进子域名；路径模式写入 /p/<协议>/<主机[:端口]>/ 前缀。WebSocket 使用 ws(s)
+ * @param {URL} url - 目标地址
+ * @param {Object} addressing - 代理寻址方式（见 getProxyAddressing）
+ * @returns {string|null} - 代理地址，无法编码时为 null
+ */
+function buildProxyUrl(url, addressing) {
+  const isWebSocket = url.protocol === 'ws:' || url.protocol === 'wss:';
+  
+  if (addressing.mode === 'path') {
+    if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol) || !url.hostname) {
+      return null;
+    }
+    
+    const scheme = url.protocol === 'https:' || url.protocol === 'wss:' ? 'https' : 'http';
+    const proxyUrl = new URL(`${PATH_MODE_PREFIX}${scheme}/${url.host}${url.pathname}${url.search}${url.hash}`, addressing.origin);
+    if (isWebSocket) {
+      proxyUrl.protocol = proxyUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+    }
+    return proxyUrl.toString();
+  }
+  
+  const subdomain = encodeProxySubdomain(url, addressing.ctx);
+  if (!subdomain) {
+    return null;
+  }
+  
+  const proxyUrl = new URL(url.toString());
+  proxyUrl.protocol = isWebSocket ? 'wss:' : 'https:';
+  proxyUrl.hostname = `${subdomain}.${addressing.proxyDomain}`;
+  proxyUrl.port = '';
+  return proxyUrl.toString();
+}
+
+/**
+ * 编码目标地址的子域名
+ * 完整格式超过 63 个字符时换成短格式 <哈希>---1x，未配置签名密钥时无法生成短格式。
+ * 有执行上下文时在所属请求的后台任务中登记完整格式（改写流式响应体时请求处理函数已经返回）；
+ * 没有时由调用方负责登记（见 generateProxyLink、handleShortSubdomainRedirect）
+ * @param {URL} url - 目标地址
+ * @param {ExecutionContext|null} ctx - 所属请求的执行上下文
+ * @returns {string|null} - 子域名
+ */
+function encodeProxySubdomain(url, ctx) {
+  const fullSubdomain = convertUrlToSubdomain(url.hostname, url.protocol, url.port);
+  if (!fullSubdomain || fullSubdomain.length <= 63) {
+    return fullSubdomain;
+  }
+  
+  const shortSubdomain = computeShortSubdomain(fullSubdomain, getSigningSecret(CONFIG));
+  if (ctx && shortSubdomain && shortSubdomainCache.get(shortSubdomain) !== fullSubdomain) {
+    cacheShortSubdomain(shortSubdomain, fullSubdomain);
+    runInBackground(registerShortSubdomain(shortSubdomain, fullSubdomain), ctx);
+  }
+  
+  return shortSubdomain;
+}
+
+/**
+ * 计算完整格式对应的短格式：以签名密钥计算 HMAC-SHA256，取前两个 32 位字各转为 7 位 36 进制
+ * 不知道密钥就无法伪造指向任意目标的短格式，更换密钥后已有的短格式链接失效
+ * @param {string} fullSubdomain - 完整格式
+ * @param {string} secret - 签名密钥（见 getSigningSecret）
+ * @returns {string|null} - 短格式，未配置密钥时为 null
+ */
+export function computeShortSubdomain(fullSubdomain, secret) {
+  if (!secret) {
+    return null;
+  }
+  
+  const digest = hmacSha256Sync(new TextEncoder().encode(secret), new TextEncoder().encode('subdomain|' + fullSubdomain));
+  let hash = '';
+  for (let offset = 0; offset < 8; offset += 4) {
+    const value = ((digest[offset] << 24) | (digest[offset + 1] << 16) | (digest[offset + 2] << 8) | digest[offset + 3]) >>> 0;
+    hash += ('000000' + value.toString(36)).slice(-7);
+  }
+  
+  return hash + '---1x';
+}
+
+/**
+ * 登记短格式映射（内存缓存 + KV）
+ * KV 中已有映射时不覆盖：哈希以密钥计算，已有映射与当前完整格式不同只可能是碰撞，此时保留先登记的目标
+ * @param {string} shortSubdomain - 短格式
+ * @param {string} fullSubdomain - 完整格式
+ * @returns {Promise<boolean>} - 短格式是否指向该完整格式
+ */
+async function registerShortSubdomain(shortSubdomain, fullSubdomain) {
+  try {
+    const kv = getKvStore();
+    const existing = await kv.get(SHORT_SUBDOMAIN_KV_PREFIX + shortSubdomain);
+    if (existing !== null && existing !== undefined && existing !== fullSubdomain) {
+      console.error(`Short subdomain collision: ${shortSubdomain} is already registered for ${existing}`);
+      return false;
+    }
+    
+    cacheShortSubdomain(shortSubdomain, fullSubdomain);
+    if (existing !== fullSubdomain) {
+      await kv.put(SHORT_SUBDOMAIN_KV_PREFIX + shortSubdomain, fullSubdomain);
+    }
+    return true;
+  } catch (error) {
+    console.error('Short subdomain registration error:', error);
+    return false;
+  }
+}
+
+/**
+ * 处理短格式跳转请求：登记目标地址的短格式后跳转到对应的代理地址
+ * 客户端脚本遇到超长子域名时改写为 <当前代理主机>/__proxy/short?url=<目标地址>，307 跳转保留请求方法与请求体
+ * @param {URL} url - 请求URL
+ * @returns {Promise<Response>} - 跳转响应
+ */
+async function handleShortSubdomainRedirect(url) {
+  let targetUrl;
+  try {
+    targetUrl = new URL(url.searchParams.get('url'));
+  } catch (e) {
+    return createErrorResponse('Invalid target URL', 400);
+  }
+  
+  const policy = await evaluatePolicy(targetUrl);
+  if (policy.action !== 'allow') {
+    return createPolicyResponse(policy, targetUrl);
+  }
+  
+  const fullSubdomain = convertUrlToSubdomain(targetUrl.hostname, targetUrl.protocol, targetUrl.port);
+  const subdomain = fullSubdomain && fullSubdomain.length > 63
+    ? computeShortSubdomain(fullSubdomain, getSigningSecret(CONFIG))
+    : fullSubdomain;
+  if (!subdomain) {
+    return createErrorResponse('Unable to encode target URL', 400);
+  }
+  
+  if (subdomain !== fullSubdomain && !await registerShortSubdomain(subdomain, fullSubdomain)) {
+    return createErrorResponse('Unable to register short subdomain', 503);
+  }
+  
+  return new Response(null, {
+    status: 307,
+    headers: {
+      'Location': buildProxyUrl(targetUrl, getProxyAddressing(url)),
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 把短格式子域名换成完整格式，其他格式原样返回
+ * @param {string|null} subdomain - 子域名
+ * @returns {Promise<string|null>} - 完整格式；短格式未登记或校验失败时为 null
+ */
+async function resolveShortSubdomain(subdomain) {
+  if (!subdomain || !isShortSubdomain(subdomain)) {
+    return subdomain;
+  }
+  
+  let fullSubdomain = shortSubdomainCache.get(subdomain);
+  if (!fullSubdomain) {
+    fullSubdomain = await getKvStore().get(SHORT_SUBDOMAIN_KV_PREFIX + subdomain);
+  }
+  
+  // 校验哈希，防止 KV 中的错误数据把短格式指向其他目标
+  if (typeof fullSubdomain !== 'string' || !convertSubdomainToUrl(fullSubdomain) ||
+      computeShortSubdomain(fullSubdomain, getSigningSecret(CONFIG)) !== subdomain) {
+    return null;
+  }
+  
+  cacheShortSubdomain(subdomain, fullSubdomain);
+  return fullSubdomain;
+}
+
+/**
+ * 写入短格式内存缓存（超出上限时淘汰最早的）
+ * @param {string} shortSubdomain - 短格式
+ * @param {string} fullSubdomain - 完整格式
+ */
+function cacheShortSubdomain(shortSubdomain, fullSubdomain) {
+  if (shortSubdomainCache.size >= SHORT_SUBDOMAIN_CACHE_MAX_ENTRIES && !shortSubdomainCache.has(shortSubdomain)) {
+    shortSubdomainCache.delete(shortSubdomainCache.keys().next().value);
+  }
+  shortSubdomainCache.set(shortSubdomain, fullSubdomain);
+}
+
+/**
+ * 创建代理响应 - 移除可能暴露信息的头部，改写响应头中的地址
+ * CORS 头部只沿用上游下发的值（映射为代理源，见 rewriteResponseHeaders），不添加通配的 CORS 头部，
+ * 否则任意网站都能读取代理后的页面
+ * @param {Response} originalResponse - 原始响应
+ * @param {Object} [headerContext] - 响应头改写上下文（见 rewriteResponseHeaders），省略时不改写（off 模式）
+ * @returns {Promise<Response>} - 处理后的响应
+ */
+async function createProxyResponse(originalResponse, headerContext) {
+  const response = new Response(originalResponse.body, {
+    status: originalResponse.status,
+    statusText: originalResponse.statusText,
+    headers: originalResponse.headers
+  });
+  
+  // 移除可能暴露服务器信息的头部
+  cleanResponseHeaders(response.headers);
+  
+  if (headerContext) {
+    await rewriteResponseHeaders(response.headers, originalResponse.headers, headerContext);
+  }
+  
+  return response;
+}
+
+/**
+ * 处理重定向：Location 的各种写法（绝对、相对、协议相对、带端口或 IP 的主机）都按目标地址解析，
+ * 经过策略判断后改写为代理地址；状态码原样保留，307/308 由浏览器保留请求方法与请求体重新提交
+ * @param {Response} response - 重定向响应
+ * @param {Request} originalRequest - 原始请求
+ * @param {URL} targetUrl - 目标URL（解析相对的 Location）
+ * @param {Object} addressing - 寻址方式（见 getProxyAddressing）
+ * @returns {Promise<Response>} - 处理后的响应
+ */
+async function handleRedirect(response, originalRequest, targetUrl, addressing) {
+  const headerContext = { targetUrl: targetUrl, addressing: addressing, clientHeaders: originalRequest.headers };
+  const location = response.headers.get('Location');
+  if (!location) {
+    return createProxyResponse(response, headerContext);
+  }
+  
+  const target = await resolveRedirectTarget(location, targetUrl, addressing);
+  
+  // 拒绝的直接返回 403；rewrite-only、非 HTTP 地址保留原值
+  if (target.policy && target.policy.action === 'deny') {
+    return createPolicyResponse(target.policy, target.url);
+  }
+  
+  const redirectResponse = await createProxyResponse(response, headerContext);
+  if (target.proxyUrl) {
+    redirectResponse.headers.set('Location', target.proxyUrl);
+  }
+  
+  return redirectResponse;
+}
+
+// 重定向状态码
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * 解析重定向目标并转换为代理地址（用于 Location 与 Refresh）
+ * @param {string} location - 重定向地址（任意写法）
+ * @param {URL} baseUrl - 解析相对地址的基准（当前目标地址）
+ * @param {Object} addressing - 寻址方式（见 getProxyAddressing）
+ * @returns {Promise<Object>} - { url, proxyUrl, policy }：url 为解析后的地址（无法解析时为 null）；
+ *   proxyUrl 为代理地址，非 HTTP 地址、策略不允许或无法编码时为 null；policy 为策略判断结果（非 HTTP 地址为 null）
+ */
+async function resolveRedirectTarget(location, baseUrl, addressing) {
+  let redirectUrl;
+  try {
+    redirectUrl = new URL(location.trim(), baseUrl);
+  } catch (e) {
+    return { url: null, proxyUrl: null, policy: null };
+  }
+  
+  if (!['http:', 'https:'].includes(redirectUrl.protocol)) {
+    return { url: redirectUrl, proxyUrl: null, policy: null };
+  }
+  
+  const policy = await evaluatePolicy(redirectUrl);
+  return {
+    url: redirectUrl,
+    proxyUrl: policy.action === 'allow' ? buildProxyUrl(redirectUrl, addressing) : null,
+    policy: policy
+  };
+}
+
+/**
+ * 改写 Refresh 响应头（格式同 <meta http-equiv=refresh>："秒数; url=地址"）
+ * 目标被策略拒绝时移除该头部，避免把客户端带到原站
+ * @param {Headers} headers - 响应头（原地修改）
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 寻址方式
+ * @returns {Promise<void>}
+ */
+async function rewriteRefreshHeader(headers, targetUrl, addressing) {
+  const refresh = headers.get('Refresh');
+  if (!refresh) {
+    return;
+  }
+  
+  let location = null;
+  rewriteRefreshValue(refresh, url => {
+    location = url;
+    return url;
+  });
+  if (!location) {
+    return;
+  }
+  
+  const target = await resolveRedirectTarget(location, targetUrl, addressing);
+  if (target.policy && target.policy.action === 'deny') {
+    headers.delete('Refresh');
+  } else if (target.proxyUrl) {
+    headers.set('Refresh', rewriteRefreshValue(refresh, () => target.proxyUrl));
+  }
+}
+
+/**
+ * 响应头改写阶段：把响应头中指向源站的地址改写为代理地址（createProxyResponse 与 createProxyResponseWithRewrite 共用）
+ * - Link：逗号分隔的 <地址>; 参数 列表，尖括号中的地址与 anchor 参数按 rewriteUrl 改写，参数中带引号的逗号不作分隔
+ * - Refresh：与 Location 一样经过策略判断（见 rewriteRefreshHeader）
+ * - Content-Location：按 rewriteUrl 改写
+ * - Access-Control-Allow-Origin：映射为代理源，不回显客户端的 Origin（代理发往上游的 Origin 已还原为客户端页面的原始源，
+ *   上游回显时映射结果即客户端页面的代理源，见 resolveProxyOrigin）；* 与 null 原样保留
+ * - Timing-Allow-Origin：逗号分隔的源列表，逐个映射为代理源
+ * - Service-Worker-Allowed：改写为代理路径（见 rewriteServiceWorkerAllowed）
+ * @param {Headers} headers - 响应头（原地修改）
+ * @param {Headers} upstreamHeaders - 上游原始响应头
+ * @param {Object} context - 改写上下文：
+ *   targetUrl     - 目标URL（解析相对地址）
+ *   addressing    - 寻址方式
+ * @returns {Promise<void>}
+ */
+async function rewriteResponseHeaders(headers, upstreamHeaders, context) {
+  const { targetUrl, addressing } = context;
+  const mapUrl = url => rewriteUrl(url, targetUrl, addressing);
+  
+  const link = headers.get('Link');
+  if (link) {
+    headers.set('Link', rewriteLinkHeader(link, mapUrl));
+  }
+  
+  await rewriteRefreshHeader(headers, targetUrl, addressing);
+  
+  const contentLocation = headers.get('Content-Location');
+  if (contentLocation) {
+    headers.set('Content-Location', mapUrl(contentLocation.trim()));
+  }
+  
+  const allowOrigin = (upstreamHeaders.get('Access-Control-Allow-Origin') || '').trim();
+  if (allowOrigin && allowOrigin !== '*') {
+    headers.set('Access-Control-Allow-Origin', mapProxyOrigin(allowOrigin, addressing));
+    if (!/(^|,)\s*(origin|\*)\s*(,|$)/i.test(headers.get('Vary') || '')) {
+      headers.append('Vary', 'Origin');
+    }
+  }
+  
+  const timingAllowOrigin = headers.get('Timing-Allow-Origin');
+  if (timingAllowOrigin) {
+    headers.set('Timing-Allow-Origin', timingAllowOrigin.split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean)
+      .map(origin => mapProxyOrigin(origin, addressing))
+      .join(', '));
+  }
+  
+  rewriteServiceWorkerAllowed(headers, targetUrl, addressing);
+}
+
+/**
+ * 改写 Link 头部（RFC 8288）中的地址
+ * @param {string} value - Link 值
+ * @param {Function} rewriteSingleUrl - 单个URL的重写函数
+ * @returns {string} - 重写后的值
+ */
+export function rewriteLinkHeader(value, rewriteSingleUrl) {
+  let output = '';
+  let position = 0;
+  
+  while (position < value.length) {
+    const start = value.indexOf('<', position);
+    const end = start === -1 ? -1 : value.indexOf('>', start);
+    if (end === -1) {
+      break;
+    }
+    output += value.slice(position, start + 1) + rewriteSingleUrl(value.slice(start + 1, end).trim()) + '>';
+    
+    // 参数直到下一个不在引号中的逗号
+    let paramsEnd = end + 1;
+    let quoted = false;
+    for (; paramsEnd < value.length; paramsEnd++) {
+      const char = value[paramsEnd];
+      if (quoted) {
+        if (char === '\\') {
+          paramsEnd++;
+        } else if (char === '"') {
+          quoted = false;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        break;
+      }
+    }
+    
+    output += value.slice(end + 1, paramsEnd).replace(/(;\s*anchor\s*=\s*)(?:"([^"]*)"|([^\s;,"]+))/i,
+      (match, prefix, quotedAnchor, bareAnchor) => `${prefix}"${rewriteSingleUrl(quotedAnchor ?? bareAnchor)}"`);
+    position = paramsEnd;
+  }
+  
+  return output + value.slice(position);
+}
+
+/**
+ * 把源（Access-Control-Allow-Origin、Timing-Allow-Origin 中的值）映射为对应的代理源
+ * @param {string} origin - 源
+ * @param {Object} addressing - 寻址方式
+ * @returns {string} - 代理源；*、null 与无法解析的值原样返回
+ */
+function mapProxyOrigin(origin, addressing) {
+  if (origin === '*' || origin === 'null') {
+    return origin;
+  }
+  
+  try {
+    const url = new URL(origin);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return origin;
+    }
+    return getProxyOrigin(url, addressing);
+  } catch (e) {
+    return origin;
+  }
+}
+
+/**
+ * 改写 Service-Worker-Allowed 响应头（Service Worker 允许注册的最大作用域）
+ * 作用域按代理地址的路径计算：子域名模式下路径不变，路径模式下加上 /p/<协议>/<主机> 前缀
+ * @param {Headers} headers - 响应头（原地修改）
+ * @param {URL} targetUrl - 目标URL（Service Worker 脚本地址）
+ * @param {Object} addressing - 寻址方式
+ */
+function rewriteServiceWorkerAllowed(headers, targetUrl, addressing) {
+  const allowed = headers.get('Service-Worker-Allowed');
+  if (!allowed) {
+    return;
+  }
+  
+  try {
+    const proxyUrl = buildProxyUrl(new URL(allowed.trim(), targetUrl), addressing);
+    if (proxyUrl) {
+      headers.set('Service-Worker-Allowed', new URL(proxyUrl).pathname);
+    }
+  } catch (e) {
+    // 无效的作用域由浏览器拒绝注册，原样保留
+  }
+}
+
+// CSP 中取值为地址的指令：来源列表（*-src 之外）与上报地址
+const CSP_SOURCE_LIST_DIRECTIVES = ['form-action', 'frame-ancestors', 'base-uri', 'navigate-to'];
+const CSP_REPORT_DIRECTIVE = 'report-uri';
+
+// CSP 主机来源：[协议://]主机[:端口][路径]，主机可以是 *.example.com
+const CSP_HOST_SOURCE_PATTERN = /^(?:([a-z][a-z0-9+.-]*):\/\/)?((?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+|localhost)(?::(\d+|\*))?(\/[^\s;,]*)?$/i;
+
+/**
+ * 确定目标主机安全响应头的处理方式（SECURITY_HEADERS_RULES 中的主机规则 > SECURITY_HEADERS_MODE）
+ * @param {URL} targetUrl - 目标URL
+ * @returns {string} - 处理方式（见 SECURITY_HEADER_MODES）
+ */
+function resolveSecurityHeadersMode(targetUrl) {
+  return findHostRule(CONFIG.SECURITY_HEADERS_RULES, targetUrl.hostname) || CONFIG.SECURITY_HEADERS_MODE;
+}
+
+/**
+ * 处理安全相关的响应头，使代理后的页面保持与源站相同的保护
+ * - Content-Security-Policy(-Report-Only)：来源与上报地址映射为代理地址，并放行注入的客户端脚本
+ * - X-Frame-Options：ALLOW-FROM 地址映射为代理地址，DENY / SAMEORIGIN 原样保留
+ * - Report-To / Reporting-Endpoints / Expect-CT：上报地址映射为代理地址
+ * - X-Content-Type-Options、Strict-Transport-Security 等不含地址的头部原样保留
+ * 处理方式为 strip 时移除 CSP 与 X-Frame-Options；重写模式为 off 时不改写任何地址
+ * @param {Headers} headers - 响应头（原地修改）
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 寻址方式
+ * @param {string} rewriteMode - 重写模式
+ * @param {boolean} [workerScript] - 是否为 Worker 脚本请求（见 isWorkerScriptRequest）
+ */
+function rewriteSecurityHeaders(headers, targetUrl, addressing, rewriteMode, workerScript) {
+  const securityMode = resolveSecurityHeadersMode(targetUrl);
+  if (securityMode === 'strip') {
+    ['content-security-policy', 'content-security-policy-report-only', 'x-frame-options'].forEach(header => {
+      headers.delete(header);
+    });
+  }
+  if (rewriteMode === 'off') {
+    return;
+  }
+  
+  const mapUrl = url => {
+    try {
+      return buildProxyUrl(new URL(url, targetUrl), addressing) || url;
+    } catch (e) {
+      return url;
+    }
+  };
+  
+  // 完整重写模式下 HTML 页面与 Worker 脚本会注入客户端脚本，CSP 需要放行
+  const contentType = headers.get('Content-Type') || '';
+  const injectsRuntime = rewriteMode === 'full' &&
+    (contentType.toLowerCase().includes('html') || (workerScript && isJavaScriptContentType(contentType)));
+  for (const header of ['Content-Security-Policy', 'Content-Security-Policy-Report-Only']) {
+    const policy = headers.get(header);
+    if (policy) {
+      headers.set(header, rewriteContentSecurityPolicy(policy, targetUrl, addressing, injectsRuntime));
+    }
+  }
+  
+  const frameOptions = headers.get('X-Frame-Options');
+  const allowFrom = frameOptions && /^\s*allow-from\s+(\S+)\s*$/i.exec(frameOptions);
+  if (allowFrom) {
+    headers.set('X-Frame-Options', `ALLOW-FROM ${mapUrl(allowFrom[1])}`);
+  }
+  
+  const reportTo = headers.get('Report-To');
+  if (reportTo) {
+    try {
+      const groups = JSON.parse(`[${reportTo}]`);
+      for (const group of groups) {
+        (group.endpoints || []).forEach(endpoint => {
+          if (typeof endpoint.url === 'string') {
+            endpoint.url = mapUrl(endpoint.url);
+          }
+        });
+      }
+      headers.set('Report-To', groups.map(group => JSON.stringify(group)).join(', '));
+    } catch (e) {
+      // 格式不正确时浏览器也会忽略，原样保留
+    }
+  }
+  
+  const reportingEndpoints = headers.get('Reporting-Endpoints');
+  if (reportingEndpoints) {
+    headers.set('Reporting-Endpoints', reportingEndpoints.replace(/=\s*"([^"]*)"/g, (match, url) => `="${mapUrl(url)}"`));
+  }
+  
+  const expectCt = headers.get('Expect-CT');
+  if (expectCt) {
+    headers.set('Expect-CT', expectCt.replace(/(report-uri\s*=\s*)"([^"]*)"/i, (match, prefix, url) => `${prefix}"${mapUrl(url)}"`));
+  }
+}
+
+/**
+ * 改写 Content-Security-Policy 值
+ * 主机来源保留原值并追加对应的代理地址（页面中未被重写的地址仍指向源站）；'self'、关键字、协议来源原样保留；
+ * 通配主机（*.example.com）只映射已知的具体主机（见 mapCspHostSource），不放宽为整个代理域名。
+ * report-uri 映射为代理地址。需要注入客户端脚本时在控制 <script> 的指令中加入客户端脚本地址；
+ * 页面使用 nonce 时客户端脚本沿用该 nonce（见 getCspScriptNonce），使用 'strict-dynamic' 而没有 nonce 时无法放行
+ * @param {string} value - 策略（多个策略以逗号分隔）
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 寻址方式
+ * @param {boolean} injectsRuntime - 页面是否会注入客户端脚本
+ * @returns {string} - 改写后的策略
+ */
+function rewriteContentSecurityPolicy(value, targetUrl, addressing, injectsRuntime) {
+  const policies = parseContentSecurityPolicy(value);
+  const runtimeSource = getProxyOrigin(targetUrl, addressing) + CLIENT_RUNTIME_PATH;
+  
+  for (const directives of policies) {
+    for (const directive of directives) {
+      if (directive.name === CSP_REPORT_DIRECTIVE) {
+        directive.sources = directive.sources.map(url => {
+          try {
+            return buildProxyUrl(new URL(url, targetUrl), addressing) || url;
+          } catch (e) {
+            return url;
+          }
+        });
+      } else if (directive.name.endsWith('-src') || CSP_SOURCE_LIST_DIRECTIVES.includes(directive.name)) {
+        directive.sources = directive.sources.flatMap(source => {
+          const proxySources = mapCspHostSource(source, targetUrl, addressing).filter(proxySource => proxySource !== source);
+          return [source, ...proxySources];
+        });
+      }
+    }
+    
+    const scriptDirective = injectsRuntime ? findCspScriptDirective(directives) : null;
+    if (scriptDirective) {
+      const sources = scriptDirective.sources.map(source => source.toLowerCase());
+      if (sources.length === 1 && sources[0] === "'none'") {
+        scriptDirective.sources = [runtimeSource];
+      } else if (!sources.some(source => source.startsWith("'nonce-") || source === "'strict-dynamic'")) {
+        scriptDirective.sources.push(runtimeSource);
+      }
+    }
+  }
+  
+  return policies
+    .map(directives => directives.map(directive => [directive.rawName, ...directive.sources].join(' ')).join('; '))
+    .join(', ');
+}
+
+/**
+ * 解析 Content-Security-Policy 值
+ * @param {string} value - 策略（多个策略以逗号分隔）
+ * @returns {Array} - 每个策略为指令列表 [{ name（小写）, rawName, sources }]
+ */
+function parseContentSecurityPolicy(value) {
+  return value.split(',').map(policy => policy.split(';')
+    .map(directive => directive.trim().split(/\s+/))
+    .filter(tokens => tokens[0])
+    .map(([rawName, ...sources]) => ({ name: rawName.toLowerCase(), rawName: rawName, sources: sources })));
+}
+
+/**
+ * 查找控制 <script> 元素的 CSP 指令（script-src-elem > script-src > default-src）
+ * @param {Array} directives - 指令列表（见 parseContentSecurityPolicy）
+ * @returns {Object|null} - 指令，策略不限制脚本时为 null
+ */
+function findCspScriptDirective(directives) {
+  for (const name of ['script-src-elem', 'script-src', 'default-src']) {
+    const directive = directives.find(item => item.name === name);
+    if (directive) {
+      return directive;
+    }
+  }
+  return null;
+}
+
+/**
+ * 获取 CSP 中控制 <script> 的 nonce，注入的客户端脚本带上同一个 nonce 才能执行
+ * @param {Headers} headers - 上游响应头
+ * @returns {string|null} - nonce，未使用 nonce 时为 null
+ */
+function getCspScriptNonce(headers) {
+  const policy = headers.get('Content-Security-Policy');
+  if (!policy) {
+    return null;
+  }
+  
+  for (const directives of parseContentSecurityPolicy(policy)) {
+    const directive = findCspScriptDirective(directives);
+    const nonce = directive && directive.sources.find(source => /^'nonce-[A-Za-z0-9+/_=-]+'$/i.test(source));
+    if (nonce) {
+      return nonce.slice(7, -1);
+    }
+  }
+  return null;
+}
+
+/**
+ * 将 CSP 主机来源映射为代理地址
+ * 通配主机（*.example.com）无法在代理域名下表达：子域名模式中目标主机整体编码为一段，路径模式中主机位于路径内。
+ * 因此只映射已知匹配该通配的具体主机（当前目标主机与站点配置中的关联主机），没有时不追加代理来源（宁可拦截也不放宽）
+ * @param {string} source - 来源表达式
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 寻址方式
+ * @returns {Array<string>} - 代理来源，不是主机来源（关键字、协议、*）或无法编码时为空
+ */
+export function mapCspHostSource(source, targetUrl, addressing) {
+  const match = CSP_HOST_SOURCE_PATTERN.exec(source);
+  if (!match) {
+    return [];
+  }
+  
+  const [, scheme = 'https', host, port, path = ''] = match;
+  let hosts = [host];
+  if (host.startsWith('*.')) {
+    const suffix = host.slice(1).toLowerCase();
+    const candidates = [targetUrl.hostname.toLowerCase(), ...resolveSiteProfile(targetUrl).related.filter(pattern => !pattern.includes('*'))];
+    hosts = [...new Set(candidates)].filter(candidate => candidate.endsWith(suffix));
+  }
+  
+  return hosts.flatMap(hostname => {
+    let proxyUrl;
+    try {
+      const url = new URL(`${scheme}://${hostname}${port && port !== '*' ? `:${port}` : ''}/`);
+      proxyUrl = shouldProxyUrl(url, targetUrl) || hostname === host ? buildProxyUrl(url, addressing) : null;
+    } catch (e) {
+      return [];
+    }
+    if (!proxyUrl) {
+      return [];
+    }
+    
+    // 路径模式的代理地址本身带有 /p/<协议>/<主机>/ 前缀，子域名模式只取源
+    return [addressing.mode === 'path'
+      ? proxyUrl + path.replace(/^\//, '')
+      : new URL(proxyUrl).origin + path];
+  });
+}
+
+/**
+ * 获取目标地址对应的代理源（页面在浏览器中的源）
+ * @param {URL} targetUrl - 目标URL
+ * @param {Object} addressing - 寻址方式
+ * @returns {string} - 代理源
+ */
+function getProxyOrigin(targetUrl, addressing) {
+  if (addressing.mode === 'path') {
+    return addressing.origin;
+  }
+  return new URL(buildProxyUrl(new URL(targetUrl.origin), addressing)).origin;
+}
+
+/**
+ * 在服务端跟随重定向（FOLLOW_REDIRECTS 开启时）
+ * 只跟随同源且与原地址处于同一目录的跳转（页面中的相对地址解析结果不变），其余跳转交给浏览器；
+ * 303 以及 POST 的 301/302 改为不带请求体的 GET，其余保留请求方法，需要重放请求体时交给浏览器处理。
+ * 每一跳都经过策略判断，中间响应下发的 Cookie 会带到下一跳并附加到最终响应上；
+ * 达到 MAX_REDIRECTS 次后停止跟随，最后一个重定向交给浏览器；同一地址在 Cookie 不变的情况下再次出现时视为重定向循环
+ * @param {Response} response - 上游的重定向响应
+ * @param {URL} targetUrl - 原目标URL
+ * @param {Object} requestOptions - 上游请求选项
+ * @param {Object} addressing - 寻址方式
+ * @returns {Promise<Object>} - { response, finalUrl, denied }：denied 为被策略拒绝的一跳 { policy, url }
+ * @throws {Error} - 出现重定向循环时抛出上游错误
+ */
+async function followRedirects(response, targetUrl, requestOptions, addressing) {
+  const directory = getUrlDirectory(targetUrl);
+  const hopCookies = [];
+  let currentUrl = targetUrl;
+  let options = requestOptions;
+  const visited = new Set([`${currentUrl}|${options.headers.get('Cookie') || ''}`]);
+  
+  for (let hops = 0; REDIRECT_STATUSES.includes(response.status); hops++) {
+    const location = response.headers.get('Location');
+    let nextUrl;
+    try {
+      nextUrl = location ? new URL(location.trim(), currentUrl) : null;
+    } catch (e) {
+      nextUrl = null;
+    }
+    if (!nextUrl || nextUrl.origin !== targetUrl.origin || getUrlDirectory(nextUrl) !== directory) {
+      break;
+    }
+    
+    const switchToGet = response.status === 303 || ([301, 302].includes(response.status) && options.method === 'POST');
+    if (!switchToGet && options.body) {
+      break;
+    }
+    
+    const policy = await evaluatePolicy(nextUrl);
+    if (policy.action === 'deny') {
+      discardResponse(response);
+      return { response: null, finalUrl: currentUrl, denied: { policy: policy, url: nextUrl } };
+    }
+    if (policy.action !== 'allow') {
+      break;
+    }
+    
+    // 达到次数上限（受子请求数限制），剩余的跳转交给浏览器
+    if (hops >= CONFIG.MAX_REDIRECTS) {
+      break;
+    }
+    
+    // 中间响应下发的 Cookie 带到下一跳
+    const setCookies = getSetCookieValues(response.headers);
+    hopCookies.push(...setCookies);
+    options = { ...options, headers: new Headers(options.headers) };
+    const cookieHeader = mergeCookieHeader(options.headers.get('Cookie'), setCookies);
+    if (cookieHeader) {
+      options.headers.set('Cookie', cookieHeader);
+    } else {
+      options.headers.delete('Cookie');
+    }
+    if (switchToGet) {
+      options.method = options.method === 'HEAD' ? 'HEAD' : 'GET';
+      delete options.body;
+      ['Content-Type', 'Content-Length', 'Content-Encoding'].forEach(header => options.headers.delete(header));
+    }
+    
+    const visitKey = `${nextUrl}|${cookieHeader || ''}`;
+    if (visited.has(visitKey)) {
+      discardResponse(response);
+      throw createUpstreamError(PROXY_ERROR_CODES.REDIRECT_LOOP);
+    }
+    visited.add(visitKey);
+    
+    discardResponse(response);
+    response = (await fetchUpstream(nextUrl, options)).response;
+    currentUrl = nextUrl;
+  }
+  
+  if (hopCookies.length > 0) {
+    response = new Response(response.body, response);
+    hopCookies.forEach(value => response.headers.append('Set-Cookie', value));
+  }
+  
+  return { response: response, finalUrl: currentUrl, denied: null };
+}
+
+/**
+ * 获取URL所在目录（路径中最后一个 / 之前的部分）
+ * @param {URL} url - URL对象
+ * @returns {string} - 目录
+ */
+function getUrlDirectory(url) {
+  return url.pathname.slice(0, url.pathname.lastIndexOf('/') + 1);
+}
+
+/**
+ * 把 Set-Cookie 合并到 Cookie 请求头（同源跳转使用，忽略 Path / Domain）
+ * @param {string|null} cookieHeader - 原 Cookie 请求头
+ * @param {Array<string>} setCookies - Set-Cookie 值
+ * @returns {string} - 合并后的 Cookie 请求头
+ */
+function mergeCookieHeader(cookieHeader, setCookies) {
+  const cookies = new Map();
+  for (const pair of (cookieHeader || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      cookies.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+    }
+  }
+  
+  for (const setCookie of setCookies) {
+    const cookie = parseSetCookie(setCookie);
+    if (!cookie.name) {
+      continue;
+    }
+    const maxAge = cookie.attributes.find(attribute => attribute.key.toLowerCase() === 'max-age');
+    const expires = cookie.attributes.find(attribute => attribute.key.toLowerCase() === 'expires');
+    const expired = (maxAge && Number(maxAge.value) <= 0) || (expires && Date.parse(expires.value) <= Date.now());
+    if (expired) {
+      cookies.delete(cookie.name);
+    } else {
+      cookies.set(cookie.name, cookie.value);
+    }
+  }
+  
+  return [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * 处理代理主机上的 OPTIONS 预检请求
+ * 预检请求不带 Cookie，无法通过访问控制转发给上游，由 Worker 应答：只放行本部署代理源发起的预检（回显其 Origin 并允许携带凭据），
+ * 其他来源不返回 Access-Control-Allow-Origin；实际响应能否被读取仍由上游的 CORS 头部决定（见 rewriteResponseHeaders）
+ * @param {Request} request - 原始请求
+ * @returns {Response} - OPTIONS响应
+ */
+function handleOptions(request) {
+  const headers = new Headers();
+  addCorsHeaders(headers);
+  headers.delete('Access-Control-Allow-Origin');
+  headers.set('Vary', 'Origin');
+  
+  const origin = request.headers.get('Origin');
+  if (origin && isProxyOrigin(origin, getProxyAddressing(new URL(request.url)))) {
+    headers.set('Access-Control-Allow-Origin', origin);
+    headers.set('Access-Control-Allow-Credentials', 'true');
+  }
+  
+  const requestHeaders = request.headers.get('Access-Control-Request-Headers');
+  if (requestHeaders) {
+    headers.set('Access-Control-Allow-Headers', requestHeaders);
+  }
+  
+  const requestMethod = request.headers.get('Access-Control-Request-Method');
+  if (requestMethod && CONFIG.ALLOWED_METHODS.includes(requestMethod)) {
+    headers.set('Access-Control-Allow-Methods', CONFIG.ALLOWED_METHODS.join(', '));
+  }
+  
+  return new Response(null, {
+    status: 204,
+    headers: headers
+  });
+}
+
+/**
+ * 判断源是否为本部署的代理源（子域名模式的代理主机或路径模式主机）
+ * @param {string} origin - 源（如 Origin 请求头）
+ * @param {Object} addressing - 寻址方式（见 getProxyAddressing）
+ * @returns {boolean} - 是否为代理源
+ */
+function isProxyOrigin(origin, addressing) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (e) {
+    return false;
+  }
+  
+  const hostname = url.hostname.toLowerCase();
+  return url.protocol === 'https:' && url.origin === origin &&
+    (isPathModeHost(hostname) || hostname.endsWith('.' + addressing.proxyDomain));
+}
+
+/**
+ * 添加CORS头（Worker 自身的接口、错误响应与客户端脚本使用，不用于代理内容）
+ * @param {Headers} headers - 响应头对象
+ */
+function addCorsHeaders(headers) {
+  headers.set('Access-Control-Allow-Origin', '*');
+  headers.set('Access-Control-Allow-Methods', CONFIG.ALLOWED_METHODS.join(', '));
+  headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  headers.set('Access-Control-Max-Age', CONFIG.CORS_MAX_AGE);
+  headers.set('Access-Control-Expose-Headers', 'Content-Length, Content-Type');
+}
+
+/**
+ * 创建错误响应
+ * @param {string} message - 错误消息
+ * @param {number} status - HTTP状态码
+ * @param {string} [code] - 错误码（见 PROXY_ERROR_CODES）
+ * @returns {Response} - 错误响应
+ */
+function createErrorResponse(message, status = 500, code) {
+  const errorBody = JSON.stringify({
+    error: message,
+    code: code,
+    status: status,
+    timestamp: new Date().toISOString()
+  });
+  
+  const headers = new Headers({
+    'Content-Type': 'application/json; charset=utf-8'
+  });
+  
+  addCorsHeaders(headers);
+  
+  return new Response(errorBody, {
+    status: status,
+    headers: headers
+  });
+}
+
+/**
+ * 创建 JSON 响应（不缓存）
+ * @param {Object} data - 响应数据
+ * @param {number} status - HTTP状态码
+ * @returns {Response} - JSON 响应
+ */
+function createJsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * 创建未认证响应
+ * @param {string} message - 错误消息
+ * @returns {Response} - 401 响应
+ */
+function createUnauthorizedResponse(message) {
+  const response = createErrorResponse(message, 401);
+  response.headers.set('WWW-Authenticate', 'Bearer realm="proxy"');
+  response.headers.set('Cache-Control', 'no-store');
+  return response;
+}
+
+/**
+ * 生成前端页面HTML - 优化用户体验
+ * @param {URL} url - 当前页面URL
+ * @returns {string} - HTML内容
+ */
+function getProxyPageHTML(url) {
+  const addressing = getPanelAddressing(url);
+  const domain = addressing.proxyDomain;
+  
+  // 使用示例按当前主机的寻址方式展示
+  const examples = addressing.mode === 'path'
+    ? `<li>输入 github.com → 生成 ${addressing.origin}/p/https/github.com/</li>
+                <li>输入 api.github.com → 生成 ${addressing.origin}/p/https/api.github.com/</li>
+                <li>输入 http://example.com:8080 → 生成 ${addressing.origin}/p/http/example.com:8080/</li>`
+    : `<li>输入 youtube.com → 生成 youtube--com.${domain}</li>
+                <li>输入 github.com → 生成 github--com.${domain}</li>
+                <li>输入 api.github.com → 生成 api--github--com.${domain}</li>
+                <li>输入 www.example.com → 生成 www--example--com.${domain}</li>
+                <li>输入 http://example.com:8080 → 生成 example--com---1hp8080.${domain}</li>`;
+  
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>网站代理服务</title>
+    <!-- 网页图标 - 使用 Base64 编码的 SVG -->
+    <link rel="icon" type="image/svg+xml" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGRlZnM+CjxsaW5lYXJHcmFkaWVudCBpZD0iZ3JhZGllbnQiIHgxPSIwJSIgeTE9IjAlIiB4Mj0iMTAwJSIgeTI9IjEwMCUiPgo8c3RvcCBvZmZzZXQ9IjAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNjY3ZWVhO3N0b3Atb3BhY2l0eToxIiAvPgo8c3RvcCBvZmZzZXQ9IjEwMCUiIHN0eWxlPSJzdG9wLWNvbG9yOiM3NjRiYTI7c3RvcC1vcGFjaXR5OjEiIC8+CjwvbGluZWFyR3JhZGllbnQ+CjwvZGVmcz4KPGNpcmNsZSBjeD0iMTYiIGN5PSIxNiIgcj0iMTUiIGZpbGw9InVybCgjZ3JhZGllbnQpIiBzdHJva2U9IndoaXRlIiBzdHJva2Utd2lkdGg9IjIiLz4KPHN2ZyB4PSI4IiB5PSI4IiB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0id2hpdGUiPgo8cGF0aCBkPSJNMTIgMmwtMy4wOSAzLjA5TDEwIDZIMy41MUMzIDYgMyA2LjUgMyA3djEwYzAgLjUuNTEgMSAxIDFoNi41bC0xLjA5IDEuMDlMMTIgMjJsNi01LjUtNi01LjV6bTAtMi44M0wxNS4xNyAySDEydi0uODN6Ii8+Cjwvc3ZnPgo8L3N2Zz4K">
+    
+    <!-- 备用图标格式 -->
+    <link rel="apple-touch-icon" sizes="180x180" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTgwIiBoZWlnaHQ9IjE4MCIgdmlld0JveD0iMCAwIDE4MCAxODAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxkZWZzPgo8bGluZWFyR3JhZGllbnQgaWQ9ImdyYWRpZW50IiB4MT0iMCUiIHkxPSIwJSIgeDI9IjEwMCUiIHkyPSIxMDAlIj4KPHN0b3Agb2Zmc2V0PSIwJSIgc3R5bGU9InN0b3AtY29sb3I6IzY2N2VlYTtzdG9wLW9wYWNpdHk6MSIgLz4KPHN0b3Agb2Zmc2V0PSIxMDAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNzY0YmEyO3N0b3Atb3BhY2l0eToxIiAvPgo8L2xpbmVhckdyYWRpZW50Pgo8L2RlZnM+CjxyZWN0IHdpZHRoPSIxODAiIGhlaWdodD0iMTgwIiByeD0iMjAiIGZpbGw9InVybCgjZ3JhZGllbnQpIi8+Cjx0ZXh0IHg9IjkwIiB5PSIxMTAiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSI4MCIgZm9udC13ZWlnaHQ9ImJvbGQiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIj7wn4yQPC90ZXh0Pgo8L3N2Zz4K">
+    
+    <!-- 32x32 图标 -->
+    <link rel="icon" type="image/png" sizes="32x32" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGRlZnM+CjxsaW5lYXJHcmFkaWVudCBpZD0iZ3JhZGllbnQiIHgxPSIwJSIgeTE9IjAlIiB4Mj0iMTAwJSIgeTI9IjEwMCUiPgo8c3RvcCBvZmZzZXQ9IjAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNjY3ZWVhO3N0b3Atb3BhY2l0eToxIiAvPgo8c3RvcCBvZmZzZXQ9IjEwMCUiIHN0eWxlPSJzdG9wLWNvbG9yOiM3NjRiYTI7c3RvcC1vcGFjaXR5OjEiIC8+CjwvbGluZWFyR3JhZGllbnQ+CjwvZGVmcz4KPHJlY3Qgd2lkdGg9IjMyIiBoZWlnaHQ9IjMyIiByeD0iNCIgZmlsbD0idXJsKCNncmFkaWVudCkiLz4KPHN2ZyB4PSI4IiB5PSI4IiB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0id2hpdGUiPgo8cGF0aCBkPSJNMTIgMmwtMy4wOSAzLjA5TDEwIDZIMy41MUMzIDYgMyA2LjUgMyA3djEwYzAgLjUuNTEgMSAxIDFoNi41bC0xLjA5IDEuMDlMMTIgMjJsNi01LjUtNi01LjV6bTAtMi44M0wxNS4xNyAySDEydi0uODN6Ii8+Cjwvc3ZnPgo8L3N2Zz4K">
+    
+    <!-- 16x16 图标 -->
+    <link rel="icon" type="image/png" sizes="16x16" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAxNiAxNiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGRlZnM+CjxsaW5lYXJHcmFkaWVudCBpZD0iZ3JhZGllbnQiIHgxPSIwJSIgeTE9IjAlIiB4Mj0iMTAwJSIgeTI9IjEwMCUiPgo8c3RvcCBvZmZzZXQ9IjAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNjY3ZWVhO3N0b3Atb3BhY2l0eToxIiAvPgo8c3RvcCBvZmZzZXQ9IjEwMCUiIHN0eWxlPSJzdG9wLWNvbG9yOiM3NjRiYTI7c3RvcC1vcGFjaXR5OjEiIC8+CjwvbGluZWFyR3JhZGllbnQ+CjwvZGVmcz4KPHJlY3Qgd2lkdGg9IjE2IiBoZWlnaHQ9IjE2IiByeD0iMiIgZmlsbD0idXJsKCNncmFkaWVudCkiLz4KPHN2ZyB4PSI0IiB5PSI0IiB3aWR0aD0iOCIgaGVpZ2h0PSI4IiB2aWV3Qm94PSIwIDAgMjQgMjQiIGZpbGw9IndoaXRlIj4KPHBhdGggZD0iTTEyIDJsLTMuMDkgMy4wOUwxMCA2SDMuNTFDMyA2IDMgNi41IDMgN3YxMGMwIC41LjUxIDEgMSAxaDYuNWwtMS4wOSAxLjA5TDEyIDIybDYtNS41LTYtNS41em0wLTIuODNMMTUuMTcgMkgxMnYtLjgzeiIvPgo8L3N2Zz4KPC9zdmc+Cg==">
+
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        }
+        
+        .container {
+            background: white;
+            border-radius: 20px;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+            padding: 40px;
+            max-width: 600px;
+            width: 100%;
+        }
+        
+        .header {
+            text-align: center;
+            margin-bottom: 40px;
+        }
+        
+        .header h1 {
+            color: #333;
+            font-size: 2.5rem;
+            margin-bottom: 10px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+        }
+        
+        .header p {
+            color: #666;
+            font-size: 1.1rem;
+            line-height: 1.6;
+        }
+        
+        .form-group {
+            margin-bottom: 30px;
+        }
+        
+        .form-group label {
+            display: block;
+            margin-bottom: 10px;
+            color: #333;
+            font-weight: 600;
+            font-size: 1.1rem;
+        }
+        
+        .input-container {
+            position: relative;
+        }
+        
+        .form-group input {
+            width: 100%;
+            padding: 15px 20px;
+            border: 2px solid #e1e5e9;
+            border-radius: 12px;
+            font-size: 1rem;
+            transition: all 0.3s ease;
+            background: #f8f9fa;
+        }
+        
+        .form-group input:focus {
+            outline: none;
+            border-color: #667eea;
+            background: white;
+            box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+        }
+        
+        .url-hint {
+            font-size: 0.9rem;
+            color: #666;
+            margin-top: 8px;
+            padding: 8px 12px;
+            background: #f0f8ff;
+            border-radius: 8px;
+            border-left: 3px solid #667eea;
+        }
+        
+        .btn {
+            width: 100%;
+            padding: 15px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 12px;
+            font-size: 1.1rem;
+            font-weight: 600;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        
+        .btn:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
+        }
+        
+        .btn:active {
+            transform: translateY(0);
+        }
+        
+        .btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+            transform: none;
+        }
+        
+        .result {
+            margin-top: 30px;
+            padding: 20px;
+            background: #f8f9fa;
+            border-radius: 12px;
+            border-left: 4px solid #667eea;
+            display: none;
+        }
+        
+        .result.show {
+            display: block;
+            animation: slideIn 0.3s ease;
+        }
+        
+        .result h3 {
+            color: #333;
+            margin-bottom: 15px;
+            font-size: 1.2rem;
+        }
+        
+        .result-url {
+            background: white;
+            padding: 15px;
+            border-radius: 8px;
+            border: 1px solid #e1e5e9;
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+            font-size: 0.9rem;
+            word-break: break-all;
+            margin-bottom: 15px;
+            position: relative;
+        }
+        
+        /* 按钮容器样式 */
+        .button-group {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+        }
+        
+        .action-btn {
+            flex: 1;
+            min-width: 120px;
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 0.95rem;
+            font-weight: 600;
+            transition: all 0.3s ease;
+            text-decoration: none;
+            display: inline-flex;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+        }
+        
+        .copy-btn {
+            background: #28a745;
+            color: white;
+        }
+        
+        .copy-btn:hover {
+            background: #218838;
+            transform: translateY(-1px);
+        }
+        
+        .copy-btn.copied {
+            background: #17a2b8;
+        }
+        
+        .visit-btn {
+            background: linear-gradient(135deg, #fd7e14 0%, #e83e8c 100%);
+            color: white;
+        }
+        
+        .visit-btn:hover {
+            transform: translateY(-1px);
+            box-shadow: 0 4px 12px rgba(232, 62, 140, 0.3);
+        }
+        
+        .error {
+            margin-top: 20px;
+            padding: 15px;
+            background: #f8d7da;
+            color: #721c24;
+            border-radius: 8px;
+            border-left: 4px solid #dc3545;
+            display: none;
+        }
+        
+        .error.show {
+            display: block;
+            animation: slideIn 0.3s ease;
+        }
+        
+        .loading {
+            display: none;
+            text-align: center;
+            margin-top: 20px;
+        }
+        
+        .loading.show {
+            display: block;
+        }
+        
+        .spinner {
+            display: inline-block;
+            width: 20px;
+            height: 20px;
+            border: 3px solid #f3f3f3;
+            border-top: 3px solid #667eea;
+            border-radius: 50%;
+            animation: spin 1s linear infinite;
+            margin-right: 10px;
+        }
+        
+        @keyframes spin {
+            0% { transform: rotate(0deg); }
+            100% { transform: rotate(360deg); }
+        }
+        
+        @keyframes slideIn {
+            from {
+                opacity: 0;
+                transform: translateY(-10px);
+            }
+            to {
+                opacity: 1;
+                transform: translateY(0);
+            }
+        }
+        
+        .usage {
+            display: none;
+            margin-top: 30px;
+            padding: 20px;
+            background: #f8f9fa;
+            border-radius: 12px;
+            border-left: 4px solid #667eea;
+            font-size: 0.9rem;
+            color: #666;
+        }
+        
+        .usage.show {
+            display: block;
+        }
+        
+        .usage-bar {
+            height: 8px;
+            margin-top: 10px;
+            background: #e1e5e9;
+            border-radius: 4px;
+            overflow: hidden;
+        }
+        
+        .usage-bar-fill {
+            height: 100%;
+            width: 0;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
+        
+        .examples {
+            margin-top: 30px;
+            padding: 20px;
+            background: #e8f4fd;
+            border-radius: 12px;
+            border-left: 4px solid #17a2b8;
+        }
+        
+        .examples h3 {
+            color: #333;
+            margin-bottom: 15px;
+            font-size: 1.1rem;
+        }
+        
+        .examples ul {
+            list-style: none;
+        }
+        
+        .examples li {
+            margin-bottom: 8px;
+            color: #666;
+            font-size: 0.9rem;
+        }
+        
+        .examples li::before {
+            content: "→";
+            color: #17a2b8;
+            margin-right: 8px;
+            font-weight: bold;
+        }
+        
+        .admin-link {
+            margin-top: 20px;
+            text-align: center;
+            font-size: 0.9rem;
+        }
+        
+        .admin-link a {
+            color: #667eea;
+            text-decoration: none;
+        }
+        
+        @media (max-width: 768px) {
+            .container {
+                padding: 30px 20px;
+                margin: 10px;
+            }
+            
+            .header h1 {
+                font-size: 2rem;
+            }
+            
+            .header p {
+                font-size: 1rem;
+            }
+            
+            .button-group {
+                flex-direction: column;
+            }
+            
+            .action-btn {
+                min-width: auto;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🌐 网站代理服务</h1>
+            <p>输入任意网址，获取代理链接，轻松访问被限制的网站</p>
+        </div>
+        
+        <form id="proxyForm">
+            <div class="form-group">
+                <label for="url">请输入要代理的网址：</label>
+                <div class="input-container">
+                    <input 
+                        type="text" 
+                        id="url" 
+                        name="url" 
+                        placeholder="youtube.com 或 https://www.youtube.com" 
+                        required
+                        autocomplete="url"
+                    >
+                </div>
+                <div class="url-hint">
+                    💡 提示：可以直接输入域名，系统会自动添加 https:// 协议
+                </div>
+            </div>
+            
+            <button type="submit" class="btn" id="generateBtn">
+                生成代理链接
+            </button>
+        </form>
+        
+        <div class="loading" id="loading">
+            <div class="spinner"></div>
+            正在生成代理链接...
+        </div>
+        
+        <div class="result" id="result">
+            <h3>✅ 代理链接已生成</h3>
+            <div class="result-url" id="proxyUrl"></div>
+            <div class="button-group">
+                <button class="action-btn copy-btn" id="copyBtn" onclick="copyToClipboard()">
+                    📋 复制链接
+                </button>
+                <button class="action-btn visit-btn" id="visitBtn" onclick="visitProxyUrl()">
+                    🚀 访问网站
+                </button>
+            </div>
+        </div>
+        
+        <div class="error" id="error">
+            <strong>错误：</strong><span id="errorMessage"></span>
+        </div>
+        
+        <div class="usage" id="usage">
+            <strong>📊 今日流量：</strong><span id="usageText"></span>
+            <div class="usage-bar"><div class="usage-bar-fill" id="usageBarFill"></div></div>
+        </div>
+        
+        <div class="examples">
+            <h3>📝 使用示例</h3>
+            <ul>
+                ${examples}
+            </ul>
+        </div>
+        ${CONFIG.PANEL_PASSWORD ? '<div class="admin-link"><a href="/admin">⚙️ 管理后台</a></div>' : ''}
+    </div>
+
+    <script>
+        const form = document.getElementById('proxyForm');
+        const loading = document.getElementById('loading');
+        const result = document.getElementById('result');
+        const error = document.getElementById('error');
+        const proxyUrl = document.getElementById('proxyUrl');
+        const generateBtn = document.getElementById('generateBtn');
+        const copyBtn = document.getElementById('copyBtn');
+        const visitBtn = document.getElementById('visitBtn');
+        
+        let currentProxyUrl = '';
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const url = document.getElementById('url').value.trim();
+            if (!url) return;
+            
+            // 显示加载状态
+            showLoading();
+            hideResult();
+            hideError();
+            
+            try {
+                const response = await fetch('/api/generate', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ url: url })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    currentProxyUrl = data.proxyUrl;
+                    proxyUrl.textContent = currentProxyUrl;
+                    showResult();
+                } else {
+                    showError(data.error || '生成代理链接失败');
+                }
+            } catch (err) {
+                console.error('Error:', err);
+                showError('网络错误，请稍后重试');
+            } finally {
+                hideLoading();
+            }
+        });
+        
+        function showLoading() {
+            loading.classList.add('show');
+            generateBtn.disabled = true;
+        }
+        
+        function hideLoading() {
+            loading.classList.remove('show');
+            generateBtn.disabled = false;
+        }
+        
+        function showResult() {
+            result.classList.add('show');
+            resetButtonStates();
+        }
+        
+        function hideResult() {
+            result.classList.remove('show');
+        }
+        
+        function showError(message) {
+            document.getElementById('errorMessage').textContent = message;
+            error.classList.add('show');
+        }
+        
+        function hideError() {
+            error.classList.remove('show');
+        }
+        
+        function resetButtonStates() {
+            copyBtn.textContent = '📋 复制链接';
+            copyBtn.classList.remove('copied');
+            visitBtn.textContent = '🚀 访问网站';
+        }
+        
+        async function copyToClipboard() {
+            try {
+                await navigator.clipboard.writeText(currentProxyUrl);
+                copyBtn.textContent = '✅ 已复制';
+                copyBtn.classList.add('copied');
+                
+                setTimeout(() => {
+                    copyBtn.textContent = '📋 复制链接';
+                    copyBtn.classList.remove('copied');
+                }, 2000);
+            } catch (err) {
+                // 降级处理
+                const textArea = document.createElement('textarea');
+                textArea.value = currentProxyUrl;
+                document.body.appendChild(textArea);
+                textArea.select();
+                document.execCommand('copy');
+                document.body.removeChild(textArea);
+                
+                copyBtn.textContent = '✅ 已复制';
+                copyBtn.classList.add('copied');
+                
+                setTimeout(() => {
+                    copyBtn.textContent = '📋 复制链接';
+                    copyBtn.classList.remove('copied');
+                }, 2000);
+            }
+        }
+        
+        function visitProxyUrl() {
+            if (!currentProxyUrl) {
+                showError('没有可访问的代理链接');
+                return;
+            }
+            
+            // 提供用户反馈
+            visitBtn.textContent = '🔄 跳转中...';
+            visitBtn.disabled = true;
+            
+            // 延迟一下以显示反馈，然后跳转
+            setTimeout(() => {
+                try {
+                    // 在新标签页中打开代理链接
+                    window.open(currentProxyUrl, '_blank', 'noopener,noreferrer');
+                } catch (err) {
+                    console.error('跳转失败:', err);
+                    showError('跳转失败，请手动复制链接访问');
+                } finally {
+                    // 重置按钮状态
+                    setTimeout(() => {
+                        visitBtn.textContent = '🚀 访问网站';
+                        visitBtn.disabled = false;
+                    }, 1000);
+                }
+            }, 300);
+        }
+        
+        // 显示今日流量用量（仅在配置了每日流量配额时显示）
+        async function loadUsage() {
+            try {
+                const response = await fetch('/api/usage');
+                const data = await response.json();
+                if (!data.success || !data.quota) return;
+                
+                const percent = Math.min(100, data.bytes / data.quota * 100);
+                document.getElementById('usageText').textContent =
+                    formatBytes(data.bytes) + ' / ' + formatBytes(data.quota) + '（' + percent.toFixed(1) + '%），UTC 零点重置';
+                document.getElementById('usageBarFill').style.width = percent + '%';
+                document.getElementById('usage').classList.add('show');
+            } catch (err) {
+                console.error('Usage error:', err);
+            }
+        }
+        
+        function formatBytes(bytes) {
+            const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            let value = bytes;
+            let unit = 0;
+            while (value >= 1024 && unit < units.length - 1) {
+                value /= 1024;
+                unit++;
+            }
+            return value.toFixed(unit === 0 ? 0 : 1) + ' ' + units[unit];
+        }
+        
+        loadUsage();
+        
+        // 自动聚焦输入框
+        document.getElementById('url').focus();
+        
+        // 键盘快捷键支持
+        document.addEventListener('keydown', (e) => {
+            // Ctrl/Cmd + Enter 快速生成
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                if (!generateBtn.disabled) {
+                    form.dispatchEvent(new Event('submit'));
+                }
+            }
+            
+            // 结果显示时的快捷键
+            if (result.classList.contains('show')) {
+                // Ctrl/Cmd + C 复制
+                if ((e.ctrlKey || e.metaKey) && e.key === 'c' && e.target.tagName !== 'INPUT') {
+                    e.preventDefault();
+                    copyToClipboard();
+                }
+                
+                // Ctrl/Cmd + V 访问（这里用 V 代表 Visit）
+                if ((e.ctrlKey || e.metaKey) && e.key === 'v' && e.target.tagName !== 'INPUT') {
+                    e.preventDefault();
+                    visitProxyUrl();
+                }
+            }
+        });
+    </script>
+</body>
+</html>`;
 }
 
 /**
- * 生成前端页面HTML - 优化用户体验
- * @param {string} hostname - 当前主机名
+ * 生成登录页面HTML（设置了 PANEL_PASSWORD 时显示）
  * @returns {string} - HTML内容
  */
-function getProxyPageHTML(hostname) {
-  const domain = hostname.split('.').slice(1).join('.');
-  
+function getLoginPageHTML() {
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>网站代理服务</title>
-    <!-- 网页图标 - 使用 Base64 编码的 SVG -->
-    <link rel="icon" type="image/svg+xml" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGRlZnM+CjxsaW5lYXJHcmFkaWVudCBpZD0iZ3JhZGllbnQiIHgxPSIwJSIgeTE9IjAlIiB4Mj0iMTAwJSIgeTI9IjEwMCUiPgo8c3RvcCBvZmZzZXQ9IjAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNjY3ZWVhO3N0b3Atb3BhY2l0eToxIiAvPgo8c3RvcCBvZmZzZXQ9IjEwMCUiIHN0eWxlPSJzdG9wLWNvbG9yOiM3NjRiYTI7c3RvcC1vcGFjaXR5OjEiIC8+CjwvbGluZWFyR3JhZGllbnQ+CjwvZGVmcz4KPGNpcmNsZSBjeD0iMTYiIGN5PSIxNiIgcj0iMTUiIGZpbGw9InVybCgjZ3JhZGllbnQpIiBzdHJva2U9IndoaXRlIiBzdHJva2Utd2lkdGg9IjIiLz4KPHN2ZyB4PSI4IiB5PSI4IiB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0id2hpdGUiPgo8cGF0aCBkPSJNMTIgMmwtMy4wOSAzLjA5TDEwIDZIMy41MUMzIDYgMyA2LjUgMyA3djEwYzAgLjUuNTEgMSAxIDFoNi41bC0xLjA5IDEuMDlMMTIgMjJsNi01LjUtNi01LjV6bTAtMi44M0wxNS4xNyAySDEydi0uODN6Ii8+Cjwvc3ZnPgo8L3N2Zz4K">
-    
-    <!-- 备用图标格式 -->
-    <link rel="apple-touch-icon" sizes="180x180" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTgwIiBoZWlnaHQ9IjE4MCIgdmlld0JveD0iMCAwIDE4MCAxODAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxkZWZzPgo8bGluZWFyR3JhZGllbnQgaWQ9ImdyYWRpZW50IiB4MT0iMCUiIHkxPSIwJSIgeDI9IjEwMCUiIHkyPSIxMDAlIj4KPHN0b3Agb2Zmc2V0PSIwJSIgc3R5bGU9InN0b3AtY29sb3I6IzY2N2VlYTtzdG9wLW9wYWNpdHk6MSIgLz4KPHN0b3Agb2Zmc2V0PSIxMDAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNzY0YmEyO3N0b3Atb3BhY2l0eToxIiAvPgo8L2xpbmVhckdyYWRpZW50Pgo8L2RlZnM+CjxyZWN0IHdpZHRoPSIxODAiIGhlaWdodD0iMTgwIiByeD0iMjAiIGZpbGw9InVybCgjZ3JhZGllbnQpIi8+Cjx0ZXh0IHg9IjkwIiB5PSIxMTAiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSI4MCIgZm9udC13ZWlnaHQ9ImJvbGQiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIj7wn4yQPC90ZXh0Pgo8L3N2Zz4K">
-    
-    <!-- 32x32 图标 -->
-    <link rel="icon" type="image/png" sizes="32x32" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGRlZnM+CjxsaW5lYXJHcmFkaWVudCBpZD0iZ3JhZGllbnQiIHgxPSIwJSIgeTE9IjAlIiB4Mj0iMTAwJSIgeTI9IjEwMCUiPgo8c3RvcCBvZmZzZXQ9IjAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNjY3ZWVhO3N0b3Atb3BhY2l0eToxIiAvPgo8c3RvcCBvZmZzZXQ9IjEwMCUiIHN0eWxlPSJzdG9wLWNvbG9yOiM3NjRiYTI7c3RvcC1vcGFjaXR5OjEiIC8+CjwvbGluZWFyR3JhZGllbnQ+CjwvZGVmcz4KPHJlY3Qgd2lkdGg9IjMyIiBoZWlnaHQ9IjMyIiByeD0iNCIgZmlsbD0idXJsKCNncmFkaWVudCkiLz4KPHN2ZyB4PSI4IiB5PSI4IiB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0id2hpdGUiPgo8cGF0aCBkPSJNMTIgMmwtMy4wOSAzLjA5TDEwIDZIMy41MUMzIDYgMyA2LjUgMyA3djEwYzAgLjUuNTEgMSAxIDFoNi41bC0xLjA5IDEuMDlMMTIgMjJsNi01LjUtNi01LjV6bTAtMi44M0wxNS4xNyAySDEydi0uODN6Ii8+Cjwvc3ZnPgo8L3N2Zz4K">
-    
-    <!-- 16x16 图标 -->
-    <link rel="icon" type="image/png" sizes="16x16" href="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAxNiAxNiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGRlZnM+CjxsaW5lYXJHcmFkaWVudCBpZD0iZ3JhZGllbnQiIHgxPSIwJSIgeTE9IjAlIiB4Mj0iMTAwJSIgeTI9IjEwMCUiPgo8c3RvcCBvZmZzZXQ9IjAlIiBzdHlsZT0ic3RvcC1jb2xvcjojNjY3ZWVhO3N0b3Atb3BhY2l0eToxIiAvPgo8c3RvcCBvZmZzZXQ9IjEwMCUiIHN0eWxlPSJzdG9wLWNvbG9yOiM3NjRiYTI7c3RvcC1vcGFjaXR5OjEiIC8+CjwvbGluZWFyR3JhZGllbnQ+CjwvZGVmcz4KPHJlY3Qgd2lkdGg9IjE2IiBoZWlnaHQ9IjE2IiByeD0iMiIgZmlsbD0idXJsKCNncmFkaWVudCkiLz4KPHN2ZyB4PSI0IiB5PSI0IiB3aWR0aD0iOCIgaGVpZ2h0PSI4IiB2aWV3Qm94PSIwIDAgMjQgMjQiIGZpbGw9IndoaXRlIj4KPHBhdGggZD0iTTEyIDJsLTMuMDkgMy4wOUwxMCA2SDMuNTFDMyA2IDMgNi41IDMgN3YxMGMwIC41LjUxIDEgMSAxaDYuNWwtMS4wOSAxLjA5TDEyIDIybDYtNS41LTYtNS41em0wLTIuODNMMTUuMTcgMkgxMnYtLjgzeiIvPgo8L3N2Zz4KPC9zdmc+Cg==">
-
+    <title>登录 - 网站代理服务</title>
     <style>
         * {
             margin: 0;
@@ -1157,72 +9184,31 @@ function getProxyPageHTML(hostname) {
             border-radius: 20px;
             box-shadow: 0 20px 40px rgba(0,0,0,0.1);
             padding: 40px;
-            max-width: 600px;
+            max-width: 420px;
             width: 100%;
         }
         
-        .header {
-            text-align: center;
-            margin-bottom: 40px;
-        }
-        
-        .header h1 {
-            color: #333;
-            font-size: 2.5rem;
-            margin-bottom: 10px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-        }
-        
-        .header p {
-            color: #666;
-            font-size: 1.1rem;
-            line-height: 1.6;
-        }
-        
-        .form-group {
+        h1 {
+            text-align: center;
             margin-bottom: 30px;
-        }
-        
-        .form-group label {
-            display: block;
-            margin-bottom: 10px;
+            font-size: 1.8rem;
             color: #333;
-            font-weight: 600;
-            font-size: 1.1rem;
-        }
-        
-        .input-container {
-            position: relative;
         }
         
-        .form-group input {
+        input {
             width: 100%;
             padding: 15px 20px;
             border: 2px solid #e1e5e9;
             border-radius: 12px;
             font-size: 1rem;
-            transition: all 0.3s ease;
             background: #f8f9fa;
+            margin-bottom: 20px;
         }
         
-        .form-group input:focus {
+        input:focus {
             outline: none;
             border-color: #667eea;
             background: white;
-            box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-        }
-        
-        .url-hint {
-            font-size: 0.9rem;
-            color: #666;
-            margin-top: 8px;
-            padding: 8px 12px;
-            background: #f0f8ff;
-            border-radius: 8px;
-            border-left: 3px solid #667eea;
         }
         
         .btn {
@@ -1235,443 +9221,535 @@ function getProxyPageHTML(hostname) {
             font-size: 1.1rem;
             font-weight: 600;
             cursor: pointer;
-            transition: all 0.3s ease;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        
-        .btn:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
-        }
-        
-        .btn:active {
-            transform: translateY(0);
         }
         
         .btn:disabled {
             opacity: 0.6;
             cursor: not-allowed;
-            transform: none;
         }
         
-        .result {
-            margin-top: 30px;
-            padding: 20px;
-            background: #f8f9fa;
-            border-radius: 12px;
-            border-left: 4px solid #667eea;
+        .error {
+            margin-top: 20px;
+            padding: 15px;
+            background: #f8d7da;
+            color: #721c24;
+            border-radius: 8px;
+            border-left: 4px solid #dc3545;
             display: none;
         }
         
-        .result.show {
+        .error.show {
             display: block;
-            animation: slideIn 0.3s ease;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔒 请先登录</h1>
+        <form id="loginForm">
+            <input type="password" id="password" placeholder="管理密码" required autocomplete="current-password">
+            <button type="submit" class="btn" id="loginBtn">登录</button>
+        </form>
+        <div class="error" id="error"></div>
+    </div>
+
+    <script>
+        const form = document.getElementById('loginForm');
+        const loginBtn = document.getElementById('loginBtn');
+        const error = document.getElementById('error');
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            loginBtn.disabled = true;
+            error.classList.remove('show');
+            
+            try {
+                const response = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ password: document.getElementById('password').value })
+                });
+                
+                if (response.ok) {
+                    window.location.reload();
+                    return;
+                }
+                
+                const data = await response.json();
+                error.textContent = data.error || '登录失败';
+                error.classList.add('show');
+            } catch (err) {
+                error.textContent = '网络错误，请稍后重试';
+                error.classList.add('show');
+            } finally {
+                loginBtn.disabled = false;
+            }
+        });
+        
+        document.getElementById('password').focus();
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * 生成管理后台页面HTML（数据均通过 /api/admin/* 接口加载）
+ * @returns {string} - HTML内容
+ */
+function getAdminPageHTML() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>管理后台 - 网站代理服务</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
         }
         
-        .result h3 {
-            color: #333;
-            margin-bottom: 15px;
-            font-size: 1.2rem;
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
         }
         
-        .result-url {
+        .container {
             background: white;
-            padding: 15px;
-            border-radius: 8px;
-            border: 1px solid #e1e5e9;
-            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-            font-size: 0.9rem;
-            word-break: break-all;
-            margin-bottom: 15px;
-            position: relative;
+            border-radius: 20px;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+            padding: 30px;
+            max-width: 1100px;
+            margin: 0 auto;
         }
         
-        /* 按钮容器样式 */
-        .button-group {
+        .header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 20px;
+        }
+        
+        h1 {
+            font-size: 1.6rem;
+            color: #333;
+        }
+        
+        .header a {
+            color: #667eea;
+            text-decoration: none;
+            margin-left: 15px;
+        }
+        
+        .tabs {
             display: flex;
-            gap: 10px;
             flex-wrap: wrap;
+            gap: 8px;
+            border-bottom: 2px solid #e1e5e9;
+            margin-bottom: 20px;
         }
         
-        .action-btn {
-            flex: 1;
-            min-width: 120px;
-            padding: 12px 20px;
+        .tab {
+            padding: 10px 16px;
             border: none;
-            border-radius: 8px;
+            background: none;
             cursor: pointer;
             font-size: 0.95rem;
-            font-weight: 600;
-            transition: all 0.3s ease;
-            text-decoration: none;
-            display: inline-flex;
-            align-items: center;
-            justify-content: center;
-            gap: 8px;
+            color: #666;
+            border-bottom: 3px solid transparent;
+            margin-bottom: -2px;
         }
         
-        .copy-btn {
-            background: #28a745;
-            color: white;
+        .tab.active {
+            color: #667eea;
+            border-bottom-color: #667eea;
+            font-weight: 600;
         }
         
-        .copy-btn:hover {
-            background: #218838;
-            transform: translateY(-1px);
+        .panel {
+            display: none;
         }
         
-        .copy-btn.copied {
-            background: #17a2b8;
+        .panel.active {
+            display: block;
         }
         
-        .visit-btn {
-            background: linear-gradient(135deg, #fd7e14 0%, #e83e8c 100%);
-            color: white;
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
         }
         
-        .visit-btn:hover {
-            transform: translateY(-1px);
-            box-shadow: 0 4px 12px rgba(232, 62, 140, 0.3);
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #e1e5e9;
+            word-break: break-all;
         }
         
-        .error {
-            margin-top: 20px;
-            padding: 15px;
-            background: #f8d7da;
-            color: #721c24;
-            border-radius: 8px;
-            border-left: 4px solid #dc3545;
-            display: none;
+        th {
+            background: #f8f9fa;
+            color: #555;
         }
         
-        .error.show {
-            display: block;
-            animation: slideIn 0.3s ease;
+        .status-error {
+            color: #dc3545;
+            font-weight: 600;
         }
         
-        .loading {
-            display: none;
-            text-align: center;
-            margin-top: 20px;
+        textarea, input {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #e1e5e9;
+            border-radius: 8px;
+            background: #f8f9fa;
+            font-size: 0.9rem;
         }
         
-        .loading.show {
-            display: block;
+        textarea {
+            min-height: 260px;
+            font-family: Monaco, Menlo, Consolas, monospace;
         }
         
-        .spinner {
-            display: inline-block;
-            width: 20px;
-            height: 20px;
-            border: 3px solid #f3f3f3;
-            border-top: 3px solid #667eea;
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
-            margin-right: 10px;
+        textarea:focus, input:focus {
+            outline: none;
+            border-color: #667eea;
+            background: white;
         }
         
-        @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
+        .btn {
+            margin-top: 12px;
+            padding: 10px 20px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-weight: 600;
+            cursor: pointer;
         }
         
-        @keyframes slideIn {
-            from {
-                opacity: 0;
-                transform: translateY(-10px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
+        .btn.danger {
+            background: #dc3545;
+            margin-top: 0;
+            padding: 6px 12px;
         }
         
-        .examples {
-            margin-top: 30px;
-            padding: 20px;
-            background: #e8f4fd;
-            border-radius: 12px;
-            border-left: 4px solid #17a2b8;
+        .hint {
+            margin: 10px 0;
+            color: #666;
+            font-size: 0.85rem;
         }
         
-        .examples h3 {
-            color: #333;
-            margin-bottom: 15px;
-            font-size: 1.1rem;
+        .message {
+            margin-top: 12px;
+            padding: 12px;
+            border-radius: 8px;
+            display: none;
+            word-break: break-all;
         }
         
-        .examples ul {
-            list-style: none;
+        .message.show {
+            display: block;
         }
         
-        .examples li {
-            margin-bottom: 8px;
-            color: #666;
-            font-size: 0.9rem;
+        .message.ok {
+            background: #d4edda;
+            color: #155724;
         }
         
-        .examples li::before {
-            content: "→";
-            color: #17a2b8;
-            margin-right: 8px;
-            font-weight: bold;
+        .message.fail {
+            background: #f8d7da;
+            color: #721c24;
+        }
+        
+        .summary {
+            display: flex;
+            gap: 15px;
+            margin-bottom: 15px;
+            flex-wrap: wrap;
         }
         
-        @media (max-width: 768px) {
-            .container {
-                padding: 30px 20px;
-                margin: 10px;
-            }
-            
-            .header h1 {
-                font-size: 2rem;
-            }
-            
-            .header p {
-                font-size: 1rem;
-            }
-            
-            .button-group {
-                flex-direction: column;
-            }
-            
-            .action-btn {
-                min-width: auto;
-            }
+        .summary div {
+            padding: 12px 18px;
+            background: #f8f9fa;
+            border-radius: 8px;
+            border-left: 4px solid #667eea;
         }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
-            <h1>🌐 网站代理服务</h1>
-            <p>输入任意网址，获取代理链接，轻松访问被限制的网站</p>
+            <h1>⚙️ 管理后台</h1>
+            <div><a href="/">返回面板</a><a href="#" id="logout">退出登录</a></div>
         </div>
         
-        <form id="proxyForm">
-            <div class="form-group">
-                <label for="url">请输入要代理的网址：</label>
-                <div class="input-container">
-                    <input 
-                        type="text" 
-                        id="url" 
-                        name="url" 
-                        placeholder="youtube.com 或 https://www.youtube.com" 
-                        required
-                        autocomplete="url"
-                    >
-                </div>
-                <div class="url-hint">
-                    💡 提示：可以直接输入域名，系统会自动添加 https:// 协议
-                </div>
-            </div>
-            
-            <button type="submit" class="btn" id="generateBtn">
-                生成代理链接
-            </button>
-        </form>
-        
-        <div class="loading" id="loading">
-            <div class="spinner"></div>
-            正在生成代理链接...
+        <div class="tabs">
+            <button class="tab active" data-panel="requests">最近请求</button>
+            <button class="tab" data-panel="stats">流量统计</button>
+            <button class="tab" data-panel="policy">访问规则</button>
+            <button class="tab" data-panel="headers">头部覆盖</button>
+            <button class="tab" data-panel="profiles">站点配置</button>
+            <button class="tab" data-panel="cache">缓存</button>
+            <button class="tab" data-panel="keys">API Key</button>
+            <button class="tab" data-panel="config">运行配置</button>
         </div>
         
-        <div class="result" id="result">
-            <h3>✅ 代理链接已生成</h3>
-            <div class="result-url" id="proxyUrl"></div>
-            <div class="button-group">
-                <button class="action-btn copy-btn" id="copyBtn" onclick="copyToClipboard()">
-                    📋 复制链接
-                </button>
-                <button class="action-btn visit-btn" id="visitBtn" onclick="visitProxyUrl()">
-                    🚀 访问网站
-                </button>
-            </div>
+        <div class="panel active" id="panel-requests">
+            <p class="hint">当前 Worker 实例最近处理的请求（不同实例之间不共享）</p>
+            <table>
+                <thead><tr><th>时间</th><th>方法</th><th>主机</th><th>路径</th><th>状态</th><th>耗时</th><th>缓存</th><th>错误</th></tr></thead>
+                <tbody id="requestsBody"></tbody>
+            </table>
         </div>
         
-        <div class="error" id="error">
-            <strong>错误：</strong><span id="errorMessage"></span>
+        <div class="panel" id="panel-stats">
+            <div class="summary" id="statsSummary"></div>
+            <table>
+                <thead><tr><th>主机</th><th>请求数</th><th>错误数</th><th>流量</th></tr></thead>
+                <tbody id="statsBody"></tbody>
+            </table>
         </div>
         
-        <div class="examples">
-            <h3>📝 使用示例</h3>
-            <ul>
-                <li>输入 youtube.com → 生成 youtube--com.${domain}</li>
-                <li>输入 github.com → 生成 github--com.${domain}</li>
-                <li>输入 api.github.com → 生成 api--github--com.${domain}</li>
-                <li>输入 www.example.com → 生成 www--example--com.${domain}</li>
-            </ul>
+        <div class="panel" id="panel-policy">
+            <p class="hint">保存在 KV 中的访问规则，优先于 POLICY_RULES 配置生效。格式：[{"host": "*.example.com", "action": "deny"}]</p>
+            <textarea id="policyRules" spellcheck="false"></textarea>
+            <button class="btn" id="savePolicy">保存规则</button>
+            <p class="hint" id="policyConfig"></p>
+            <div class="message" id="policyMessage"></div>
         </div>
-    </div>
-
-    <script>
-        const form = document.getElementById('proxyForm');
-        const loading = document.getElementById('loading');
-        const result = document.getElementById('result');
-        const error = document.getElementById('error');
-        const proxyUrl = document.getElementById('proxyUrl');
-        const generateBtn = document.getElementById('generateBtn');
-        const copyBtn = document.getElementById('copyBtn');
-        const visitBtn = document.getElementById('visitBtn');
         
-        let currentProxyUrl = '';
+        <div class="panel" id="panel-headers">
+            <p class="hint">按目标主机修改请求头和响应头（在 HEADER_RULES 配置之后生效，不支持 {{env.*}} 模板）。格式：[{"host": "api.example.com", "request": {"remove": ["Referer"], "set": {"X-Token": "..."}, "add": {}, "replace": [{"header": "User-Agent", "pattern": "Chrome/[0-9]+", "replacement": "Chrome/130"}]}, "response": {"remove": ["X-Powered-By"]}}]</p>
+            <textarea id="headerRules" spellcheck="false"></textarea>
+            <button class="btn" id="saveHeaders">保存规则</button>
+            <div class="message" id="headersMessage"></div>
+        </div>
         
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const url = document.getElementById('url').value.trim();
-            if (!url) return;
-            
-            // 显示加载状态
-            showLoading();
-            hideResult();
-            hideError();
-            
-            try {
-                const response = await fetch('/api/generate', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ url: url })
-                });
-                
-                const data = await response.json();
-                
-                if (data.success) {
-                    currentProxyUrl = data.proxyUrl;
-                    proxyUrl.textContent = currentProxyUrl;
-                    showResult();
-                } else {
-                    showError(data.error || '生成代理链接失败');
-                }
-            } catch (err) {
-                console.error('Error:', err);
-                showError('网络错误，请稍后重试');
-            } finally {
-                hideLoading();
-            }
-        });
+        <div class="panel" id="panel-profiles">
+            <p class="hint">目标为 hosts 中任一主机时，其余主机的链接一起改写为代理地址；related 为额外重写的主机（* 表示所有主机），never 为不重写的主机。格式：[{"name": "docs", "hosts": ["docs.example.com", "*.examplecdn.net"], "related": [], "never": ["login.example.com"]}]</p>
+            <textarea id="profileRules" spellcheck="false"></textarea>
+            <button class="btn" id="saveProfiles">保存配置</button>
+            <p class="hint" id="profilesConfig"></p>
+            <div class="message" id="profilesMessage"></div>
+        </div>
         
-        function showLoading() {
-            loading.classList.add('show');
-            generateBtn.disabled = true;
-        }
+        <div class="panel" id="panel-cache">
+            <p class="hint">输入目标网址（如 https://github.com/），清除该网址在各重写模式下的缓存</p>
+            <input type="text" id="purgeUrl" placeholder="https://example.com/path">
+            <button class="btn" id="purgeCache">清除缓存</button>
+            <div class="message" id="cacheMessage"></div>
+        </div>
         
-        function hideLoading() {
-            loading.classList.remove('show');
-            generateBtn.disabled = false;
-        }
+        <div class="panel" id="panel-keys">
+            <p class="hint" id="configKeys"></p>
+            <input type="text" id="keyName" placeholder="Key 名称，例如 ci-bot" maxlength="64">
+            <button class="btn" id="createKey">创建 API Key</button>
+            <div class="message" id="keysMessage"></div>
+            <table style="margin-top: 20px;">
+                <thead><tr><th>ID</th><th>名称</th><th>前缀</th><th>创建时间</th><th></th></tr></thead>
+                <tbody id="keysBody"></tbody>
+            </table>
+        </div>
         
-        function showResult() {
-            result.classList.add('show');
-            resetButtonStates();
+        <div class="panel" id="panel-config">
+            <p class="hint">当前生效的运行时配置，密钥类配置不显示内容</p>
+            <table>
+                <thead><tr><th>配置项</th><th>当前值</th><th>来源</th></tr></thead>
+                <tbody id="configBody"></tbody>
+            </table>
+        </div>
+    </div>
+
+    <script>
+        function escapeHtml(value) {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
         }
         
-        function hideResult() {
-            result.classList.remove('show');
+        function formatBytes(bytes) {
+            const units = ['B', 'KB', 'MB', 'GB'];
+            let value = bytes || 0;
+            let unit = 0;
+            while (value >= 1024 && unit < units.length - 1) {
+                value /= 1024;
+                unit++;
+            }
+            return value.toFixed(unit === 0 ? 0 : 1) + ' ' + units[unit];
         }
         
-        function showError(message) {
-            document.getElementById('errorMessage').textContent = message;
-            error.classList.add('show');
+        function showMessage(id, text, ok) {
+            const element = document.getElementById(id);
+            element.textContent = text;
+            element.className = 'message show ' + (ok ? 'ok' : 'fail');
         }
         
-        function hideError() {
-            error.classList.remove('show');
+        async function api(path, options) {
+            const init = Object.assign({ headers: {} }, options);
+            if (init.body !== undefined) {
+                init.headers['Content-Type'] = 'application/json';
+                init.body = JSON.stringify(init.body);
+            }
+            const response = await fetch('/api/admin/' + path, init);
+            if (response.status === 401) {
+                window.location.reload();
+            }
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || ('HTTP ' + response.status));
+            }
+            return data;
         }
         
-        function resetButtonStates() {
-            copyBtn.textContent = '📋 复制链接';
-            copyBtn.classList.remove('copied');
-            visitBtn.textContent = '🚀 访问网站';
-        }
+        const loaders = {
+            async requests() {
+                const data = await api('requests?limit=100');
+                document.getElementById('requestsBody').innerHTML = data.requests.map(event =>
+                    '<tr><td>' + escapeHtml(new Date(event.timestamp).toLocaleTimeString()) + '</td>' +
+                    '<td>' + escapeHtml(event.method) + '</td>' +
+                    '<td>' + escapeHtml(event.host) + '</td>' +
+                    '<td>' + escapeHtml(event.path) + '</td>' +
+                    '<td class="' + (event.status >= 400 ? 'status-error' : '') + '">' + escapeHtml(event.status) + '</td>' +
+                    '<td>' + escapeHtml(event.duration) + ' ms</td>' +
+                    '<td>' + escapeHtml(event.cacheStatus) + '</td>' +
+                    '<td>' + escapeHtml(event.errorClass) + '</td></tr>'
+                ).join('') || '<tr><td colspan="8">暂无请求</td></tr>';
+            },
+            async stats() {
+                const data = await api('stats?limit=100');
+                document.getElementById('statsSummary').innerHTML =
+                    '<div>日期：' + escapeHtml(data.date) + '</div>' +
+                    '<div>请求：' + escapeHtml(data.requests) + '</div>' +
+                    '<div>错误：' + escapeHtml(data.errors) + '（' + escapeHtml((data.errorRate * 100).toFixed(1)) + '%）</div>' +
+                    '<div>流量：' + escapeHtml(formatBytes(data.bytes)) + '</div>';
+                document.getElementById('statsBody').innerHTML = data.topHosts.map(host =>
+                    '<tr><td>' + escapeHtml(host.host) + '</td><td>' + escapeHtml(host.requests) + '</td>' +
+                    '<td class="' + (host.errors > 0 ? 'status-error' : '') + '">' + escapeHtml(host.errors) + '</td>' +
+                    '<td>' + escapeHtml(formatBytes(host.bytes)) + '</td></tr>'
+                ).join('') || '<tr><td colspan="4">暂无数据</td></tr>';
+            },
+            async policy() {
+                const data = await api('policy');
+                document.getElementById('policyRules').value = JSON.stringify(data.rules, null, 2);
+                document.getElementById('policyConfig').textContent =
+                    '配置中的规则（只读）：' + JSON.stringify(data.configRules) + '；默认动作：' + data.defaultAction;
+            },
+            async headers() {
+                const data = await api('headers');
+                document.getElementById('headerRules').value = JSON.stringify(data.rules, null, 2);
+            },
+            async profiles() {
+                const data = await api('profiles');
+                document.getElementById('profileRules').value = JSON.stringify(data.rules, null, 2);
+                document.getElementById('profilesConfig').textContent =
+                    '配置中的站点（只读）：' + JSON.stringify(data.configProfiles) +
+                    '；内置站点：' + (data.builtinProfiles.map(profile => profile.name).join(', ') || '已关闭') +
+                    '；始终不重写：' + data.neverRewriteHosts.join(', ');
+            },
+            async cache() {},
+            async keys() {
+                const data = await api('keys');
+                document.getElementById('configKeys').textContent =
+                    'API_KEYS 配置中另有 ' + data.configKeys + ' 个 Key（只能通过配置修改）。这里创建的 Key 可调用 API 和代理，但不能访问管理后台。';
+                document.getElementById('keysBody').innerHTML = data.keys.map(key =>
+                    '<tr><td>' + escapeHtml(key.id) + '</td><td>' + escapeHtml(key.name) + '</td>' +
+                    '<td>' + escapeHtml(key.prefix) + '…</td><td>' + escapeHtml(new Date(key.createdAt).toLocaleString()) + '</td>' +
+                    '<td><button class="btn danger" data-key="' + escapeHtml(key.id) + '">吊销</button></td></tr>'
+                ).join('') || '<tr><td colspan="5">暂无 Key</td></tr>';
+            },
+            async config() {
+                const data = await api('config');
+                document.getElementById('configBody').innerHTML = Object.entries(data.config).map(([key, item]) =>
+                    '<tr><td>' + escapeHtml(key) + '</td><td>' + escapeHtml(JSON.stringify(item.value)) + '</td>' +
+                    '<td>' + escapeHtml(item.source) + '</td></tr>'
+                ).join('');
+            }
+        };
         
-        async function copyToClipboard() {
+        async function load(name) {
             try {
-                await navigator.clipboard.writeText(currentProxyUrl);
-                copyBtn.textContent = '✅ 已复制';
-                copyBtn.classList.add('copied');
-                
-                setTimeout(() => {
-                    copyBtn.textContent = '📋 复制链接';
-                    copyBtn.classList.remove('copied');
-                }, 2000);
+                await loaders[name]();
             } catch (err) {
-                // 降级处理
-                const textArea = document.createElement('textarea');
-                textArea.value = currentProxyUrl;
-                document.body.appendChild(textArea);
-                textArea.select();
-                document.execCommand('copy');
-                document.body.removeChild(textArea);
-                
-                copyBtn.textContent = '✅ 已复制';
-                copyBtn.classList.add('copied');
-                
-                setTimeout(() => {
-                    copyBtn.textContent = '📋 复制链接';
-                    copyBtn.classList.remove('copied');
-                }, 2000);
+                alert('加载失败：' + err.message);
             }
         }
         
-        function visitProxyUrl() {
-            if (!currentProxyUrl) {
-                showError('没有可访问的代理链接');
+        document.querySelectorAll('.tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('.tab').forEach(item => item.classList.toggle('active', item === tab));
+                document.querySelectorAll('.panel').forEach(panel => {
+                    panel.classList.toggle('active', panel.id === 'panel-' + tab.dataset.panel);
+                });
+                load(tab.dataset.panel);
+            });
+        });
+        
+        async function saveRules(path, textareaId, messageId) {
+            let rules;
+            try {
+                rules = JSON.parse(document.getElementById(textareaId).value || '[]');
+            } catch (err) {
+                showMessage(messageId, 'JSON 格式错误：' + err.message, false);
                 return;
             }
-            
-            // 提供用户反馈
-            visitBtn.textContent = '🔄 跳转中...';
-            visitBtn.disabled = true;
-            
-            // 延迟一下以显示反馈，然后跳转
-            setTimeout(() => {
-                try {
-                    // 在新标签页中打开代理链接
-                    window.open(currentProxyUrl, '_blank', 'noopener,noreferrer');
-                } catch (err) {
-                    console.error('跳转失败:', err);
-                    showError('跳转失败，请手动复制链接访问');
-                } finally {
-                    // 重置按钮状态
-                    setTimeout(() => {
-                        visitBtn.textContent = '🚀 访问网站';
-                        visitBtn.disabled = false;
-                    }, 1000);
-                }
-            }, 300);
+            try {
+                await api(path, { method: 'PUT', body: { rules: rules } });
+                showMessage(messageId, '已保存，其他 Worker 实例最迟一分钟后生效', true);
+            } catch (err) {
+                showMessage(messageId, err.message, false);
+            }
         }
         
-        // 自动聚焦输入框
-        document.getElementById('url').focus();
+        document.getElementById('savePolicy').addEventListener('click', () => saveRules('policy', 'policyRules', 'policyMessage'));
+        document.getElementById('saveHeaders').addEventListener('click', () => saveRules('headers', 'headerRules', 'headersMessage'));
+        document.getElementById('saveProfiles').addEventListener('click', () => saveRules('profiles', 'profileRules', 'profilesMessage'));
         
-        // 键盘快捷键支持
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + Enter 快速生成
-            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                if (!generateBtn.disabled) {
-                    form.dispatchEvent(new Event('submit'));
-                }
+        document.getElementById('purgeCache').addEventListener('click', async () => {
+            try {
+                const data = await api('cache/purge', { method: 'POST', body: { url: document.getElementById('purgeUrl').value.trim() } });
+                const result = data.results[0];
+                showMessage('cacheMessage', result.error || ('已清除 ' + result.deleted + ' 条缓存'), !result.error);
+            } catch (err) {
+                showMessage('cacheMessage', err.message, false);
             }
-            
-            // 结果显示时的快捷键
-            if (result.classList.contains('show')) {
-                // Ctrl/Cmd + C 复制
-                if ((e.ctrlKey || e.metaKey) && e.key === 'c' && e.target.tagName !== 'INPUT') {
-                    e.preventDefault();
-                    copyToClipboard();
-                }
-                
-                // Ctrl/Cmd + V 访问（这里用 V 代表 Visit）
-                if ((e.ctrlKey || e.metaKey) && e.key === 'v' && e.target.tagName !== 'INPUT') {
-                    e.preventDefault();
-                    visitProxyUrl();
-                }
+        });
+        
+        document.getElementById('createKey').addEventListener('click', async () => {
+            try {
+                const data = await api('keys', { method: 'POST', body: { name: document.getElementById('keyName').value } });
+                showMessage('keysMessage', '已创建，请立即保存（之后不再显示）：' + data.secret, true);
+                document.getElementById('keyName').value = '';
+                load('keys');
+            } catch (err) {
+                showMessage('keysMessage', err.message, false);
+            }
+        });
+        
+        document.getElementById('keysBody').addEventListener('click', async (e) => {
+            const id = e.target.dataset.key;
+            if (!id || !confirm('确定吊销该 Key？')) {
+                return;
+            }
+            try {
+                await api('keys/' + id, { method: 'DELETE' });
+                load('keys');
+            } catch (err) {
+                showMessage('keysMessage', err.message, false);
             }
         });
+        
+        document.getElementById('logout').addEventListener('click', async (e) => {
+            e.preventDefault();
+            await fetch('/api/logout', { method: 'POST' });
+            window.location.href = '/';
+        });
+        
+        load('requests');
     </script>
 </body>
 </html>`;
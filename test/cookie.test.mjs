@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCookieDomain } from '../_worker.js';
+
+// [目标地址, Domain 属性, 期望的作用域]：null 为 host-only，false 为浏览器会拒绝的 Cookie
+const COOKIE_DOMAINS = [
+  // 没有 Domain
+  ['https://www.github.com/login', undefined, null],
+  ['https://www.github.com/login', '', null],
+  // 匹配目标主机（忽略开头的 "." 与大小写）
+  ['https://www.github.com/login', 'github.com', 'github.com'],
+  ['https://www.github.com/login', '.github.com', 'github.com'],
+  ['https://www.github.com/login', 'GitHub.COM', 'github.com'],
+  ['https://www.github.com/login', 'www.github.com', 'www.github.com'],
+  // 不匹配目标主机
+  ['https://www.github.com/login', 'api.github.com', false],
+  ['https://www.github.com/login', 'other.com', false],
+  ['https://www.github.com/login', 'hub.com', false],
+  // 公共后缀：只在等于目标主机时按 host-only 接受
+  ['https://www.github.com/login', 'com', false],
+  ['https://www.bbc.co.uk/', 'co.uk', false],
+  ['https://www.bbc.co.uk/', 'bbc.co.uk', 'bbc.co.uk'],
+  ['https://co.uk/', 'co.uk', null],
+  ['https://localhost/', 'localhost', null],
+  // IP 地址主机：只接受与主机相同的 Domain
+  ['http://192.168.1.10/', '192.168.1.10', null],
+  ['http://192.168.1.10/', '168.1.10', false],
+  ['http://[::1]/', '::1', false]
+];
+
+test('resolveCookieDomain follows the browser cookie domain rules', () => {
+  for (const [target, domain, expected] of COOKIE_DOMAINS) {
+    assert.equal(resolveCookieDomain(domain, new URL(target)), expected, `${target} Domain=${domain}`);
+  }
+});
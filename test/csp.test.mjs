@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mapCspHostSource } from '../_worker.js';
+
+const TARGET = new URL('https://www.github.com/login');
+const SUBDOMAIN = { mode: 'subdomain', proxyDomain: 'proxy.test' };
+const PATH = { mode: 'path', proxyDomain: 'proxy.test', origin: 'https://proxy.test' };
+
+// [来源表达式, 子域名模式的代理来源, 路径模式的代理来源]
+const CSP_SOURCES = [
+  // 关键字、协议与 * 不是主机来源
+  ["'self'", [], []],
+  ["'nonce-abc'", [], []],
+  ['https:', [], []],
+  ['*', [], []],
+  // 主机来源（可带协议、端口、路径）
+  ['cdn.example.com', ['https://cdn--example--com.proxy.test'], ['https://proxy.test/p/https/cdn.example.com/']],
+  ['https://cdn.example.com/js/', ['https://cdn--example--com.proxy.test/js/'], ['https://proxy.test/p/https/cdn.example.com/js/']],
+  ['http://cdn.example.com:8080', ['https://cdn--example--com---1hp8080.proxy.test'], ['https://proxy.test/p/http/cdn.example.com:8080/']],
+  ['https://cdn.example.com:*', ['https://cdn--example--com.proxy.test'], ['https://proxy.test/p/https/cdn.example.com/']],
+  // 通配主机：只映射已知匹配的具体主机（目标主机），没有时不追加代理来源
+  ['*.github.com', ['https://www--github--com.proxy.test'], ['https://proxy.test/p/https/www.github.com/']],
+  ['*.example.org', [], []]
+];
+
+test('mapCspHostSource maps host sources onto proxy origins', () => {
+  for (const [source, subdomain, path] of CSP_SOURCES) {
+    assert.deepEqual(mapCspHostSource(source, TARGET, SUBDOMAIN), subdomain, `${source} (subdomain)`);
+    assert.deepEqual(mapCspHostSource(source, TARGET, PATH), path, `${source} (path)`);
+  }
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rewriteLinkHeader } from '../_worker.js';
+
+// 测试用的重写函数：绝对地址加上代理前缀，相对地址不变
+const rewriteUrl = url => url.startsWith('https://') ? `https://proxy.test/${url}` : url;
+
+// [Link 值, 期望的重写结果]
+const LINK_HEADERS = [
+  ['<https://a.com/x.css>; rel=preload; as=style', '<https://proxy.test/https://a.com/x.css>; rel=preload; as=style'],
+  ['</x.css>; rel=preload', '</x.css>; rel=preload'],
+  ['< https://a.com/x >; rel=next', '<https://proxy.test/https://a.com/x>; rel=next'],
+  // 多个链接，引号中的逗号不是分隔符
+  [
+    '<https://a.com/1>; rel="preload"; title="a, b", <https://b.com/2>; rel=next',
+    '<https://proxy.test/https://a.com/1>; rel="preload"; title="a, b", <https://proxy.test/https://b.com/2>; rel=next'
+  ],
+  [
+    '<https://a.com/1>; title="x \\" , <y>", <https://b.com/2>',
+    '<https://proxy.test/https://a.com/1>; title="x \\" , <y>", <https://proxy.test/https://b.com/2>'
+  ],
+  // anchor 参数同样是地址，改写后统一加引号
+  [
+    '<https://a.com/x>; rel=canonical; anchor="https://c.com/"',
+    '<https://proxy.test/https://a.com/x>; rel=canonical; anchor="https://proxy.test/https://c.com/"'
+  ],
+  [
+    '<https://a.com/x>; ANCHOR = https://c.com/; rel=alternate',
+    '<https://proxy.test/https://a.com/x>; ANCHOR = "https://proxy.test/https://c.com/"; rel=alternate'
+  ],
+  [
+    '<https://a.com/1>; anchor="#top", <https://b.com/2>; anchor=https://c.com/',
+    '<https://proxy.test/https://a.com/1>; anchor="#top", <https://proxy.test/https://b.com/2>; anchor="https://proxy.test/https://c.com/"'
+  ]
+];
+
+test('rewriteLinkHeader rewrites link targets and anchors', () => {
+  for (const [value, expected] of LINK_HEADERS) {
+    assert.equal(rewriteLinkHeader(value, rewriteUrl), expected, value);
+  }
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRewriteStream } from '../_worker.js';
+
+const TARGET = new URL('https://example.com/index.html');
+const ADDRESSING = { mode: 'subdomain', proxyDomain: 'proxy.test' };
+
+/**
+ * 把分块写入流式重写器，返回输出的全部字节
+ * @param {Uint8Array[]} chunks - 输入分块
+ * @param {string} contentType - 内容类型
+ * @returns {Promise<Uint8Array>} - 输出字节
+ */
+async function rewriteChunks(chunks, contentType) {
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      controller.close();
+    }
+  });
+  return new Uint8Array(await new Response(createRewriteStream(body, contentType, TARGET, ADDRESSING)).arrayBuffer());
+}
+
+function encodeUtf16(text, bigEndian) {
+  const bytes = new Uint8Array(text.length * 2);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes[i * 2] = bigEndian ? code >> 8 : code & 0xff;
+    bytes[i * 2 + 1] = bigEndian ? code & 0xff : code >> 8;
+  }
+  return bytes;
+}
+
+function concat(...parts) {
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+const utf8 = text => new TextEncoder().encode(text);
+const CSS = 'a{background:url(https://example.com/x.png)}';
+const REWRITTEN_CSS = 'a{background:url(https://example--com.proxy.test/x.png)}';
+
+// [说明, 输入分块, 内容类型, 期望输出]
+const CASES = [
+  [
+    'UTF-16LE 奇数个字节：最后一个字节原样保留',
+    [concat(encodeUtf16(CSS, false), [0x41]).subarray(0, 7), concat(encodeUtf16(CSS, false), [0x41]).subarray(7)],
+    'text/css; charset=utf-16le',
+    concat(encodeUtf16(REWRITTEN_CSS, false), [0x41])
+  ],
+  [
+    'UTF-16BE 分块在码元中间截断',
+    [encodeUtf16(CSS, true).subarray(0, 33), encodeUtf16(CSS, true).subarray(33)],
+    'text/css; charset=utf-16be',
+    encodeUtf16(REWRITTEN_CSS, true)
+  ],
+  [
+    'UTF-8 多字节字符被分块截断',
+    [utf8('/* 中文 */' + CSS).subarray(0, 4), utf8('/* 中文 */' + CSS).subarray(4)],
+    'text/css; charset=utf-8',
+    utf8('/* 中文 */' + REWRITTEN_CSS)
+  ],
+  [
+    '无效的 UTF-8：整个响应原样输出，不用 U+FFFD 替换',
+    [concat(utf8(`{"a":"https://example.com/a",`), [0xff, 0xfe], utf8(`"b":"https://example.com/b"}`))],
+    'application/json',
+    concat(utf8(`{"a":"https://example.com/a",`), [0xff, 0xfe], utf8(`"b":"https://example.com/b"}`))
+  ],
+  [
+    '无效的 UTF-8 出现在后面的分块：已重写的部分保留，其余原样输出',
+    [utf8(CSS + ' '.repeat(20000)), concat([0xc3, 0x28], utf8(CSS))],
+    'text/css',
+    concat(utf8(REWRITTEN_CSS + ' '.repeat(20000)), [0xc3, 0x28], utf8(CSS))
+  ],
+  [
+    '结尾不完整的 UTF-8 序列原样保留',
+    [concat(utf8(CSS), [0xe4, 0xb8])],
+    'text/css; charset=utf-8',
+    concat(utf8(REWRITTEN_CSS), [0xe4, 0xb8])
+  ]
+];
+
+test('createRewriteStream decodes and re-encodes with the declared charset', async () => {
+  for (const [name, chunks, contentType, expected] of CASES) {
+    assert.deepEqual(await rewriteChunks(chunks, contentType), expected, name);
+  }
+});
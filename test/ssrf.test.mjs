@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyIpAddress, getHostnameBlockReason } from '../_worker.js';
+
+// [写法, 期望分类]：同一内网地址的各种字面量写法都必须识别出来
+const IP_LITERALS = [
+  // IPv4 点分十进制
+  ['127.0.0.1', 'loopback'],
+  ['10.1.2.3', 'private'],
+  ['172.16.0.1', 'private'],
+  ['192.168.1.1', 'private'],
+  ['169.254.169.254', 'link-local'],
+  ['100.64.0.1', 'shared-address-space'],
+  ['0.0.0.0', 'this-network'],
+  ['255.255.255.255', 'broadcast'],
+  ['240.0.0.1', 'reserved'],
+  ['255.255.255.254', 'reserved'],
+  ['127.0.0.1.', 'loopback'],
+  // 十进制整数
+  ['2130706433', 'loopback'],
+  ['3232235777', 'private'],
+  ['2852039166', 'link-local'],
+  ['4294967295', 'broadcast'],
+  // 八进制
+  ['0177.0.0.1', 'loopback'],
+  ['0177.0.0.01', 'loopback'],
+  ['017700000001', 'loopback'],
+  ['0300.0250.1.1', 'private'],
+  // 十六进制
+  ['0x7f.0.0.1', 'loopback'],
+  ['0x7f000001', 'loopback'],
+  ['0xA9FEA9FE', 'link-local'],
+  ['0xffffffff', 'broadcast'],
+  ['0x7f.0x0.0x0.0x1', 'loopback'],
+  ['0x', 'this-network'],
+  // 缩写形式（最后一段填充剩余字节）
+  ['127.1', 'loopback'],
+  ['127.0.1', 'loopback'],
+  ['10.1', 'private'],
+  ['0x7f.1', 'loopback'],
+  ['0', 'this-network'],
+  // IPv6
+  ['::1', 'loopback'],
+  ['[::1]', 'loopback'],
+  ['::', 'unspecified'],
+  ['fe80::1%eth0', 'link-local'],
+  ['fd00::1', 'unique-local'],
+  ['ff02::1', 'multicast'],
+  // IPv4 映射 / 兼容地址按内嵌 IPv4 判断
+  ['::ffff:127.0.0.1', 'ipv4-mapped loopback'],
+  ['::ffff:7f00:1', 'ipv4-mapped loopback'],
+  ['[::ffff:169.254.169.254]', 'ipv4-mapped link-local'],
+  ['::ffff:0a00:0001', 'ipv4-mapped private'],
+  ['::127.0.0.1', 'ipv4-compatible loopback'],
+  // NAT64
+  ['64:ff9b::127.0.0.1', 'nat64 loopback'],
+  ['64:ff9b::a9fe:a9fe', 'nat64 link-local'],
+  ['64:ff9b:1::1', 'nat64-local'],
+  // 6to4
+  ['2002:7f00:1::', '6to4 loopback'],
+  ['2002:c0a8:101::1', '6to4 private'],
+  // 公网地址
+  ['8.8.8.8', 'public'],
+  ['134744072', 'public'],
+  ['0x08080808', 'public'],
+  ['2606:4700:4700::1111', 'public'],
+  ['::ffff:8.8.8.8', 'public'],
+  ['64:ff9b::8.8.8.8', 'public'],
+  ['2002:0808:0808::1', 'public']
+];
+
+// 不是 IP 字面量的写法
+const NOT_IP_LITERALS = ['example.com', '256.0.0.1.example', '1.2.3.4.5', '08.0.0.1', '1.256.0.0', ':::1', '1::2::3'];
+
+test('classifyIpAddress recognises every literal form', () => {
+  for (const [literal, expected] of IP_LITERALS) {
+    assert.equal(classifyIpAddress(literal), expected, literal);
+  }
+});
+
+test('classifyIpAddress returns null for non-literals', () => {
+  for (const literal of NOT_IP_LITERALS) {
+    assert.equal(classifyIpAddress(literal), null, literal);
+  }
+});
+
+test('getHostnameBlockReason blocks internal IP literals and allows public ones', () => {
+  for (const [literal, expected] of IP_LITERALS) {
+    const reason = getHostnameBlockReason(literal);
+    if (expected === 'public') {
+      assert.equal(reason, null, literal);
+    } else {
+      assert.match(reason, new RegExp(`^${expected} address `), literal);
+    }
+  }
+});
+
+test('getHostnameBlockReason blocks local hostnames', () => {
+  const blocked = [
+    'localhost',
+    'LOCALHOST',
+    'localhost.',
+    'foo.localhost',
+    'a.b.localhost',
+    'printer.local',
+    'db.internal',
+    'router.lan',
+    'nas.home.arpa',
+    'intranet',
+    'metadata'
+  ];
+  for (const hostname of blocked) {
+    assert.notEqual(getHostnameBlockReason(hostname), null, hostname);
+  }
+  assert.equal(getHostnameBlockReason(''), 'empty hostname');
+});
+
+test('getHostnameBlockReason allows public hostnames', () => {
+  const allowed = ['example.com', 'localhost.example.com', 'local.example.com', 'internal-tools.example.org', 'xn--fiqs8s.cn'];
+  for (const hostname of allowed) {
+    assert.equal(getHostnameBlockReason(hostname), null, hostname);
+  }
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { computeShortSubdomain, convertSubdomainToUrl, convertUrlToSubdomain } from '../_worker.js';
+
+// [目标地址, 期望的子域名]
+const ROUND_TRIPS = [
+  // 旧格式
+  ['https://github.com', 'github--com'],
+  ['https://api.github.com', 'api--github--com'],
+  ['https://a-b.example.com', 'a-b--example--com'],
+  // IDN（punycode）
+  ['https://xn--fiqs8s.cn', 'xn-1-1fiqs8s--cn---1'],
+  ['https://www.xn--mnchen-3ya.de', 'www--xn-1-1mnchen-13ya--de---1'],
+  // "-" / "_" 转义
+  ['https://-lead.example.com', '-1lead--example--com---1'],
+  ['https://trail-.example.com', 'trail-1--example--com---1'],
+  ['https://under_score.example.com', 'under-2score--example--com---1'],
+  ['https://a-1.example.com', 'a-1--example--com'],
+  ['https://a--b.example.com', 'a-1-1b--example--com---1'],
+  ['https://localhost', 'localhost---1'],
+  // 端口
+  ['https://example.com:8443', 'example--com---1p8443'],
+  ['https://example.com:1', 'example--com---1p1'],
+  ['https://example.com:65535', 'example--com---1p65535'],
+  // http
+  ['http://example.com', 'example--com---1h'],
+  ['http://example.com:8080', 'example--com---1hp8080'],
+  ['http://10.0.0.1', '10--0--0--1---1h'],
+  // IPv6
+  ['https://[2606:4700::1111]', '2606-4700-0-0-0-0-0-1111---16'],
+  ['https://[::1]', '0-0-0-0-0-0-0-1---16'],
+  ['http://[fe80::1]:8080', 'fe80-0-0-0-0-0-0-1---16hp8080']
+];
+
+test('convertUrlToSubdomain and convertSubdomainToUrl round-trip', () => {
+  for (const [target, subdomain] of ROUND_TRIPS) {
+    const url = new URL(target);
+    assert.equal(convertUrlToSubdomain(url.hostname, url.protocol, url.port), subdomain, target);
+    assert.equal(convertSubdomainToUrl(subdomain), url.origin, subdomain);
+  }
+});
+
+test('WebSocket protocols share the http(s) encoding', () => {
+  assert.equal(convertUrlToSubdomain('example.com', 'wss:', ''), 'example--com');
+  assert.equal(convertUrlToSubdomain('example.com', 'ws:', '8080'), 'example--com---1hp8080');
+});
+
+test('default ports are dropped', () => {
+  assert.equal(convertUrlToSubdomain('example.com', 'https:', '443'), 'example--com');
+  assert.equal(convertUrlToSubdomain('example.com', 'http:', 80), 'example--com---1h');
+});
+
+test('non-canonical subdomains are rejected', () => {
+  const rejected = [
+    'github--com---1',
+    'github--com---1p443',
+    'example--com---1hp80',
+    'example--com---1p0',
+    'example--com---1p08',
+    'example--com---1ph',
+    '2606-4700-0000-0-0-0-0-1111---16',
+    'a-3b--com---1',
+    'a---b--com',
+    'github',
+    'github--',
+    '--github--com'
+  ];
+  for (const subdomain of rejected) {
+    assert.equal(convertSubdomainToUrl(subdomain), null, subdomain);
+  }
+});
+
+test('unsupported targets cannot be encoded', () => {
+  assert.equal(convertUrlToSubdomain('example.com', 'ftp:', ''), null);
+  assert.equal(convertUrlToSubdomain('example.com', 'https:', '65536'), null);
+  assert.equal(convertUrlToSubdomain('a..b', 'https:', ''), null);
+  assert.equal(convertUrlToSubdomain('[::1', 'https:', ''), null);
+});
+
+test('labels longer than 63 characters keep the full form until shortened', () => {
+  const hostname = 'a'.repeat(40) + '.' + 'b'.repeat(30) + '.example.com';
+  const subdomain = convertUrlToSubdomain(hostname, 'https:', '');
+  assert.ok(subdomain.length > 63);
+  assert.equal(convertSubdomainToUrl(subdomain), 'https://' + hostname);
+
+  const withFlags = convertUrlToSubdomain('very-long-host-name-' + 'x'.repeat(50) + '.example.com', 'http:', '8080');
+  assert.match(withFlags, /---1hp8080$/);
+  assert.equal(convertSubdomainToUrl(withFlags), 'http://very-long-host-name-' + 'x'.repeat(50) + '.example.com:8080');
+});
+
+test('computeShortSubdomain is an HMAC-SHA256 keyed with the signing secret', () => {
+  const fullSubdomain = convertUrlToSubdomain('a'.repeat(70) + '.example.com', 'https:', '');
+  const shortSubdomain = computeShortSubdomain(fullSubdomain, 'secret');
+
+  const digest = createHmac('sha256', 'secret').update('subdomain|' + fullSubdomain).digest();
+  const expected = [0, 4].map(offset => digest.readUInt32BE(offset).toString(36).padStart(7, '0')).join('') + '---1x';
+
+  assert.equal(shortSubdomain, expected);
+  assert.match(shortSubdomain, /^[a-z0-9]{14}---1x$/);
+  assert.ok(shortSubdomain.length <= 63);
+  assert.notEqual(computeShortSubdomain(fullSubdomain, 'other secret'), shortSubdomain);
+  assert.equal(computeShortSubdomain(fullSubdomain, ''), null);
+
+  // 密钥超过一个分组（64 字节）时先取摘要
+  const longSecret = 'k'.repeat(100);
+  const longDigest = createHmac('sha256', longSecret).update('subdomain|' + fullSubdomain).digest();
+  assert.equal(computeShortSubdomain(fullSubdomain, longSecret).slice(0, 7), longDigest.readUInt32BE(0).toString(36).padStart(7, '0'));
+});
+
+test('short subdomains are not decoded directly', () => {
+  const fullSubdomain = convertUrlToSubdomain('a'.repeat(70) + '.example.com', 'https:', '');
+  assert.equal(convertSubdomainToUrl(computeShortSubdomain(fullSubdomain, 'secret')), null);
+});
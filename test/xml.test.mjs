@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rewriteXml } from '../_worker.js';
+
+const TARGET = new URL('https://example.com/feed.xml');
+const ADDRESSING = { mode: 'subdomain', proxyDomain: 'proxy.test' };
+
+// [XML, 期望的重写结果]：属性值中的 $&、$1、$$ 等必须原样保留，不能被当作替换模式
+const XML_CASES = [
+  [
+    '<feed xmlns="http://www.w3.org/2005/Atom"><link href="https://other.org/a?q=$&amp;r=$1"/></feed>',
+    '<feed xmlns="http://www.w3.org/2005/Atom"><link href="https://other--org.proxy.test/a?q=$&amp;r=$1"/></feed>'
+  ],
+  [
+    '<rss><channel><enclosure title="$&amp;$1$$" url="https://cdn.example.org/a.mp3?$$=1"/></channel></rss>',
+    '<rss><channel><enclosure title="$&amp;$1$$" url="https://cdn--example--org.proxy.test/a.mp3?$$=1"/></channel></rss>'
+  ],
+  [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use data-x='$&' xlink:href='https://example.com/s.svg#$1'/></svg>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use data-x='$&' xlink:href='https://example--com.proxy.test/s.svg#$1'/></svg>`
+  ],
+  [
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/$&amp;</loc></url></urlset>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example--com.proxy.test/$&amp;</loc></url></urlset>'
+  ]
+];
+
+test('rewriteXml keeps replacement patterns in attribute values', () => {
+  for (const [xml, expected] of XML_CASES) {
+    assert.equal(rewriteXml(xml, TARGET, ADDRESSING), expected, xml);
+  }
+});